@@ -0,0 +1,38 @@
+/**
+ * middleware/requireAdmin.js
+ *
+ * Guards admin routes with a shared secret from ADMIN_API_KEY, sent as
+ * `Authorization: Bearer <key>` or `X-Admin-Key: <key>`.
+ * When ADMIN_API_KEY is unset the admin API is disabled entirely.
+ */
+
+const crypto = require("crypto");
+const logger = require("../utils/logger");
+
+function safeEqual(a, b) {
+  const ha = crypto.createHash("sha256").update(a).digest();
+  const hb = crypto.createHash("sha256").update(b).digest();
+  return crypto.timingSafeEqual(ha, hb);
+}
+
+function requireAdmin(req, res, next) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({
+      success: false,
+      message: "Admin API disabled. Set ADMIN_API_KEY to enable it.",
+    });
+  }
+
+  const bearer = req.headers.authorization?.match(/^Bearer\s+(.+)$/i)?.[1];
+  const provided = bearer || req.headers["x-admin-key"];
+
+  if (!provided || !safeEqual(provided, adminKey)) {
+    logger.warn("ADMIN", `Rejected admin request ${req.method} ${req.path}`, { ip: req.ip });
+    return res.status(401).json({ success: false, message: "Invalid or missing admin key." });
+  }
+
+  next();
+}
+
+module.exports = requireAdmin;
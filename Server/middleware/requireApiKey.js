@@ -0,0 +1,116 @@
+/**
+ * middleware/requireApiKey.js
+ *
+ * Guards the analysis API with per-client API keys (see apiKeyService.js),
+ * sent as `X-API-Key: <key>`, `Authorization: Bearer <key>`, or — for
+ * EventSource, which cannot set headers — an `api_key` query parameter.
+ *
+ *  401 — missing or unknown key (code API_KEY_MISSING / API_KEY_INVALID)
+ *  429 — per-minute rate limit or daily analysis quota spent
+ *        (code RATE_LIMITED / QUOTA_EXCEEDED), with Retry-After
+ *
+ * The rate limit is checked here, except for polls of a job the key owns
+ * (GET /jobs/:id and its event stream). The quota is spent by the route
+ * through reserveAnalysis once a request is valid, and given back with
+ * refundAnalysis when the analysis produces no result.
+ *
+ * Every authenticated response carries X-RateLimit-* and X-Quota-* headers.
+ * When no keys are configured, requests pass through untouched.
+ */
+
+const apiKeys = require("../services/apiKeyService");
+const jobs    = require("../services/jobService");
+const logger  = require("../utils/logger");
+
+const JOB_POLL = /^\/jobs\/([^/]+)(?:\/events)?\/?$/;
+
+const MESSAGES = {
+  rate_limited:   (r) => `Rate limit of ${r.rate.limit} requests per minute exceeded.`,
+  quota_exceeded: (r) => `Daily quota of ${r.quota.limit} analyses used up; it resets at 00:00 UTC.`,
+};
+
+function presentedKey(req) {
+  const bearer = req.headers.authorization?.match(/^Bearer\s+(.+)$/i)?.[1];
+  return req.headers["x-api-key"] || bearer || req.query.api_key;
+}
+
+function setLimitHeaders(res, { rate, quota }) {
+  res.set({
+    "X-RateLimit-Limit":     String(rate.limit),
+    "X-RateLimit-Remaining": String(rate.remaining),
+    "X-RateLimit-Reset":     String(Math.ceil(rate.reset_at / 1000)),
+    "X-Quota-Limit":         String(quota.limit),
+    "X-Quota-Remaining":     String(quota.remaining),
+    "X-Quota-Reset":         String(Math.ceil(quota.reset_at / 1000)),
+  });
+}
+
+function rejectOverLimit(res, client, result) {
+  logger.warn("AUTH", `${result.reason} for API key "${client.name}"`, { client: client.name });
+  return res.status(429).set("Retry-After", String(result.retryAfterSeconds)).json({
+    success:             false,
+    code:                result.reason.toUpperCase(),
+    message:             `${MESSAGES[result.reason](result)} Retry in ${result.retryAfterSeconds}s.`,
+    retry_after_seconds: result.retryAfterSeconds,
+    retry_at:            new Date(result.resetAt).toISOString(),
+    limit:               result.reason === "rate_limited" ? result.rate.limit : result.quota.limit,
+  });
+}
+
+/** A status or event-stream request for a job this client created */
+function ownJobPoll(req, client) {
+  const id = req.method === "GET" && req.path.match(JOB_POLL)?.[1];
+  return Boolean(id && jobs.getJob(id, client.name));
+}
+
+function requireApiKey(req, res, next) {
+  if (!apiKeys.enabled()) return next();
+
+  const key    = presentedKey(req);
+  const client = apiKeys.authenticate(key);
+  if (!client) {
+    const code = key ? "API_KEY_INVALID" : "API_KEY_MISSING";
+    logger.warn("AUTH", `${code}: rejected ${req.method} ${req.originalUrl}`, { ip: req.ip });
+    return res.status(401).set("WWW-Authenticate", 'Bearer realm="api"').json({
+      success: false,
+      code,
+      message: key
+        ? "Invalid API key."
+        : "API key required. Send it as X-API-Key or Authorization: Bearer <key>.",
+    });
+  }
+
+  const result = apiKeys.consume(client, { rateLimited: !ownJobPoll(req, client) });
+  setLimitHeaders(res, result);
+  if (!result.allowed) return rejectOverLimit(res, client, result);
+
+  req.apiClient = client.name;
+  next();
+}
+
+/**
+ * Spend one analysis from the caller's daily quota. Returns false after
+ * answering 429 when it is used up; true when authentication is off.
+ */
+function reserveAnalysis(req, res) {
+  const client = req.apiClient && apiKeys.findByName(req.apiClient);
+  if (!client) return true;
+  const result = apiKeys.reserveAnalysis(client);
+  setLimitHeaders(res, result);
+  if (!result.allowed) {
+    rejectOverLimit(res, client, result);
+    return false;
+  }
+  req.analysisReservation = result.reservation;
+  return true;
+}
+
+/** Give back the analysis reserved for this request, if any (at most once) */
+function refundAnalysis(req) {
+  if (req.analysisReservation) apiKeys.refundAnalysis(req.analysisReservation);
+  req.analysisReservation = null;
+}
+
+module.exports = requireApiKey;
+module.exports.reserveAnalysis = reserveAnalysis;
+module.exports.refundAnalysis  = refundAnalysis;
@@ -0,0 +1,138 @@
+/**
+ * routes/admin.js
+ *
+ * Authenticated cache administration (mounted at /api/admin):
+ *  GET    /cache                  — list cached keys with expiry times
+ *  GET    /cache/country/:name    — inspect one country's cached sources
+ *  DELETE /cache/country/:name    — evict every cached source of one country
+ *  DELETE /cache/keys/:key        — evict a single key
+ *  DELETE /cache                  — flush everything
+ *  POST   /cache/warm             — pre-fetch a list of countries
+ *  GET    /keys                   — API keys with their limits and usage
+ *  GET    /keys/:name             — one API key's limits and usage
+ *  DELETE /keys/:name/usage       — reset a key's rate window and daily quota
+ */
+
+const express      = require("express");
+const router       = express.Router();
+const cache        = require("../services/cacheService");
+const api          = require("../services/apiService");
+const apiKeys      = require("../services/apiKeyService");
+const requireAdmin = require("../middleware/requireAdmin");
+const logger       = require("../utils/logger");
+const { handle }   = require("../utils/asyncHandler");
+
+const MAX_WARM_COUNTRIES = 50;
+
+router.use(requireAdmin);
+
+// ─── List ─────────────────────────────────────────────────────────────────────
+router.get("/cache", handle(async (_req, res) => {
+  const entries = await cache.list();
+  res.json({ success: true, stats: await cache.stats(), count: entries.length, entries });
+}));
+
+// ─── Inspect one country ──────────────────────────────────────────────────────
+router.get("/cache/country/:name", handle(async (req, res) => {
+  const sources = await api.cachedSourcesForCountry(req.params.name);
+  const cached  = Object.values(sources).filter((s) => s.entry);
+
+  if (cached.length === 0) {
+    return res.status(404).json({ success: false, message: `Nothing cached for "${req.params.name}".` });
+  }
+
+  res.json({
+    success: true,
+    country: req.params.name,
+    sources: Object.fromEntries(Object.entries(sources).map(([name, { key, entry }]) => [name, {
+      key,
+      cached:      !!entry,
+      stored_at:   entry ? new Date(entry.storedAt).toISOString() : null,
+      fresh_until: entry ? new Date(entry.freshUntil).toISOString() : null,
+      data:        entry?.data ?? null,
+    }])),
+  });
+}));
+
+// ─── Evict one country ────────────────────────────────────────────────────────
+router.delete("/cache/country/:name", handle(async (req, res) => {
+  const sources = await api.cachedSourcesForCountry(req.params.name);
+  const keys = Object.values(sources).filter((s) => s.entry).map((s) => s.key);
+  await Promise.all(keys.map((k) => cache.evict(k)));
+  logger.info("ADMIN", `Evicted ${keys.length} cached sources for ${req.params.name}`, { keys });
+  res.json({ success: true, country: req.params.name, evicted: keys });
+}));
+
+// ─── Evict one key ────────────────────────────────────────────────────────────
+router.delete("/cache/keys/:key", handle(async (req, res) => {
+  const existed = await cache.evict(req.params.key);
+  if (!existed) {
+    return res.status(404).json({ success: false, message: `Key "${req.params.key}" is not cached.` });
+  }
+  res.json({ success: true, evicted: [req.params.key] });
+}));
+
+// ─── Flush ────────────────────────────────────────────────────────────────────
+router.delete("/cache", handle(async (_req, res) => {
+  const removed = await cache.flush();
+  logger.info("ADMIN", `Flushed cache (${removed} entries)`);
+  res.json({ success: true, flushed: removed });
+}));
+
+// ─── Pre-warm ─────────────────────────────────────────────────────────────────
+// Body: { countries: string[], refresh?: boolean }
+// refresh=true evicts each country's cached sources first (force re-fetch).
+router.post("/cache/warm", handle(async (req, res) => {
+  const { countries, refresh = false } = req.body || {};
+
+  if (!Array.isArray(countries) || countries.length === 0 ||
+      countries.some((c) => typeof c !== "string" || !c.trim())) {
+    return res.status(400).json({ success: false, errors: [`"countries" must be a non-empty array of country names.`] });
+  }
+  if (countries.length > MAX_WARM_COUNTRIES) {
+    return res.status(400).json({ success: false, errors: [`Maximum ${MAX_WARM_COUNTRIES} countries per warm request.`] });
+  }
+
+  const names = [...new Set(countries.map((c) => c.trim()))];
+  const start = Date.now();
+
+  const results = await Promise.all(names.map(async (name) => {
+    if (refresh) {
+      const sources = await api.cachedSourcesForCountry(name);
+      await Promise.all(Object.values(sources).filter((s) => s.entry).map((s) => cache.evict(s.key)));
+    }
+    const data = await api.fetchAllDataForCountry(name);
+    return data.found
+      ? { country: name, warmed: true, data_availability: data.data_availability }
+      : { country: name, warmed: false, reason: data.error };
+  }));
+
+  logger.info("ADMIN", `Warmed ${results.filter((r) => r.warmed).length}/${names.length} countries`, {
+    refresh,
+    duration_ms: Date.now() - start,
+  });
+
+  res.json({ success: true, refresh, duration_ms: Date.now() - start, results });
+}));
+
+// ─── API Key Usage ────────────────────────────────────────────────────────────
+const unknownKey = (res, name) =>
+  res.status(404).json({ success: false, message: `Unknown API key "${name}".` });
+
+router.get("/keys", (_req, res) => {
+  const keys = apiKeys.list();
+  res.json({ success: true, auth_enabled: apiKeys.enabled(), count: keys.length, keys });
+});
+
+router.get("/keys/:name", (req, res) => {
+  const client = apiKeys.findByName(req.params.name);
+  if (!client) return unknownKey(res, req.params.name);
+  res.json({ success: true, key: apiKeys.describe(client) });
+});
+
+router.delete("/keys/:name/usage", (req, res) => {
+  if (!apiKeys.resetUsage(req.params.name)) return unknownKey(res, req.params.name);
+  res.json({ success: true, key: apiKeys.describe(apiKeys.findByName(req.params.name)) });
+});
+
+module.exports = router;
@@ -1,125 +1,485 @@
 /**
  * routes/analyze.js
  *
- * Handles POST /api/analyze
+ * Handles POST /api/analyze, and analysis jobs:
+ *  POST /api/analyze/jobs             — queue an analysis, returns a job id (202)
+ *  GET  /api/analyze/jobs/:id         — status, progress, and the result when done
+ *  GET  /api/analyze/jobs/:id/events  — progress as Server-Sent Events
  *
  * Responsibilities:
  *  - Input validation
- *  - Concurrent per-country data fetching (with cache check first)
+ *  - Region / subregion expansion into member countries (batch analysis)
+ *  - Concurrent per-country data fetching (per-source caching lives in apiService)
  *  - Scoring orchestration
- *  - Ranked JSON response construction
+ *  - Hard-constraint and data-completeness exclusions
+ *  - Ranked JSON response construction (top N plus aggregates for regions)
  */
 
 const express  = require("express");
 const router   = express.Router();
-const cache    = require("../services/cacheService");
 const api      = require("../services/apiService");
+const providers = require("../services/providerRegistry");
 const scoring  = require("../services/scoringService");
+const trends   = require("../services/trendService");
+const climate  = require("../services/climateService");
+const comparison = require("../services/comparisonService");
+const sensitivity = require("../services/sensitivityService");
+const constraints = require("../services/constraintService");
+const catalogue = require("../services/countryService");
+const regions  = require("../services/regionService");
+const jobs     = require("../services/jobService");
+const metrics  = require("../services/metricsService");
+const { reserveAnalysis, refundAnalysis } = require("../middleware/requireApiKey");
+const requestContext = require("../utils/requestContext");
 const logger   = require("../utils/logger");
+const { mapLimit } = require("../utils/concurrency");
+const { handle } = require("../utils/asyncHandler");
 
 const VALID_RISK      = ["low", "moderate", "high"];
 const VALID_DURATION  = ["short", "long"];
 const MAX_COUNTRIES   = 10;
 const MIN_COUNTRIES   = 3;
+const MAX_TREND_HORIZON = 20;
+const MAX_CITIES_PER_COUNTRY = 5;
+const MAX_LOCATIONS   = 20;   // scored entries (countries without cities + cities)
+const MAX_NAME_LENGTH = 100;  // per country / city string, as for /api/countries queries
+// Country fetches in flight at once for a region (explicit lists run all at once)
+const REGION_CONCURRENCY = Number(process.env.REGION_FETCH_CONCURRENCY) || 4;
+
+// ─── Weight Validator ─────────────────────────────────────────────────────────
+// A weight object maps known keys to non-negative numbers with a positive sum.
+// Missing keys count as 0; the server normalizes the rest to sum to 1.
+function validateWeightObject(obj, allowedKeys, label) {
+  if (obj === null || typeof obj !== "object" || Array.isArray(obj)) {
+    return [`"${label}" must be an object.`];
+  }
+  const errors = [];
+  const unknown = Object.keys(obj).filter((k) => !allowedKeys.includes(k));
+  if (unknown.length > 0) {
+    errors.push(`"${label}" has unknown keys: ${unknown.join(", ")}. Allowed: ${allowedKeys.join(", ")}.`);
+  }
+  const values = Object.values(obj);
+  if (values.some((v) => typeof v !== "number" || !Number.isFinite(v) || v < 0)) {
+    errors.push(`All values in "${label}" must be non-negative numbers.`);
+  } else if (values.reduce((a, b) => a + b, 0) <= 0) {
+    errors.push(`Values in "${label}" must sum to more than 0.`);
+  }
+  return errors;
+}
 
 // ─── Input Validator ──────────────────────────────────────────────────────────
+/** Inputs keyed by the country they resolve to (unresolved inputs stand for themselves) */
+function groupByCountry(countries) {
+  const groups = new Map();
+  for (const input of countries) {
+    const r   = catalogue.resolve(input);
+    const key = r.found ? r.country : r.input;
+    groups.set(key, [...(groups.get(key) || []), input]);
+  }
+  return groups;
+}
+
 function validateInput(body) {
   const errors = [];
-  const { countries, riskTolerance, duration } = body;
+  const { countries, riskTolerance, duration, weights, subWeights, trendAdjusted, trendHorizonYears, cities } = body;
+  const hasCustomWeights = weights !== undefined;
 
-  if (!Array.isArray(countries) || countries.length < MIN_COUNTRIES) {
+  // A region selector replaces the explicit list (and its limits)
+  if (body.region !== undefined) {
+    errors.push(...regions.validateRegion(body.region));
+    if (countries !== undefined) errors.push(`Send either "countries" or "region", not both.`);
+    if (cities !== undefined) errors.push(`"cities" cannot be combined with "region".`);
+  } else if (!Array.isArray(countries) || countries.length < MIN_COUNTRIES) {
     errors.push(`"countries" must be an array of at least ${MIN_COUNTRIES} country names.`);
   } else if (countries.length > MAX_COUNTRIES) {
     errors.push(`Maximum ${MAX_COUNTRIES} countries per request.`);
   } else if (countries.some((c) => typeof c !== "string" || !c.trim())) {
     errors.push(`All entries in "countries" must be non-empty strings.`);
+  } else if (countries.some((c) => c.length > MAX_NAME_LENGTH)) {
+    errors.push(`Entries in "countries" must be at most ${MAX_NAME_LENGTH} characters.`);
+  } else {
+    // Aliases and codes of one country count once ("usa", "US" → United States)
+    const groups = groupByCountry(countries);
+    if (groups.size < MIN_COUNTRIES) {
+      const repeated = [...groups]
+        .filter(([, inputs]) => inputs.length > 1)
+        .map(([country, inputs]) => `${inputs.map((i) => `"${i}"`).join(", ")} → ${country}`);
+      errors.push(`"countries" must name at least ${MIN_COUNTRIES} different countries; ${repeated.join("; ")}.`);
+    }
   }
 
-  if (!VALID_RISK.includes(riskTolerance?.toLowerCase?.())) {
+  // riskTolerance / duration select a preset weight profile, so they are
+  // optional when explicit custom weights are supplied.
+  if ((!hasCustomWeights || riskTolerance !== undefined) &&
+      !VALID_RISK.includes(riskTolerance?.toLowerCase?.())) {
     errors.push(`"riskTolerance" must be one of: ${VALID_RISK.join(", ")}.`);
   }
 
-  if (!VALID_DURATION.includes(duration?.toLowerCase?.())) {
+  if ((!hasCustomWeights || duration !== undefined) &&
+      !VALID_DURATION.includes(duration?.toLowerCase?.())) {
     errors.push(`"duration" must be one of: ${VALID_DURATION.join(", ")}.`);
   }
 
+  if (hasCustomWeights) {
+    errors.push(...validateWeightObject(weights, Object.keys(scoring.DEFAULT_SUB_WEIGHTS), "weights"));
+  }
+
+  if (subWeights !== undefined) {
+    const scoreKeys = Object.keys(scoring.DEFAULT_SUB_WEIGHTS);
+    if (subWeights === null || typeof subWeights !== "object" || Array.isArray(subWeights)) {
+      errors.push(`"subWeights" must be an object keyed by score name.`);
+    } else {
+      for (const [scoreKey, componentWeights] of Object.entries(subWeights)) {
+        if (!scoreKeys.includes(scoreKey)) {
+          errors.push(`"subWeights" has unknown score "${scoreKey}". Allowed: ${scoreKeys.join(", ")}.`);
+          continue;
+        }
+        errors.push(...validateWeightObject(
+          componentWeights,
+          Object.keys(scoring.DEFAULT_SUB_WEIGHTS[scoreKey]),
+          `subWeights.${scoreKey}`
+        ));
+      }
+    }
+  }
+
+  if (trendAdjusted !== undefined && typeof trendAdjusted !== "boolean") {
+    errors.push(`"trendAdjusted" must be a boolean.`);
+  }
+
+  if (trendHorizonYears !== undefined &&
+      (!Number.isInteger(trendHorizonYears) || trendHorizonYears < 1 || trendHorizonYears > MAX_TREND_HORIZON)) {
+    errors.push(`"trendHorizonYears" must be an integer between 1 and ${MAX_TREND_HORIZON}.`);
+  }
+
+  if (cities !== undefined && body.region === undefined) {
+    errors.push(...validateCities(cities, Array.isArray(countries) ? countries : []));
+  }
+
+  errors.push(...climate.validatePeriod(body));
+
+  if (body.sensitivity !== undefined) {
+    errors.push(...sensitivity.validateOptions(body.sensitivity));
+  }
+
+  if (body.homeCountry !== undefined && (typeof body.homeCountry !== "string" || !body.homeCountry.trim() ||
+      body.homeCountry.length > MAX_NAME_LENGTH)) {
+    errors.push(`"homeCountry" must be a non-empty country name of at most ${MAX_NAME_LENGTH} characters.`);
+  }
+
+  if (body.missingData !== undefined) {
+    errors.push(...validateMissingData(body.missingData));
+  }
+
+  if (body.constraints !== undefined) {
+    errors.push(...constraints.validateConstraints(body.constraints));
+  }
+
+  if (body.ranking !== undefined) {
+    errors.push(...validateRanking(body.ranking));
+    if ((body.ranking === "pareto" || body.ranking?.mode === "pareto") && body.sensitivity) {
+      errors.push(`"sensitivity" requires the weighted ranking mode.`);
+    }
+  }
+
   return errors;
 }
 
-// ─── Route Handler ────────────────────────────────────────────────────────────
-router.post("/", async (req, res) => {
+// ─── Missing-Data Policy ──────────────────────────────────────────────────────
+// `missingData` is a policy name, or { policy, penaltyScore, minConfidence }.
+function validateMissingData(value) {
+  const policies = scoring.MISSING_DATA_POLICIES;
+  if (typeof value === "string") {
+    return policies.includes(value) ? [] : [`"missingData" must be one of: ${policies.join(", ")}.`];
+  }
+  if (value === null || typeof value !== "object" || Array.isArray(value)) {
+    return [`"missingData" must be a policy name or an object with a "policy".`];
+  }
+  const errors = [];
+  const allowed = Object.keys(scoring.MISSING_DATA_DEFAULTS);
+  const unknown = Object.keys(value).filter((k) => !allowed.includes(k));
+  if (unknown.length) errors.push(`"missingData" has unknown keys: ${unknown.join(", ")}.`);
+  if (!policies.includes(value.policy)) {
+    errors.push(`"missingData.policy" must be one of: ${policies.join(", ")}.`);
+  }
+
+  const { penaltyScore, minConfidence } = value;
+  if (penaltyScore !== undefined && !(typeof penaltyScore === "number" && penaltyScore >= 0 && penaltyScore <= 100)) {
+    errors.push(`"missingData.penaltyScore" must be a number between 0 and 100.`);
+  }
+  if (minConfidence !== undefined && !(typeof minConfidence === "number" && minConfidence >= 0 && minConfidence <= 1)) {
+    errors.push(`"missingData.minConfidence" must be a number between 0 and 1.`);
+  }
+  return errors;
+}
+
+// ─── Ranking Mode ─────────────────────────────────────────────────────────────
+// `ranking` is a mode name, or { mode, objectives } where objectives are the
+// score keys compared in Pareto mode (default: all of them).
+function validateRanking(value) {
+  const modes = scoring.RANKING_MODES;
+  if (typeof value === "string") {
+    return modes.includes(value) ? [] : [`"ranking" must be one of: ${modes.join(", ")}.`];
+  }
+  if (value === null || typeof value !== "object" || Array.isArray(value)) {
+    return [`"ranking" must be a mode name or an object with a "mode".`];
+  }
+  const errors = [];
+  const { mode, objectives, ...rest } = value;
+  if (Object.keys(rest).length) errors.push(`"ranking" has unknown keys: ${Object.keys(rest).join(", ")}.`);
+  if (!modes.includes(mode)) errors.push(`"ranking.mode" must be one of: ${modes.join(", ")}.`);
+  if (objectives !== undefined && !(
+    Array.isArray(objectives) && objectives.length >= 2 && objectives.every((k) => scoring.SCORE_KEYS.includes(k))
+  )) {
+    errors.push(`"ranking.objectives" must list at least 2 of: ${scoring.SCORE_KEYS.join(", ")}.`);
+  }
+  return errors;
+}
+
+function resolveRanking(value = "weighted") {
+  const { mode, objectives } = typeof value === "string" ? { mode: value } : value;
+  return { mode, objectives: [...new Set(objectives || scoring.SCORE_KEYS)] };
+}
+
+// ─── City Selection ───────────────────────────────────────────────────────────
+// `cities` maps a country (as listed in `countries`) to the cities to analyse
+// there instead of its capital, e.g. { "United States": ["Austin", "Seattle"] }.
+function validateCities(cities, countries) {
+  if (cities === null || typeof cities !== "object" || Array.isArray(cities)) {
+    return [`"cities" must be an object mapping country names to arrays of city names.`];
+  }
+  const errors = [];
+  const canonical = (name) => catalogue.canonicalName(name).toLowerCase();
+  const listed = countries.filter((c) => typeof c === "string").map(canonical);
+  let locations = countries.length;
+
+  for (const [country, list] of Object.entries(cities)) {
+    if (country.length > MAX_NAME_LENGTH) {
+      errors.push(`"cities" keys must be at most ${MAX_NAME_LENGTH} characters.`);
+      continue;
+    }
+    if (!listed.includes(canonical(country))) {
+      errors.push(`"cities" key "${country}" must also appear in "countries".`);
+    }
+    if (!Array.isArray(list) || list.length === 0 ||
+        list.some((c) => typeof c !== "string" || !c.trim() || c.length > MAX_NAME_LENGTH)) {
+      errors.push(`"cities.${country}" must be a non-empty array of city names (at most ${MAX_NAME_LENGTH} characters each).`);
+    } else if (list.length > MAX_CITIES_PER_COUNTRY) {
+      errors.push(`Maximum ${MAX_CITIES_PER_COUNTRY} cities per country ("${country}").`);
+    } else {
+      locations += list.length - 1;
+    }
+  }
+
+  if (locations > MAX_LOCATIONS) {
+    errors.push(`Maximum ${MAX_LOCATIONS} analysed locations (countries plus extra cities) per request.`);
+  }
+  return errors;
+}
+
+/** Cities requested for a country (key matched by canonical name), deduplicated */
+function citiesFor(cities, countryName) {
+  if (!cities) return [];
+  const key = Object.keys(cities).find((k) => catalogue.canonicalName(k).toLowerCase() === countryName.toLowerCase());
+  return key ? [...new Set(cities[key].map((c) => c.trim()))] : [];
+}
+
+/**
+ * Expand a country bundle into scoring units: the bundle itself (capital-level),
+ * or one unit per located city, each carrying that city's location-scoped data
+ * on top of the shared country-level data.
+ */
+function toScoringUnits(countryData) {
+  if (!countryData.cities) return { units: [countryData], failed: [] };
+
+  const units = countryData.cities.filter((c) => c.found).map((c) => ({
+    ...countryData,
+    ...Object.fromEntries(Object.keys(c.data_availability).map((k) => [k, c[k]])),
+    city:              c.city,
+    location:          c.location,
+    data_availability: { ...countryData.data_availability, ...c.data_availability },
+    source_cache:      { ...countryData.source_cache, ...c.source_cache },
+  }));
+  const failed = countryData.cities.filter((c) => !c.found).map((c) => ({
+    found:   false,
+    country: countryData.country,
+    city:    c.city,
+    error:   c.error,
+  }));
+  return { units, failed };
+}
+
+/** Where to look up climate normals for a scoring unit: its city, else the capital */
+function climateLocation(unit) {
+  return unit.city
+    ? { name: unit.city, iso2: unit.profile.iso2, lat: unit.location.lat, lon: unit.location.lon }
+    : { name: unit.profile.capital, iso2: unit.profile.iso2 };
+}
+
+// ─── Analysis Pipeline ────────────────────────────────────────────────────────
+/**
+ * Run one analysis request end to end. Shared by the synchronous route and by
+ * analysis jobs, which pass `progress` to stream what happens:
+ *   plan    { countries, sources, total }
+ *   source  { country, city?, source, ok, cache_hit }
+ *   country { country, ok, error?, completed, failed, total }
+ *   stage   { stage: "scoring" | "ranking" }
+ * @returns {Promise<{ status: number, body: Object }>} the HTTP response
+ */
+async function runAnalysis(body, progress = () => {}) {
   const requestStart = Date.now();
 
-  const { countries, riskTolerance, duration } = req.body;
+  const {
+    riskTolerance, duration, weights, subWeights, trendAdjusted, trendHorizonYears, cities,
+    travelMonth, travelDates, homeCountry,
+  } = body;
 
   // 1. Validate input
-  const validationErrors = validateInput(req.body);
+  const validationErrors = validateInput(body);
   if (validationErrors.length > 0) {
-    return res.status(400).json({
-      success: false,
-      errors: validationErrors,
-    });
+    return {
+      status: 400,
+      body:   { success: false, errors: validationErrors },
+    };
   }
 
-  const rt = riskTolerance.toLowerCase();
-  const dur = duration.toLowerCase();
+  const rt = riskTolerance?.toLowerCase() ?? null;
+  const dur = duration?.toLowerCase() ?? null;
+  const missingData    = scoring.resolveMissingDataPolicy(body.missingData);
+  const scoringOptions = { weights, subWeights, trendAdjusted, trendHorizonYears, missingData };
+  const travelMonths   = climate.monthsForPeriod({ travelMonth, travelDates });
 
-  // 2. Deduplicate country list (case-insensitive)
-  const uniqueCountries = [...new Set(countries.map((c) => c.trim()))];
+  // 1b. Region batch: expand the selector into its member countries
+  const region    = body.region !== undefined ? regions.resolveRegion(body.region) : null;
+  const expansion = region ? await regions.expandRegion(region) : null;
+  if (expansion && expansion.countries.length === 0) {
+    return { status: 404, body: { success: false, message: `No countries found in ${region.name}.` } };
+  }
+  if (expansion && expansion.countries.length > regions.MAX_REGION_COUNTRIES) {
+    return {
+      status: 400,
+      body:   {
+        success: false,
+        errors:  [`${region.name} has ${expansion.countries.length} countries; maximum ${regions.MAX_REGION_COUNTRIES} per region.`],
+      },
+    };
+  }
+  const countries = expansion ? expansion.countries : body.countries;
+
+  // 2. Resolve names, codes and misspellings to canonical names and deduplicate
+  //    ("usa" and "United States" are one country). A home country that is not
+  //    among them is fetched too, as a baseline only (never ranked).
+  const resolutions     = countries.map((c) => catalogue.resolve(c));
+  const uniqueCountries = [...new Set(resolutions.map((r) => (r.found ? r.country : r.input)))];
+  const resolvedInputs  = resolutions
+    .filter((r) => r.found && r.input !== r.country)
+    .map((r) => ({ input: r.input, country: r.country, match: r.match }));
+  const home            = homeCountry ? catalogue.canonicalName(homeCountry) : null;
+  const homeListed      = home && uniqueCountries.find((c) => c.toLowerCase() === home.toLowerCase());
+  const fetchList       = home && !homeListed ? [...uniqueCountries, home] : uniqueCountries;
 
   logger.info("ROUTE", `Analyzing ${uniqueCountries.length} countries`, {
     countries: uniqueCountries,
+    ...(region && { region: region.name, region_source: expansion.source }),
     riskTolerance: rt,
     duration: dur,
+    custom_weights: !!weights,
+    cities,
+    home_country: home,
   });
 
-  // 3. For each country: check cache, fetch if missing — ALL CONCURRENT
-  const cacheHitMap  = {};
-  const cacheMissMap = {};
+  // 3. For each country: fetch every source (each cached with its own TTL) — ALL CONCURRENT
+  //    (a region's members at most REGION_CONCURRENCY at a time).
+  //    A country counts as a cache hit only if every source was served from cache.
+  const cacheHitMap   = {};
+  const cacheMissMap  = {};
+  const freshnessMap  = {};
+  const fetched       = { completed: 0, failed: 0, total: fetchList.length };
 
-  const dataPromises = uniqueCountries.map(async (countryName) => {
-    const cacheKey = `country:${countryName.toLowerCase()}`;
+  progress("plan", {
+    countries: fetchList,
+    sources:   providers.listProviders({ enabledOnly: true }).map((p) => p.name),
+    total:     fetchList.length,
+  });
+  progress("stage", { stage: "fetching" });
+  const countryDone = (country, error) => {
+    fetched.completed += 1;
+    if (error) fetched.failed += 1;
+    progress("country", { country, ok: !error, ...(error && { error }), ...fetched });
+  };
 
+  const fetchCountry = async (countryName) => {
     try {
-      const { result, cacheHit } = await cache.getOrFetch(cacheKey, () =>
-        api.fetchAllDataForCountry(countryName)
-      );
+      const result = await api.fetchAllDataForCountry(countryName, {
+        cities:   citiesFor(cities, countryName),
+        onSource: (s) => progress("source", { country: countryName, ...s }),
+      });
+      const sources = [
+        ...Object.values(result.source_cache || {}),
+        ...(result.cities || []).flatMap((c) => Object.values(c.source_cache || {})),
+      ];
+      const cacheHit = sources.length > 0 && sources.every((f) => f.cache_hit);
 
       cacheHitMap[countryName]  = cacheHit;
       if (!cacheHit) cacheMissMap[countryName] = true;
+      if (result.source_cache) freshnessMap[countryName] = result.source_cache;
+      for (const c of result.cities || []) {
+        if (c.source_cache) freshnessMap[`${c.city}, ${countryName}`] = c.source_cache;
+      }
+      countryDone(countryName, result.found ? null : result.error);
       return result;
     } catch (err) {
       logger.error("ROUTE", `Failed to fetch data for ${countryName}`, { error: err.message });
       cacheHitMap[countryName] = false;
+      countryDone(countryName, `Failed to retrieve data: ${err.message}`);
       return {
         found:   false,
         country: countryName,
         error:   `Failed to retrieve data: ${err.message}`,
       };
     }
-  });
+  };
 
-  // Await all country fetches concurrently
-  const allData = await Promise.all(dataPromises);
+  const allData  = await mapLimit(fetchList, region ? REGION_CONCURRENCY : fetchList.length, fetchCountry);
+  const homeData = home && !homeListed ? allData.pop() : null;
 
-  // 4. Separate valid vs invalid countries
+  // 4. Separate valid vs invalid countries, and expand city-level requests
   const validData  = allData.filter((d) => d.found);
   const errorData  = allData.filter((d) => !d.found);
+  const units      = [];
+  for (const countryData of validData) {
+    const expanded = toScoringUnits(countryData);
+    units.push(...expanded.units);
+    errorData.push(...expanded.failed);
+  }
 
   // Check if we still have at least 1 valid country to score
-  if (validData.length === 0) {
-    return res.status(404).json({
-      success: false,
-      message: "None of the provided countries could be found or processed.",
-      errors: errorData.map((d) => ({ country: d.country, reason: d.error })),
-    });
+  if (units.length === 0) {
+    return {
+      status: 404,
+      body:   {
+        success: false,
+        message: "None of the provided countries could be found or processed.",
+        errors: errorData.map((d) => ({
+          country: d.country,
+          ...(d.city && { city: d.city }),
+          reason:  d.error,
+          ...(d.suggestions && { suggestions: d.suggestions }),
+        })),
+      },
+    };
   }
 
-  // 5. Score all valid countries
-  const scoredCountries = validData.map((countryData) => {
-    const scores = scoring.scoreCountry(countryData, rt, dur);
+  // 5. Score all valid countries (or cities)
+  progress("stage", { stage: "scoring" });
+  //    With a travel period, weather-derived components use climate normals
+  //    for the location; the live snapshot stays in raw_data for reference.
+  const buildEntry = (countryData) => {
+    const seasonal = travelMonths ? climate.climateFor(climateLocation(countryData), travelMonths) : null;
+    const scores   = scoring.scoreCountry(countryData, rt, dur, { ...scoringOptions, climate: seasonal });
     return {
       country: countryData.country,
+      ...(countryData.city && { city: countryData.city, location: countryData.location }),
       profile: {
         official_name: countryData.profile.name,
         capital:       countryData.profile.capital,
@@ -133,57 +493,325 @@ router.post("/", async (req, res) => {
       raw_data: {
         life_expectancy_years:          countryData.worldBank.lifeExpectancy,
         healthcare_expenditure_gdp_pct: countryData.worldBank.healthcareExpenditure,
+        price_level_ratio:              countryData.economy?.priceLevelRatio ?? null,
+        gdp_per_capita_usd:             countryData.economy?.gdpPerCapita ?? null,
+        inflation_cpi_pct:              countryData.economy?.inflation ?? null,
         weather:                        countryData.weather,
         aqi:                            countryData.aqi,
         travel_advisory:                countryData.advisory,
       },
+      trends:             trends.computeTrends(countryData),
+      ...(travelMonths && {
+        climate: seasonal || {
+          basis:  "live_snapshot",
+          reason: `No climate normals for ${climateLocation(countryData).name}; scored on current weather.`,
+        },
+      }),
       data_availability:  countryData.data_availability,
       cache_hit:          cacheHitMap[countryData.country] ?? false,
       scores,
     };
-  });
+  };
+  const scoredCountries = units.map(buildEntry);
 
-  // 6. Rank
-  const rankedResults = scoring.rankResults(scoredCountries);
+  // 5b. Home-country baseline: deltas and a comparison sentence per result.
+  //     A listed home analysed at city level uses its first city.
+  let homeBaseline = null;
+  if (homeListed) {
+    homeBaseline = scoredCountries.find((e) => e.country === homeListed) || null;
+  } else if (homeData?.found) {
+    homeBaseline = buildEntry(toScoringUnits(homeData).units[0]);
+  } else if (homeData) {
+    errorData.push({ ...homeData, home: true });
+  }
+
+  if (homeBaseline) {
+    const homeLabel = homeBaseline.city ? `${homeBaseline.city}, ${homeBaseline.country}` : homeBaseline.country;
+    for (const entry of scoredCountries) {
+      if (entry === homeBaseline) {
+        entry.is_home = true;
+        continue;
+      }
+      entry.comparison_to_home = {
+        home_country: homeLabel,
+        ...comparison.compareScores(entry.scores, homeBaseline.scores),
+      };
+      entry.scores.reasoning.push(comparison.describeComparison(homeLabel, entry.comparison_to_home));
+    }
+  }
+
+  // 5c. Exclusions: results that violate a hard constraint, or (missing-data
+  //     policy "exclude") whose data confidence is below the minimum, are
+  //     reported separately with their reasons instead of ranked.
+  const rankable = [];
+  const excluded = [];
+  for (const entry of scoredCountries) {
+    const { confidence } = entry.scores;
+    const reasons = constraints.violations(entry, body.constraints);
+    if (missingData.policy === "exclude" && confidence < missingData.minConfidence) {
+      reasons.unshift({
+        type:           "data_completeness",
+        confidence,
+        min_confidence: missingData.minConfidence,
+        message:        `Data confidence ${confidence} is below the required ${missingData.minConfidence}.`,
+      });
+    }
+    if (reasons.length > 0) {
+      excluded.push({ ...entry, exclusion_reasons: reasons });
+    } else {
+      rankable.push(entry);
+    }
+  }
+  const reportExclusions = missingData.policy === "exclude" || body.constraints !== undefined;
+
+  // 6. Rank (by composite, or into Pareto tiers), and optionally test how
+  //    stable a weighted ranking is
+  progress("stage", { stage: "ranking" });
+  const ranking       = resolveRanking(body.ranking);
+  const rankedResults = scoring.rankResults(rankable, ranking);
+  const weightProfile = scoring.getDynamicWeights(rt, dur, weights);
+  const subWeightProfile = scoring.resolveSubWeights(subWeights);
+
+  const sensitivityOptions = sensitivity.resolveOptions(body.sensitivity, rankedResults.length);
+  if (sensitivityOptions && rankedResults.length > 0) {
+    const reports = sensitivity.analyze(
+      rankedResults, weightProfile, subWeightProfile, sensitivityOptions, missingData.policy
+    );
+    rankedResults.forEach((entry, i) => { entry.sensitivity = reports[i]; });
+  }
+
+  // 6b. Region batch: only the top N are returned in full; the aggregates
+  //     cover every ranked member
+  const shownResults  = region ? rankedResults.slice(0, region.top) : rankedResults;
+  const regionSummary = region && {
+    selector: { type: region.type, name: region.name, region: region.region },
+    source:   expansion.source,
+    members:  uniqueCountries.length,
+    analyzed: validData.length,
+    failed:   errorData.length,
+    excluded: excluded.length,
+    ranked:   rankedResults.length,
+    shown:    shownResults.length,
+    statistics: regions.aggregate(rankedResults),
+  };
 
   // 7. Build response
   const responseTimeMs = Date.now() - requestStart;
 
   logger.info("ROUTE", `Analysis complete in ${responseTimeMs}ms`, {
     countries_analyzed: validData.length,
+    cities_analyzed: units.filter((u) => u.city).length,
     countries_failed: errorData.length,
     cache_hits: Object.values(cacheHitMap).filter(Boolean).length,
     cache_misses: Object.keys(cacheMissMap).length,
     response_time_ms: responseTimeMs,
   });
 
-  return res.json({
-    success: true,
-    meta: {
-      query: {
-        countries:     uniqueCountries,
-        riskTolerance: rt,
-        duration:      dur,
-      },
-      performance: {
-        response_time_ms:    responseTimeMs,
-        countries_analyzed:  validData.length,
-        countries_failed:    errorData.length,
+  return {
+    status: 200,
+    body:   {
+      success: true,
+      meta: {
+        query: {
+          countries:     uniqueCountries,
+          ...(region && { region: { ...region, source: expansion.source } }),
+          ...(resolvedInputs.length && { resolved_names: resolvedInputs }),
+          riskTolerance:  rt,
+          duration:       dur,
+          custom_weights: !!weights,
+          trend_adjusted: !!trendAdjusted,
+          ...(cities && { cities }),
+          ...(travelMonths && {
+            travel_period: { label: climate.periodLabel(travelMonths), months: travelMonths },
+          }),
+          ...(home && { home_country: home }),
+          ...(sensitivityOptions && { sensitivity: sensitivityOptions }),
+          missing_data:   missingData,
+          ...(body.constraints && { constraints: body.constraints }),
+          ranking,
+        },
+        performance: {
+          response_time_ms:    responseTimeMs,
+          countries_analyzed:  validData.length,
+          cities_analyzed:     units.filter((u) => u.city).length,
+          countries_failed:    errorData.length,
+          ...(reportExclusions && { countries_excluded: excluded.length }),
+          ...(region && { countries_ranked: rankedResults.length }),
+        },
+        cache: {
+          hits:   Object.entries(cacheHitMap).filter(([, v]) => v).map(([k]) => k),
+          misses: Object.entries(cacheHitMap).filter(([, v]) => !v).map(([k]) => k),
+          ttl_minutes: Object.fromEntries(
+            providers.listProviders({ enabledOnly: true }).map((p) => [p.name, Math.round(p.ttlMs / 60000)])
+          ),
+          freshness: freshnessMap,
+        },
+        request_id:   requestContext.requestId(),
+        ...(requestContext.current()?.traceId && { trace_id: requestContext.current().traceId }),
+        generated_at: new Date().toISOString(),
       },
-      cache: {
-        hits:   Object.entries(cacheHitMap).filter(([, v]) => v).map(([k]) => k),
-        misses: Object.entries(cacheHitMap).filter(([, v]) => !v).map(([k]) => k),
-        ttl_minutes: 60,
+      weight_profile: {
+        ...weightProfile,
+        source:      weights ? "custom" : "preset",
+        sub_weights: subWeightProfile,
       },
-      generated_at: new Date().toISOString(),
+      ...(home && { home_baseline: homeBaseline }),
+      ...(ranking.mode === "pareto" && { pareto: scoring.paretoSummary(rankedResults, ranking.objectives) }),
+      ...(region && { region_summary: regionSummary }),
+      ranked_results: shownResults,
+      ...(reportExclusions && { excluded_countries: excluded }),
+      failed_countries: errorData.map((d) => ({
+        country: d.country,
+        ...(d.city && { city: d.city }),
+        ...(d.home && { home: true }),
+        reason:  d.error,
+        ...(d.suggestions && { suggestions: d.suggestions }),
+      })),
     },
-    weight_profile: scoring.getDynamicWeights(rt, dur),
-    ranked_results: rankedResults,
-    failed_countries: errorData.map((d) => ({
-      country: d.country,
-      reason:  d.error,
-    })),
+  };
+}
+
+/**
+ * runAnalysis, counted and timed in the analyze metrics under `mode`
+ * ("sync" or "job"); a crash counts as status 500.
+ */
+async function measuredAnalysis(mode, body, progress) {
+  const stopTimer = metrics.analyzeDuration.startTimer({ mode });
+  let status = 500;
+  try {
+    const outcome = await runAnalysis(body, progress);
+    status = outcome.status;
+    return outcome;
+  } finally {
+    stopTimer();
+    metrics.analyzeRequests.inc({ mode, status });
+  }
+}
+
+/**
+ * measuredAnalysis of an accepted request, whose reserved quota is given back
+ * unless the analysis produces a result
+ */
+async function chargedAnalysis(req, mode, progress) {
+  let status = 500;
+  try {
+    const outcome = await measuredAnalysis(mode, req.body, progress);
+    status = outcome.status;
+    return outcome;
+  } finally {
+    if (status !== 200) refundAnalysis(req);
+  }
+}
+
+// ─── Synchronous Route ────────────────────────────────────────────────────────
+// Invalid requests get their 400 from runAnalysis without touching the quota.
+router.post("/", handle(async (req, res) => {
+  const accepted = validateInput(req.body).length === 0;
+  if (accepted && !reserveAnalysis(req, res)) return;
+
+  const { status, body } = accepted
+    ? await chargedAnalysis(req, "sync")
+    : await measuredAnalysis("sync", req.body);
+  res.status(status).json(body);
+}));
+
+// ─── Analysis Jobs ────────────────────────────────────────────────────────────
+// POST /jobs runs the same analysis in the background; progress streams over
+// Server-Sent Events (GET /jobs/:id/events) and the result is kept by id.
+
+const SSE_HEARTBEAT_MS = 15 * 1000;
+const TERMINAL_EVENTS  = ["done", "failed"];
+
+/** Progress counters, derived from a job's events */
+function jobProgress(job) {
+  const ofType  = (type) => job.events.filter((e) => e.type === type).map((e) => e.data);
+  const plan    = ofType("plan")[0];
+  const country = ofType("country").pop();
+  const sources = ofType("source");
+  return {
+    stage:            ofType("stage").pop()?.stage ?? null,
+    countries_total:  plan?.total ?? null,
+    countries_done:   country?.completed ?? 0,
+    countries_failed: country?.failed ?? 0,
+    sources_done:     sources.length,
+    sources_failed:   sources.filter((s) => !s.ok).length,
+  };
+}
+
+const jobLinks = (req, job) => ({
+  self:   `${req.baseUrl}/jobs/${job.id}`,
+  events: `${req.baseUrl}/jobs/${job.id}/events`,
+});
+
+router.post("/jobs", (req, res) => {
+  const validationErrors = validateInput(req.body);
+  if (validationErrors.length > 0) {
+    metrics.analyzeRequests.inc({ mode: "job", status: 400 });
+    return res.status(400).json({ success: false, errors: validationErrors });
+  }
+  if (!reserveAnalysis(req, res)) return;
+
+  const job = jobs.createJob("analysis", async (progress) => {
+    const { status, body } = await chargedAnalysis(req, "job", progress);
+    return { ok: status === 200, result: body };
+  }, { owner: req.apiClient });
+  if (!job) {
+    refundAnalysis(req);
+    metrics.analyzeRequests.inc({ mode: "job", status: 429 });
+    return res.status(429).set("Retry-After", "5").json({
+      success: false,
+      message: `Too many analysis jobs in progress (max ${jobs.MAX_ACTIVE_JOBS}); retry shortly.`,
+    });
+  }
+
+  logger.info("ROUTE", `Queued analysis job ${job.id}`);
+  const links = jobLinks(req, job);
+  res.status(202).location(links.self).json({ success: true, job: jobs.describeJob(job), links });
+});
+
+router.get("/jobs/:id", (req, res) => {
+  const job = jobs.getJob(req.params.id, req.apiClient);
+  if (!job) return res.status(404).json({ success: false, message: `Unknown or expired job "${req.params.id}".` });
+
+  res.json({
+    success: true,
+    job:     { ...jobs.describeJob(job), progress: jobProgress(job) },
+    links:   jobLinks(req, job),
+    ...(job.status === "succeeded" && { result: job.result }),
+    ...(job.status === "failed" && { error: job.error }),
   });
 });
 
+// Replays past events (after Last-Event-ID, if reconnecting), then follows
+// the job; the stream ends after its "done" or "failed" event.
+router.get("/jobs/:id/events", (req, res) => {
+  const job = jobs.getJob(req.params.id, req.apiClient);
+  if (!job) return res.status(404).json({ success: false, message: `Unknown or expired job "${req.params.id}".` });
+
+  res.set({
+    "Content-Type":      "text/event-stream",
+    "Cache-Control":     "no-cache",
+    "Connection":        "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), SSE_HEARTBEAT_MS);
+  heartbeat.unref();
+  let unsubscribe = () => {};
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    if (!res.writableEnded) res.end();
+  };
+
+  unsubscribe = jobs.subscribe(job, (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    if (TERMINAL_EVENTS.includes(event.type)) close();
+  }, Number(req.get("Last-Event-ID")) || 0);
+
+  if (job.finishedAt) close();   // nothing left to follow
+  req.on("close", close);
+});
+
 module.exports = router;
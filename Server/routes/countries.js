@@ -0,0 +1,60 @@
+/**
+ * routes/countries.js
+ *
+ * Country catalogue lookup (mounted at /api/countries):
+ *  GET /?q=&limit=       — search by name, alias, native name or ISO code
+ *                          (autocomplete); without q, the whole catalogue
+ *  GET /resolve?name=    — resolve one input the way /api/analyze does
+ */
+
+const express   = require("express");
+const router    = express.Router();
+const catalogue = require("../services/countryService");
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT     = 50;
+const MAX_QUERY     = 100;
+
+// ─── Search ───────────────────────────────────────────────────────────────────
+router.get("/", (req, res) => {
+  const { q, limit } = req.query;
+  const errors = [];
+
+  if (q !== undefined && (typeof q !== "string" || q.length > MAX_QUERY)) {
+    errors.push(`"q" must be a string of at most ${MAX_QUERY} characters.`);
+  }
+  const n = limit === undefined ? DEFAULT_LIMIT : Number(limit);
+  if (!(Number.isInteger(n) && n >= 1 && n <= MAX_LIMIT)) {
+    errors.push(`"limit" must be an integer between 1 and ${MAX_LIMIT}.`);
+  }
+  if (errors.length) return res.status(400).json({ success: false, errors });
+
+  const countries = q && q.trim() ? catalogue.search(q, n) : catalogue.list();
+  res.json({ success: true, count: countries.length, countries });
+});
+
+// ─── Resolve ──────────────────────────────────────────────────────────────────
+router.get("/resolve", (req, res) => {
+  const { name } = req.query;
+  if (typeof name !== "string" || !name.trim() || name.length > MAX_QUERY) {
+    return res.status(400).json({
+      success: false,
+      errors: [`"name" must be a non-empty string of at most ${MAX_QUERY} characters.`],
+    });
+  }
+
+  const r = catalogue.resolve(name);
+  if (!r.found) {
+    const hint = r.suggestions.length ? ` Did you mean: ${r.suggestions.join(", ")}?` : "";
+    return res.status(404).json({
+      success:     false,
+      message:     `Unknown country "${r.input}".${hint}`,
+      suggestions: r.suggestions,
+    });
+  }
+
+  const entry = catalogue.loadCatalogue().byCode.get(r.iso2);
+  res.json({ success: true, input: r.input, match: r.match, country: catalogue.describe(entry) });
+});
+
+module.exports = router;
@@ -3,10 +3,21 @@
  *
  * Architecture:
  *  routes/analyze.js     — POST /api/analyze handler
+ *  routes/admin.js       — Authenticated cache and API-key administration (/api/admin)
+ *  routes/countries.js   — Country catalogue search and resolution (/api/countries)
+ *  middleware/requireApiKey.js — API keys, per-key rate limits and daily quotas
  *  services/apiService.js    — External API integrations
+ *  services/providerRegistry.js — Data-source provider registry
+ *  services/resilienceService.js — Upstream retries, circuit breakers, rate limits
+ *  services/metricsService.js — Prometheus metrics (GET /metrics)
+ *  services/tracingService.js — Optional OpenTelemetry-style spans (file / OTLP)
  *  services/scoringService.js — Normalization, scoring, ranking
- *  services/cacheService.js  — 60-min TTL cache + in-flight deduplication
- *  utils/logger.js           — Structured JSON logging
+ *  services/countryService.js — Country name resolution and catalogue search
+ *  services/cacheService.js  — Per-source TTL cache, stale-while-revalidate, dedup
+ *  services/cacheBackends/   — Cache storage: memory, file, redis
+ *  utils/logger.js           — Structured JSON logging, with secret redaction
+ *  utils/tls.js              — HTTPS agents: extra CA bundle, per-provider opt-out
+ *  utils/requestContext.js   — Per-request correlation id via AsyncLocalStorage
  */
 
 require("dotenv").config();
@@ -14,13 +25,48 @@ const express = require("express");
 const cors    = require("cors");
 const logger  = require("./utils/logger");
 const cache   = require("./services/cacheService");
+const providers = require("./services/providerRegistry");
+const resilience = require("./services/resilienceService");
+const tls       = require("./utils/tls");
+const metrics   = require("./services/metricsService");
+const tracing   = require("./services/tracingService");
+const requestContext = require("./utils/requestContext");
+const requireApiKey  = require("./middleware/requireApiKey");
 
 const app = express();
 
 // ─── Middleware ───────────────────────────────────────────────────────────────
-app.use(cors());
+// CORS_ORIGINS="https://a.example,https://b.example" limits browser access to
+// those origins; unset (or "*") allows any origin.
+const corsOrigins = (process.env.CORS_ORIGINS || "*").split(",").map((s) => s.trim()).filter(Boolean);
+app.use(cors({
+  origin:         corsOrigins.includes("*") ? "*" : corsOrigins,
+  exposedHeaders: [
+    "X-Request-Id", "Retry-After",
+    "X-RateLimit-Limit", "X-RateLimit-Remaining", "X-RateLimit-Reset",
+    "X-Quota-Limit", "X-Quota-Remaining", "X-Quota-Reset",
+  ],
+}));
 app.use(express.json());
 
+// Correlation id (X-Request-Id in, or generated; echoed back) and the request's
+// server span. Registered after the body parser, whose stream callbacks would
+// otherwise run outside the request's async context.
+app.use((req, res, next) => {
+  const requestId = requestContext.requestIdFrom(req.headers);
+  const span      = tracing.startSpan(`${req.method} ${req.path}`, {
+    kind:       "server",
+    parent:     tracing.parseTraceparent(req.headers.traceparent),
+    attributes: { "http.method": req.method, "http.target": req.originalUrl, "request.id": requestId },
+  });
+  res.set("X-Request-Id", requestId);
+  res.on("finish", () => {
+    span.setAttribute("http.status_code", res.statusCode);
+    span.end({ error: res.statusCode >= 500 ? `HTTP ${res.statusCode}` : null });
+  });
+  requestContext.run({ requestId, traceId: span.traceId, spanId: span.spanId }, next);
+});
+
 // Request logging middleware
 app.use((req, _res, next) => {
   logger.info("HTTP", `${req.method} ${req.path}`, {
@@ -31,18 +77,41 @@ app.use((req, _res, next) => {
 });
 
 // ─── Routes ───────────────────────────────────────────────────────────────────
-app.use("/api/analyze", require("./routes/analyze"));
+app.use("/api/analyze", requireApiKey, require("./routes/analyze"));
+app.use("/api/admin",   require("./routes/admin"));
+app.use("/api/countries", require("./routes/countries"));
 
-// Health check + cache stats
-app.get("/health", (_req, res) => {
+// Health check + cache stats + data-source providers and their circuit breakers.
+// "degraded" while any upstream's circuit is open.
+app.get("/health", async (_req, res) => {
+  const upstreams = resilience.snapshot();
+  const insecure  = tls.insecureProviders();
+  const degraded  = Object.values(upstreams).some((u) => u.state !== "closed");
   res.json({
-    status: "ok",
-    cache: cache.stats(),
+    status: degraded ? "degraded" : "ok",
+    cache: await cache.stats(),
+    providers: providers.listProviders().map((p) => ({
+      name:     p.name,
+      label:    p.label,
+      enabled:  p.enabled,
+      requires: p.requires,
+      circuit:  upstreams[p.label]?.state ?? "closed",
+      tls_verified: !insecure.includes(p.name),
+    })),
+    upstreams,
     uptime_seconds: Math.floor(process.uptime()),
     timestamp: new Date().toISOString(),
   });
 });
 
+// Prometheus scrape endpoint; cache gauges are read at scrape time
+app.get("/metrics", async (_req, res) => {
+  const stats = await cache.stats();
+  metrics.cacheEntries.set(stats.cached_entries ?? NaN);
+  metrics.cacheInFlight.set(stats.in_flight);
+  res.type(metrics.CONTENT_TYPE).send(metrics.render());
+});
+
 // 404 handler
 app.use((_req, res) => {
   res.status(404).json({ success: false, message: "Route not found." });
@@ -55,12 +124,15 @@ app.use((err, _req, res, _next) => {
 });
 
 // ─── Start Server ─────────────────────────────────────────────
+// Only listen when run directly; tests and Vercel import the app instead.
 const PORT = process.env.PORT || 3001;
 
-app.listen(PORT, () => {
-  logger.info("SERVER", `🌍 Decision Engine running on port ${PORT}`);
-  logger.info("SERVER", `Environment: ${process.env.NODE_ENV || "development"}`);
-});
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logger.info("SERVER", `🌍 Decision Engine running on port ${PORT}`);
+    logger.info("SERVER", `Environment: ${process.env.NODE_ENV || "development"}`);
+  });
+}
 
 // Export for Vercel
 module.exports = app;
\ No newline at end of file
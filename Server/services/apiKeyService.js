@@ -0,0 +1,233 @@
+/**
+ * apiKeyService.js
+ *
+ * API keys for the analysis API, each with its own limits and usage counters:
+ *  - Per-minute rate limit on requests (fixed one-minute window)
+ *  - Daily quota on accepted analyses, reset at 00:00 UTC. The route reserves
+ *    one once a request passes validation and refunds it when the analysis
+ *    produces no result.
+ *
+ * Keys come from API_KEYS_FILE, a JSON array of
+ *   { "name": "dashboard", "key": "…" | "sha256": "<hex digest of the key>",
+ *     "rate_per_minute": 30, "daily_quota": 500 }
+ * or from API_KEYS="name:key,name:key" with the API_KEY_RATE_PER_MINUTE
+ * (default 30) and API_KEY_DAILY_QUOTA (default 500) limits.
+ * With no keys configured, authentication is off and the API stays open.
+ *
+ * Usage lives in this process only and restarts from zero.
+ */
+
+const fs     = require("fs");
+const crypto = require("crypto");
+const logger = require("../utils/logger");
+
+const WINDOW_MS = 60 * 1000;
+const DEFAULTS  = {
+  ratePerMinute: Number(process.env.API_KEY_RATE_PER_MINUTE) || 30,
+  dailyQuota:    Number(process.env.API_KEY_DAILY_QUOTA) || 500,
+};
+
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+let clients = null;   // sha256(key) → client
+
+// ─── Key Loading ──────────────────────────────────────────────────────────────
+
+function readKeyFile(file) {
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Cannot load API_KEYS_FILE ${file}: ${err.message}`);
+  }
+  if (!Array.isArray(entries)) throw new Error(`API_KEYS_FILE ${file} must contain a JSON array.`);
+  return entries;
+}
+
+function readKeyEnv(value) {
+  return value.split(",").map((s) => s.trim()).filter(Boolean).map((pair) => {
+    const i = pair.indexOf(":");
+    return i > 0 ? { name: pair.slice(0, i), key: pair.slice(i + 1) } : { name: null, key: pair };
+  });
+}
+
+function createClient(entry, index) {
+  const name = entry.name || `key-${index + 1}`;
+  const hash = entry.sha256?.toLowerCase() || (entry.key && sha256(entry.key));
+  if (!hash) throw new Error(`API key "${name}" needs a "key" or "sha256".`);
+  return {
+    name,
+    hash,
+    limits: {
+      rate_per_minute: entry.rate_per_minute ?? DEFAULTS.ratePerMinute,
+      daily_quota:     entry.daily_quota ?? DEFAULTS.dailyQuota,
+    },
+    window: { start: 0, count: 0 },
+    day:    { date: null, analyses: 0 },
+    usage:  { requests: 0, analyses: 0, rate_limited: 0, quota_exceeded: 0, last_used_at: null },
+  };
+}
+
+function load() {
+  const file    = process.env.API_KEYS_FILE;
+  const entries = file ? readKeyFile(file) : readKeyEnv(process.env.API_KEYS || "");
+  const loaded  = new Map();
+  entries.forEach((entry, i) => {
+    const client = createClient(entry, i);
+    if ([...loaded.values()].some((c) => c.name === client.name)) {
+      throw new Error(`Duplicate API key name "${client.name}".`);
+    }
+    loaded.set(client.hash, client);
+  });
+  if (loaded.size === 0) logger.warn("AUTH", "No API keys configured; the analysis API is open to everyone");
+  return loaded;
+}
+
+function registry() {
+  clients ||= load();
+  return clients;
+}
+
+/** Whether requests must present an API key */
+function enabled() {
+  return registry().size > 0;
+}
+
+/** The client owning a presented key, or null */
+function authenticate(key) {
+  if (typeof key !== "string" || !key) return null;
+  return registry().get(sha256(key)) || null;
+}
+
+// ─── Limits ───────────────────────────────────────────────────────────────────
+
+const utcDate = (ms) => new Date(ms).toISOString().slice(0, 10);
+const nextUtcMidnight = (ms) => {
+  const d = new Date(ms);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+};
+
+/** The client's windows rolled forward to `now`, with builders for its limit state */
+function limitsAt(client, now) {
+  const { window, day, limits } = client;
+  if (now - window.start >= WINDOW_MS) Object.assign(window, { start: now, count: 0 });
+  const today = utcDate(now);
+  if (day.date !== today) Object.assign(day, { date: today, analyses: 0 });
+
+  const rateReset  = window.start + WINDOW_MS;
+  const quotaReset = nextUtcMidnight(now);
+  const state = () => ({
+    rate:  { limit: limits.rate_per_minute, remaining: Math.max(0, limits.rate_per_minute - window.count), reset_at: rateReset },
+    quota: { limit: limits.daily_quota, remaining: Math.max(0, limits.daily_quota - day.analyses), reset_at: quotaReset },
+  });
+  const reject = (reason, resetAt) => ({
+    allowed: false,
+    reason,
+    resetAt,
+    retryAfterSeconds: Math.max(1, Math.ceil((resetAt - now) / 1000)),
+    ...state(),
+  });
+  return { rateReset, quotaReset, state, reject };
+}
+
+/**
+ * Count a request against a client's per-minute rate limit.
+ * @param {Object} client
+ * @param {{ rateLimited?: boolean }} [opts] — false records the request without spending the rate limit
+ * @returns {{ allowed: true, rate, quota } | { allowed: false, reason, retryAfterSeconds, resetAt, rate, quota }}
+ *   where rate / quota are { limit, remaining, reset_at }
+ */
+function consume(client, { rateLimited = true } = {}) {
+  const now = Date.now();
+  const { window, limits, usage } = client;
+  const { rateReset, state, reject } = limitsAt(client, now);
+
+  if (rateLimited) {
+    if (window.count >= limits.rate_per_minute) {
+      usage.rate_limited += 1;
+      return reject("rate_limited", rateReset);
+    }
+    window.count += 1;
+  }
+  usage.requests    += 1;
+  usage.last_used_at = now;
+  return { allowed: true, ...state() };
+}
+
+/**
+ * Spend one analysis from a client's daily quota.
+ * @returns {{ allowed: true, reservation, rate, quota } | { allowed: false, reason, ... }}
+ *   — as consume(); pass `reservation` to refundAnalysis to give it back
+ */
+function reserveAnalysis(client) {
+  const { day, limits, usage } = client;
+  const { quotaReset, state, reject } = limitsAt(client, Date.now());
+
+  if (day.analyses >= limits.daily_quota) {
+    usage.quota_exceeded += 1;
+    return reject("quota_exceeded", quotaReset);
+  }
+  day.analyses   += 1;
+  usage.analyses += 1;
+  return { allowed: true, reservation: { client, date: day.date }, ...state() };
+}
+
+/** Return a reserved analysis to the quota it was taken from (unless that day is over) */
+function refundAnalysis({ client, date }) {
+  if (client.day.date !== date || client.day.analyses === 0) return;
+  client.day.analyses   -= 1;
+  client.usage.analyses -= 1;
+}
+
+// ─── Administration ───────────────────────────────────────────────────────────
+
+const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+/** Public view of a client: limits and usage, never the key */
+function describe(client) {
+  const today    = utcDate(Date.now());
+  const analyses = client.day.date === today ? client.day.analyses : 0;
+  return {
+    name:   client.name,
+    limits: client.limits,
+    today:  { date: today, analyses, quota_remaining: Math.max(0, client.limits.daily_quota - analyses) },
+    usage:  { ...client.usage, last_used_at: iso(client.usage.last_used_at) },
+  };
+}
+
+function list() {
+  return [...registry().values()].map(describe);
+}
+
+function findByName(name) {
+  return [...registry().values()].find((c) => c.name === name) || null;
+}
+
+/** Clear a client's rate window and today's quota. Returns false for an unknown name. */
+function resetUsage(name) {
+  const client = findByName(name);
+  if (!client) return false;
+  Object.assign(client.window, { start: 0, count: 0 });
+  Object.assign(client.day, { date: null, analyses: 0 });
+  logger.info("AUTH", `Reset usage for API key "${name}"`);
+  return true;
+}
+
+/** Re-read keys from the environment, dropping all usage (tests) */
+function reload() {
+  clients = null;
+}
+
+module.exports = {
+  enabled,
+  authenticate,
+  consume,
+  reserveAnalysis,
+  refundAnalysis,
+  describe,
+  list,
+  findByName,
+  resetUsage,
+  reload,
+  sha256,
+};
@@ -3,17 +3,34 @@
  *
  * All external API integrations:
  *  1. REST Countries v3     — profile data (free, no key)
- *  2. World Bank API        — life expectancy + healthcare expenditure (free, no key)
+ *  2. World Bank API        — life expectancy + healthcare expenditure, with history (free, no key)
  *  3. OpenWeatherMap        — current weather (free key required)
  *  4. WAQI                  — Air Quality Index (free key required)
- *  5. travel-advisory.info  — travel advisory score (free, no key)
+ *  5. World Bank PV.EST     — political stability, as a travel advisory score (free, no key)
  *
- * Each fetcher is independent. Failures are caught and returned as null
- * so the rest of the pipeline continues (partial failure resilience).
+ * Each source is registered as a provider (see providerRegistry.js) declaring
+ * the fields it supplies and the context it depends on (e.g. iso2, location).
+ * Country-scoped sources run once per country; location-scoped sources
+ * (weather, AQI) run for the capital or for each requested city.
+ * Each call goes through a per-API guard (resilienceService.js): retries with
+ * backoff, a circuit breaker and concurrency / rate limits. Failures are then
+ * caught and returned as null so the rest of the pipeline continues (partial
+ * failure resilience).
+ * Requests verify TLS certificates; opt-outs are per provider (utils/tls.js).
+ * API keys travel in query strings, so never log a request URL unredacted —
+ * the logger strips them (utils/logger.js).
  */
-process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
 const axios = require("axios");
 const logger = require("../utils/logger");
+const tls    = require("../utils/tls");
+const registry = require("./providerRegistry");
+const fixtures = require("./fixtureService");
+const cache    = require("./cacheService");
+const countries = require("./countryService");
+const resilience = require("./resilienceService");
+const metrics    = require("./metricsService");
+const tracing    = require("./tracingService");
+const requestContext = require("../utils/requestContext");
 
 const WEATHER_API_KEY = process.env.WEATHER_API_KEY || "YOUR_OPENWEATHERMAP_KEY";
 const AQI_API_KEY     = process.env.AQI_API_KEY     || "YOUR_WAQI_TOKEN";
@@ -21,18 +38,44 @@ const AQI_API_KEY     = process.env.AQI_API_KEY     || "YOUR_WAQI_TOKEN";
 // Shared axios instance with a reasonable timeout
 const http = axios.create({ timeout: 8000 });
 
+// Record / replay responses when API_FIXTURE_MODE is set (offline & CI runs)
+fixtures.install(http);
+
+/** GET through the shared client, with the provider's TLS agent */
+function get(provider, url) {
+  return http.get(url, { httpsAgent: tls.agentFor(provider) });
+}
+
+// OpenWeatherMap's free tier allows 60 calls a minute across weather and geocoding
+const OWM_LIMITS = {
+  quota:         "OPENWEATHERMAP",
+  ratePerMinute: Number(process.env.OPENWEATHERMAP_RATE_PER_MINUTE) || 60,
+  concurrency:   4,
+};
+
 /**
- * Utility: timed API call with logging
+ * Utility: timed API call with logging, metrics and a trace span, through the
+ * API's resilience guard (`limits` configure the guard on first use)
  */
-async function timedCall(apiName, country, fn) {
+async function timedCall(apiName, country, fn, limits) {
   const start = Date.now();
+  const span  = tracing.startSpan(`upstream ${apiName}`, {
+    kind:       "client",
+    parent:     requestContext.current(),
+    attributes: { "upstream.api": apiName, "relocation.location": country },
+  });
   try {
-    const result = await fn();
+    const result = await resilience.call(apiName, fn, limits);
     logger.apiCall(apiName, country, Date.now() - start, true);
+    metrics.upstreamDuration.observe({ api: apiName, outcome: "success" }, (Date.now() - start) / 1000);
+    span.end();
     return result;
   } catch (err) {
     logger.apiCall(apiName, country, Date.now() - start, false);
     logger.partialFailure(country, apiName, err.message);
+    metrics.upstreamDuration.observe({ api: apiName, outcome: "failure" }, (Date.now() - start) / 1000);
+    metrics.upstreamFailures.inc({ api: apiName });
+    span.end({ error: err });
     return null;
   }
 }
@@ -40,171 +83,461 @@ async function timedCall(apiName, country, fn) {
 // ─────────────────────────────────────────────────────────────────────────────
 // 1. REST Countries v3
 // ─────────────────────────────────────────────────────────────────────────────
-async function fetchCountryProfile(countryName) {
-  return timedCall("REST_COUNTRIES", countryName, async () => {
-    const res = await http.get(
-      `https://restcountries.com/v3.1/name/${encodeURIComponent(countryName)}?fullText=true`
-    );
-    const c = res.data[0];
-    if (!c) throw new Error("No country data returned");
+// Looked up by ISO code when the name resolved against the country catalogue,
+// else by the name as given
+async function fetchCountryProfile({ country: countryName, countryCode }) {
+  const res = await get("profile", countryCode
+    ? `https://restcountries.com/v3.1/alpha/${countryCode.toLowerCase()}`
+    : `https://restcountries.com/v3.1/name/${encodeURIComponent(countryName)}?fullText=true`
+  );
+  const c = res.data[0];
+  if (!c) throw new Error("No country data returned");
 
-    return {
-      iso2:       c.cca2,
-      iso3:       c.cca3,
-      name:       c.name?.common || countryName,
-      capital:    c.capital?.[0] || null,
-      population: c.population || null,
-      region:     c.region || null,
-      subregion:  c.subregion || null,
-      currencies: Object.values(c.currencies || {})
-                    .map((cur) => `${cur.name} (${cur.symbol || "?"})`)
-                    .join(", ") || null,
-      flag:       c.flags?.png || null,
-      languages:  Object.values(c.languages || {}).join(", ") || null,
-    };
-  });
+  return {
+    iso2:       c.cca2,
+    iso3:       c.cca3,
+    name:       c.name?.common || countryName,
+    capital:    c.capital?.[0] || null,
+    population: c.population || null,
+    region:     c.region || null,
+    subregion:  c.subregion || null,
+    currencies: Object.values(c.currencies || {})
+                  .map((cur) => `${cur.name} (${cur.symbol || "?"})`)
+                  .join(", ") || null,
+    flag:       c.flags?.png || null,
+    languages:  Object.values(c.languages || {}).join(", ") || null,
+  };
+}
+
+// Region / subregion membership (for region batch analysis); REST Countries,
+// so it shares profile's TLS settings
+async function fetchRegionCountries({ type, name }) {
+  const res = await get("profile",
+    `https://restcountries.com/v3.1/${type}/${encodeURIComponent(name)}?fields=name,cca2,independent`
+  );
+  if (!Array.isArray(res.data) || res.data.length === 0) throw new Error("No countries returned");
+  return res.data.map((c) => ({
+    name:        c.name?.common,
+    iso2:        c.cca2,
+    independent: c.independent !== false,
+  }));
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
 // 2. World Bank — Life Expectancy & Healthcare Expenditure
 // ─────────────────────────────────────────────────────────────────────────────
-async function fetchWorldBankIndicator(iso2, indicator) {
-  const url = `https://api.worldbank.org/v2/country/${iso2}/indicator/${indicator}?format=json&mrv=3&per_page=3`;
-  const res = await http.get(url);
-  const records = res.data?.[1];
-  if (!records || records.length === 0) return null;
-  // Return the most recent non-null value
-  for (const record of records) {
-    if (record.value !== null) return record.value;
-  }
-  return null;
+// Years of history kept per indicator (for trend analysis)
+const HISTORY_YEARS = Number(process.env.WORLD_BANK_HISTORY_YEARS) || 20;
+
+/**
+ * Fetch an indicator's recent history.
+ * Returns { latest, series } where series is [{ year, value }] oldest → newest,
+ * nulls dropped, and latest is the most recent non-null value.
+ */
+async function fetchWorldBankSeries(provider, iso2, indicator) {
+  const url = `https://api.worldbank.org/v2/country/${iso2}/indicator/${indicator}?format=json&mrv=${HISTORY_YEARS}&per_page=${HISTORY_YEARS}`;
+  const res = await get(provider, url);
+  const records = res.data?.[1] || [];
+  // World Bank returns newest first
+  const series = records
+    .filter((r) => r.value !== null && r.value !== undefined)
+    .map((r) => ({ year: Number(r.date), value: r.value }))
+    .reverse();
+  return { latest: series.at(-1)?.value ?? null, series };
 }
 
-async function fetchWorldBankData(iso2, countryName) {
-  if (!iso2) return { lifeExpectancy: null, healthcareExpenditure: null };
-  return timedCall("WORLD_BANK", countryName, async () => {
-    const [lifeExpectancy, healthcareExpenditure] = await Promise.all([
-      fetchWorldBankIndicator(iso2, "SP.DYN.LE00.IN"),  // Life expectancy at birth
-      fetchWorldBankIndicator(iso2, "SH.XPD.CHEX.GD.ZS"), // Current health expenditure % of GDP
-    ]);
-    return { lifeExpectancy, healthcareExpenditure };
-  });
+async function fetchWorldBankData({ iso2 }) {
+  const [lifeExpectancy, healthcareExpenditure] = await Promise.all([
+    fetchWorldBankSeries("worldBank", iso2, "SP.DYN.LE00.IN"),  // Life expectancy at birth
+    fetchWorldBankSeries("worldBank", iso2, "SH.XPD.CHEX.GD.ZS"), // Current health expenditure % of GDP
+  ]);
+  return {
+    lifeExpectancy:        lifeExpectancy.latest,
+    healthcareExpenditure: healthcareExpenditure.latest,
+    history: {
+      lifeExpectancy:        lifeExpectancy.series,
+      healthcareExpenditure: healthcareExpenditure.series,
+    },
+  };
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
 // 3. OpenWeatherMap — Current Weather
 // ─────────────────────────────────────────────────────────────────────────────
-async function fetchWeather(capital, countryName) {
-  if (!capital) return null;
-  return timedCall("OPENWEATHERMAP", countryName, async () => {
-    const res = await http.get(
-      `https://api.openweathermap.org/data/2.5/weather?q=${encodeURIComponent(capital)}&appid=${WEATHER_API_KEY}&units=metric`
-    );
-    const d = res.data;
-    return {
-      temp_celsius:     d.main.temp,
-      feels_like:       d.main.feels_like,
-      temp_min:         d.main.temp_min,
-      temp_max:         d.main.temp_max,
-      humidity_pct:     d.main.humidity,
-      description:      d.weather[0].description,
-      wind_speed_ms:    d.wind.speed,
-      visibility_m:     d.visibility || null,
-      weather_id:       d.weather[0].id,    // used for severity classification
-    };
-  });
+// Queried by coordinates when the location was geocoded, else by name (capital)
+async function fetchWeather({ location, lat, lon }) {
+  const query = lat != null
+    ? `lat=${lat}&lon=${lon}`
+    : `q=${encodeURIComponent(location)}`;
+  const res = await get("weather",
+    `https://api.openweathermap.org/data/2.5/weather?${query}&appid=${WEATHER_API_KEY}&units=metric`
+  );
+  const d = res.data;
+  return {
+    temp_celsius:     d.main.temp,
+    feels_like:       d.main.feels_like,
+    temp_min:         d.main.temp_min,
+    temp_max:         d.main.temp_max,
+    humidity_pct:     d.main.humidity,
+    description:      d.weather[0].description,
+    wind_speed_ms:    d.wind.speed,
+    visibility_m:     d.visibility || null,
+    weather_id:       d.weather[0].id,    // used for severity classification
+  };
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
 // 4. WAQI — Air Quality Index
 // ─────────────────────────────────────────────────────────────────────────────
-async function fetchAQI(capital, countryName) {
-  if (!capital) return null;
-  return timedCall("WAQI_AQI", countryName, async () => {
-    const res = await http.get(
-      `https://api.waqi.info/feed/${encodeURIComponent(capital)}/?token=${AQI_API_KEY}`
-    );
-    if (res.data.status !== "ok") throw new Error(`WAQI status: ${res.data.status}`);
-    const d = res.data.data;
-    return {
-      aqi:                d.aqi,
-      dominant_pollutant: d.dominentpol || null,
-      station_name:       d.city?.name || capital,
-    };
-  });
+// Nearest station to the coordinates when geocoded, else WAQI's city-name search
+async function fetchAQI({ location, lat, lon }) {
+  const feed = lat != null ? `geo:${lat};${lon}` : encodeURIComponent(location);
+  const res = await get("aqi",
+    `https://api.waqi.info/feed/${feed}/?token=${AQI_API_KEY}`
+  );
+  if (res.data.status !== "ok") throw new Error(`WAQI status: ${res.data.status}`);
+  const d = res.data.data;
+  return {
+    aqi:                d.aqi,
+    dominant_pollutant: d.dominentpol || null,
+    station_name:       d.city?.name || location,
+  };
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// 5. Travel Advisory — travel-advisory.info
+// 5. Travel Advisory — World Bank political stability (PV.EST)
 // ─────────────────────────────────────────────────────────────────────────────
-async function fetchTravelAdvisory(iso2, countryName) {
-  if (!iso2) return null;
-  return timedCall("TRAVEL_ADVISORY", countryName, async () => {
-    // World Bank Political Stability & No Violence indicator (PV.EST)
-    // Range: -2.5 (unstable) to +2.5 (stable)
-    const url = `https://api.worldbank.org/v2/country/${iso2}/indicator/PV.EST?format=json&mrv=1&per_page=1`;
-    const res = await http.get(url);
-    const value = res.data?.[1]?.[0]?.value ?? null;
+async function fetchTravelAdvisory({ iso2 }) {
+  // World Bank Political Stability & No Violence indicator (PV.EST)
+  // Range: -2.5 (unstable) to +2.5 (stable)
+  const { latest: value, series } = await fetchWorldBankSeries("advisory", iso2, "PV.EST");
 
-    if (value === null) throw new Error("No stability data");
+  if (value === null) throw new Error("No stability data");
 
-    // Convert -2.5 to +2.5 scale → 1.0 to 5.0 scale (to match old format)
-    // -2.5 = most dangerous = score 5.0
-    // +2.5 = most stable   = score 1.0
-    const score = parseFloat((((value - 2.5) / -5) * 4 + 1).toFixed(2));
+  // Convert -2.5 to +2.5 scale → 1.0 to 5.0 scale (to match old format)
+  // -2.5 = most dangerous = score 5.0
+  // +2.5 = most stable   = score 1.0
+  const score = parseFloat((((value - 2.5) / -5) * 4 + 1).toFixed(2));
 
-    return {
-      score: Math.max(1, Math.min(5, score)),
-      message: value >= 1 ? "Stable political environment" :
-               value >= 0 ? "Generally stable with some risks" :
-               value >= -1 ? "Moderate instability risks" :
-               "Elevated political instability",
-      sources_active: 1,
-    };
-  });
+  return {
+    score: Math.max(1, Math.min(5, score)),
+    message: value >= 1 ? "Stable political environment" :
+             value >= 0 ? "Generally stable with some risks" :
+             value >= -1 ? "Moderate instability risks" :
+             "Elevated political instability",
+    sources_active:  1,
+    stability_index: value,
+    history:         series,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 6. World Bank — Cost of Living & Economy (affordability)
+// ─────────────────────────────────────────────────────────────────────────────
+async function fetchEconomyData({ iso2 }) {
+  const [priceLevel, gdpPerCapita, inflation] = await Promise.all([
+    fetchWorldBankSeries("economy", iso2, "PA.NUS.PPPC.RF"),    // Price level ratio of PPP conversion factor to market rate (US = 1)
+    fetchWorldBankSeries("economy", iso2, "NY.GDP.PCAP.CD"),    // GDP per capita, current US$
+    fetchWorldBankSeries("economy", iso2, "FP.CPI.TOTL.ZG"),    // Inflation, consumer prices (annual %)
+  ]);
+  if ([priceLevel, gdpPerCapita, inflation].every((s) => s.latest === null)) {
+    throw new Error("No cost-of-living data");
+  }
+  return {
+    priceLevelRatio: priceLevel.latest,
+    gdpPerCapita:    gdpPerCapita.latest,
+    inflation:       inflation.latest,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// 7. OpenWeatherMap Geocoding — city → coordinates (for city-level analysis)
+// ─────────────────────────────────────────────────────────────────────────────
+// Same upstream as weather, so it shares weather's TLS settings
+async function geocodeCity(city, iso2) {
+  const res = await get("weather",
+    `https://api.openweathermap.org/geo/1.0/direct?q=${encodeURIComponent(`${city},${iso2}`)}&limit=1&appid=${WEATHER_API_KEY}`
+  );
+  const g = res.data?.[0];
+  if (!g) throw new Error(`City "${city}" not found in ${iso2}`);
+  return {
+    name:  g.name,
+    state: g.state || null,
+    lat:   parseFloat(g.lat.toFixed(4)),
+    lon:   parseFloat(g.lon.toFixed(4)),
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Provider registration — order here is the order in data_availability
+// TTLs follow how often each upstream actually changes.
+// ─────────────────────────────────────────────────────────────────────────────
+const MINUTE = 60 * 1000;
+const HOUR   = 60 * MINUTE;
+const DAY    = 24 * HOUR;
+
+registry.registerProvider({
+  name:     "profile",
+  label:    "REST_COUNTRIES",
+  fields:   ["iso2", "iso3", "name", "capital", "population", "region",
+             "subregion", "currencies", "flag", "languages"],
+  requires: ["country"],
+  provides: ["iso2", "iso3", "capital", "population", "region", "subregion"],
+  required: true,
+  ttlMs:    7 * DAY,
+  staleMs:  30 * DAY,
+  resilience: { concurrency: 8 },
+  fetch:    fetchCountryProfile,
+});
+
+registry.registerProvider({
+  name:     "worldBank",
+  label:    "WORLD_BANK",
+  fields:   ["lifeExpectancy", "healthcareExpenditure", "history"],
+  requires: ["iso2"],
+  fallback: { lifeExpectancy: null, healthcareExpenditure: null },
+  ttlMs:    7 * DAY,     // annual indicators
+  staleMs:  30 * DAY,
+  resilience: { concurrency: 4 },
+  fetch:    fetchWorldBankData,
+});
+
+registry.registerProvider({
+  name:     "economy",
+  label:    "WORLD_BANK_ECONOMY",
+  fields:   ["priceLevelRatio", "gdpPerCapita", "inflation"],
+  requires: ["iso2"],
+  fallback: { priceLevelRatio: null, gdpPerCapita: null, inflation: null },
+  ttlMs:    7 * DAY,     // annual indicators
+  staleMs:  30 * DAY,
+  resilience: { concurrency: 4 },
+  fetch:    fetchEconomyData,
+});
+
+registry.registerProvider({
+  name:     "weather",
+  label:    "OPENWEATHERMAP",
+  fields:   ["temp_celsius", "feels_like", "temp_min", "temp_max", "humidity_pct",
+             "description", "wind_speed_ms", "visibility_m", "weather_id"],
+  requires: ["location"],
+  cacheKeyFields: ["location", "lat", "lon"],
+  scope:    "location",
+  ttlMs:    30 * MINUTE,
+  staleMs:  2 * HOUR,
+  resilience: OWM_LIMITS,
+  fetch:    fetchWeather,
+});
+
+registry.registerProvider({
+  name:     "aqi",
+  label:    "WAQI_AQI",
+  fields:   ["aqi", "dominant_pollutant", "station_name"],
+  requires: ["location"],
+  cacheKeyFields: ["location", "lat", "lon"],
+  scope:    "location",
+  ttlMs:    HOUR,
+  staleMs:  3 * HOUR,
+  resilience: { concurrency: 4 },
+  fetch:    fetchAQI,
+});
+
+registry.registerProvider({
+  name:     "advisory",
+  label:    "TRAVEL_ADVISORY",
+  fields:   ["score", "message", "sources_active", "stability_index", "history"],
+  requires: ["iso2"],
+  ttlMs:    DAY,
+  staleMs:  7 * DAY,
+  resilience: { concurrency: 4 },
+  fetch:    fetchTravelAdvisory,
+});
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Per-source cache key: the provider name plus the context values it depends on,
+// so e.g. weather is shared by every country lookup resolving to the same capital
+// ─────────────────────────────────────────────────────────────────────────────
+function sourceCacheKey(provider, context) {
+  const inputs = (provider.cacheKeyFields || provider.requires)
+    .map((f) => context[f])
+    .filter((v) => v !== null && v !== undefined)
+    .map((v) => String(v).toLowerCase());
+  return `source:${provider.name}:${inputs.join("|")}`;
+}
+
+const GEOCODE_CACHE = { ttlMs: 30 * DAY, staleMs: 365 * DAY };
+const REGION_CACHE  = { ttlMs: 7 * DAY, staleMs: 30 * DAY };
+
+/**
+ * Run one scope of providers through the per-source cache, recording each
+ * source's freshness into `sourceCache` and reporting each completed source
+ * to `onSource` (progress streaming).
+ */
+function runCachedProviders(label, initialContext, scope, sourceCache, onSource = () => {}) {
+  return registry.runProviders(
+    initialContext,
+    async (provider, context) => {
+      const { result, freshness } = await cache.getOrFetchSource(
+        sourceCacheKey(provider, context),
+        () => timedCall(provider.label, label, () => provider.fetch(context), provider.resilience),
+        { ttlMs: provider.ttlMs, staleMs: provider.staleMs }
+      );
+      sourceCache[provider.name] = freshness;
+      onSource({ source: provider.name, ok: result !== null, cache_hit: freshness.cache_hit });
+      return result;
+    },
+    { scope }
+  );
+}
+
+/**
+ * Geocode a city within a country, then fetch every location-scoped source
+ * for its coordinates.
+ */
+async function fetchCityData(city, countryContext, onSource) {
+  const label = `${city}, ${countryContext.country}`;
+  if (!countryContext.iso2) {
+    return { found: false, city, error: `Cannot locate cities in ${countryContext.country}: no ISO code.` };
+  }
+  const { result: coords } = await cache.getOrFetchSource(
+    `source:geocode:${countryContext.iso2.toLowerCase()}|${city.toLowerCase()}`,
+    () => timedCall("OWM_GEOCODING", label, () => geocodeCity(city, countryContext.iso2), OWM_LIMITS),
+    GEOCODE_CACHE
+  );
+
+  if (!coords) {
+    return { found: false, city, error: `City "${city}" could not be located in ${countryContext.country}.` };
+  }
+
+  const sourceCache = {};
+  const { results, availability } = await runCachedProviders(
+    label,
+    { ...countryContext, location: city, ...coords },
+    "location",
+    sourceCache,
+    (s) => onSource({ ...s, city })
+  );
+
+  return {
+    found:    true,
+    city,
+    location: { name: coords.name, state: coords.state, lat: coords.lat, lon: coords.lon },
+    ...results,
+    data_availability: availability,
+    source_cache:      sourceCache,
+  };
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
-// Master: fetch all data for one country concurrently
+// Master: fetch all data for one country via the provider registry
 // ─────────────────────────────────────────────────────────────────────────────
-async function fetchAllDataForCountry(countryName) {
-  // Step 1: Get profile (needed for capital & ISO2)
-  const profile = await fetchCountryProfile(countryName);
+/**
+ * @param {string} input — country name, alias or ISO code; resolved against the
+ *   country catalogue so every spelling shares one canonical name (and cache key)
+ * @param {Object} [opts]
+ * @param {string[]} [opts.cities] — analyse these cities instead of the capital;
+ *   each gets its own location-scoped data under `cities`
+ * @param {Function} [opts.onSource] — called as each source completes with
+ *   { source, ok, cache_hit, city? }
+ */
+async function fetchAllDataForCountry(input, { cities = [], onSource = () => {} } = {}) {
+  const sourceCache = {};
+  const resolution  = countries.resolve(input);
+  const countryName = resolution.found ? resolution.country : input.trim();
+
+  const { results, availability, context, failedRequired } = await runCachedProviders(
+    countryName,
+    { country: countryName, ...(resolution.found && { countryCode: resolution.iso2 }) },
+    "country",
+    sourceCache,
+    onSource
+  );
 
-  if (!profile) {
+  if (failedRequired) {
+    const label       = registry.getProvider(failedRequired).label;
+    const suggestions = resolution.found ? [] : resolution.suggestions;
     return {
       found:   false,
       country: countryName,
-      error:   `Country "${countryName}" not found or REST Countries API unavailable.`,
+      error:   failedRequired === "profile"
+        ? `Country "${countryName}" not found or REST Countries API unavailable.${
+          suggestions.length ? ` Did you mean: ${suggestions.join(", ")}?` : ""}`
+        : `Required source ${label} unavailable for "${countryName}".`,
+      ...(suggestions.length && { suggestions }),
     };
   }
 
-  const { iso2, capital } = profile;
+  if (cities.length > 0) {
+    const cityData = await Promise.all(cities.map((city) => fetchCityData(city, context, onSource)));
+    return {
+      found:   true,
+      country: countryName,
+      ...results,
+      data_availability: availability,
+      source_cache:      sourceCache,
+      cities:            cityData,
+    };
+  }
 
-  // Step 2: Fetch remaining APIs concurrently
-  const [worldBank, weather, aqi, advisory] = await Promise.all([
-    fetchWorldBankData(iso2, countryName),
-    fetchWeather(capital, countryName),
-    fetchAQI(capital, countryName),
-    fetchTravelAdvisory(iso2, countryName),
-  ]);
+  // No cities requested: location-scoped sources run for the capital
+  const capital = await runCachedProviders(
+    countryName, { ...context, location: context.capital }, "location", sourceCache, onSource
+  );
 
   return {
-    found:    true,
-    country:  countryName,
-    profile,
-    worldBank:  worldBank  || { lifeExpectancy: null, healthcareExpenditure: null },
-    weather:    weather    || null,
-    aqi:        aqi        || null,
-    advisory:   advisory   || null,
-    data_availability: {
-      profile:   !!profile,
-      worldBank: !!worldBank,
-      weather:   !!weather,
-      aqi:       !!aqi,
-      advisory:  !!advisory,
-    },
+    found:   true,
+    country: countryName,
+    ...results,
+    ...capital.results,
+    data_availability: { ...availability, ...capital.availability },
+    source_cache:      sourceCache,
   };
 }
 
-module.exports = { fetchAllDataForCountry };
+// ─────────────────────────────────────────────────────────────────────────────
+// Region membership from REST Countries, cached like a source
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * @param {{ type: "region"|"subregion", name: string }} selector
+ * @returns {Promise<{ name: string, iso2: string, independent: boolean }[]|null>}
+ *   null when REST Countries is unavailable
+ */
+async function fetchRegionMembers({ type, name }) {
+  const { result } = await cache.getOrFetchSource(
+    `source:region:${type}|${name.toLowerCase()}`,
+    () => timedCall("REST_COUNTRIES_REGION", name, () => fetchRegionCountries({ type, name })),
+    REGION_CACHE
+  );
+  return result;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Cache inspection: resolve a country's per-source cache keys from what is
+// already cached (never calls upstream), following provider dependencies
+// ─────────────────────────────────────────────────────────────────────────────
+async function cachedSourcesForCountry(countryName) {
+  const context = { country: countries.canonicalName(countryName) };
+  const sources = {};
+
+  for (const scope of ["country", "location"]) {
+    // Location-scoped sources are inspected for the capital
+    if (scope === "location") context.location = context.capital;
+    let pending = registry.listProviders({ scope });
+
+    for (;;) {
+      const ready = pending.filter((p) => p.requires.every((f) => context[f] != null));
+      if (ready.length === 0) break;
+      pending = pending.filter((p) => !ready.includes(p));
+
+      for (const provider of ready) {
+        const key   = sourceCacheKey(provider, context);
+        const entry = await cache.peek(key);
+        sources[provider.name] = { key, entry };
+        for (const f of provider.provides) context[f] = entry?.data?.[f] ?? null;
+      }
+    }
+  }
+
+  return sources;
+}
+
+module.exports = { fetchAllDataForCountry, fetchRegionMembers, cachedSourcesForCountry };
@@ -0,0 +1,98 @@
+/**
+ * fileBackend.js — JSON file on disk
+ *
+ * Entries are held in memory and saved to a single JSON file so the cache
+ * survives restarts. Changes are batched: the file is rewritten at most once
+ * per CACHE_FILE_FLUSH_MS (default 1000), asynchronously and atomically (temp
+ * file + rename), with one write at a time. Unsaved changes are written
+ * synchronously on exit. Expired entries are dropped when the file is loaded.
+ */
+
+const fs     = require("fs");
+const path   = require("path");
+const logger = require("../../utils/logger");
+
+const FLUSH_MS = Number(process.env.CACHE_FILE_FLUSH_MS) || 1000;
+
+// Backends with a write still scheduled, saved synchronously on a normal exit
+const unsaved = new Set();
+let exitHookInstalled = false;
+
+function saveOnExit() {
+  if (exitHookInstalled) return;
+  exitHookInstalled = true;
+  process.once("exit", () => unsaved.forEach((saveSync) => saveSync()));
+}
+
+function load(filePath) {
+  const store = new Map();
+  if (!fs.existsSync(filePath)) return store;
+  try {
+    const raw = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    const now = Date.now();
+    for (const [key, entry] of Object.entries(raw)) {
+      if (entry?.expiresAt > now) store.set(key, entry);
+    }
+  } catch (err) {
+    logger.warn("CACHE", `Ignoring unreadable cache file ${filePath}`, { error: err.message });
+  }
+  return store;
+}
+
+function createFileBackend({ filePath, flushMs = FLUSH_MS }) {
+  saveOnExit();
+  const store   = load(filePath);
+  const tmp     = `${filePath}.${process.pid}.tmp`;
+  let timer     = null;
+  let writing   = Promise.resolve();   // the write under way; the next one chains after it
+
+  const snapshot = () => JSON.stringify(Object.fromEntries(store));
+
+  function saveSync() {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tmp, snapshot());
+    fs.renameSync(tmp, filePath);
+  }
+
+  async function save() {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(tmp, snapshot());
+    await fs.promises.rename(tmp, filePath);
+  }
+
+  /** Write pending changes now (after any write already under way) */
+  function flush() {
+    if (!timer) return writing;
+    clearTimeout(timer);
+    timer = null;
+    unsaved.delete(saveSync);
+    writing = writing.then(save).catch((err) => {
+      logger.warn("CACHE", `Could not write cache file ${filePath}`, { error: err.message });
+    });
+    return writing;
+  }
+
+  function schedule() {
+    if (timer) return;
+    unsaved.add(saveSync);
+    timer = setTimeout(flush, flushMs);
+    timer.unref();
+  }
+
+  return {
+    name: "file",
+    async get(key)        { return store.get(key) ?? null; },
+    async set(key, entry) { store.set(key, entry); schedule(); },
+    async delete(key) {
+      const existed = store.delete(key);
+      if (existed) schedule();
+      return existed;
+    },
+    async keys()          { return [...store.keys()]; },
+    async size()          { return store.size; },
+    async clear()         { store.clear(); schedule(); },
+    flush,
+  };
+}
+
+module.exports = { createFileBackend };
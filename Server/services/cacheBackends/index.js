@@ -0,0 +1,46 @@
+/**
+ * cacheBackends/index.js
+ *
+ * Storage backends for cacheService. Every backend implements the same async
+ * interface over entries of shape { data, expiresAt }:
+ *
+ *   get(key) → entry | null · set(key, entry) · delete(key) → boolean
+ *   keys() → string[] · size() → number · clear()
+ *
+ * Expiry is enforced by cacheService, so backends only need to store entries.
+ *
+ * Selected by CACHE_BACKEND:
+ *  - memory (default) — process-local Map
+ *  - file             — JSON file at CACHE_FILE (default: Server/.cache/cache.json)
+ *  - redis            — Redis-protocol server at REDIS_URL (default: redis://127.0.0.1:6379)
+ */
+
+const path = require("path");
+const { createMemoryBackend } = require("./memoryBackend");
+const { createFileBackend }   = require("./fileBackend");
+const { createRedisBackend }  = require("./redisBackend");
+
+const DEFAULT_FILE = path.join(__dirname, "..", "..", ".cache", "cache.json");
+
+function createBackend(type = process.env.CACHE_BACKEND || "memory") {
+  switch (type.toLowerCase()) {
+    case "memory":
+      return createMemoryBackend();
+    case "file":
+      return createFileBackend({ filePath: process.env.CACHE_FILE || DEFAULT_FILE });
+    case "redis":
+      return createRedisBackend({
+        url:    process.env.REDIS_URL || "redis://127.0.0.1:6379",
+        prefix: process.env.REDIS_PREFIX || undefined,
+      });
+    default:
+      throw new Error(`Unknown CACHE_BACKEND "${type}". Use memory, file or redis.`);
+  }
+}
+
+module.exports = {
+  createBackend,
+  createMemoryBackend,
+  createFileBackend,
+  createRedisBackend,
+};
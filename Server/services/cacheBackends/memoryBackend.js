@@ -0,0 +1,22 @@
+/**
+ * memoryBackend.js — process-local Map (default backend)
+ *
+ * Fastest option, but lost on every restart / serverless cold start.
+ */
+
+function createMemoryBackend() {
+  // key → { data, expiresAt }
+  const store = new Map();
+
+  return {
+    name: "memory",
+    async get(key)        { return store.get(key) ?? null; },
+    async set(key, entry) { store.set(key, entry); },
+    async delete(key)     { return store.delete(key); },
+    async keys()          { return [...store.keys()]; },
+    async size()          { return store.size; },
+    async clear()         { store.clear(); },
+  };
+}
+
+module.exports = { createMemoryBackend };
@@ -0,0 +1,54 @@
+/**
+ * redisBackend.js — Redis-protocol backend
+ *
+ * Shares the cache across processes and survives restarts. Entries are stored
+ * as JSON under a key prefix with a PX expiry matching their TTL, so Redis
+ * evicts them on its own.
+ */
+
+const { createRespClient } = require("./respClient");
+
+function createRedisBackend({ url, prefix = "geointel:cache:" }) {
+  const client = createRespClient(url);
+
+  async function scanKeys() {
+    const keys = [];
+    let cursor = "0";
+    do {
+      const [next, batch] = await client.command(["SCAN", cursor, "MATCH", `${prefix}*`, "COUNT", 100]);
+      cursor = next;
+      keys.push(...batch);
+    } while (cursor !== "0");
+    return keys;
+  }
+
+  return {
+    name: "redis",
+    async get(key) {
+      const raw = await client.command(["GET", prefix + key]);
+      return raw === null ? null : JSON.parse(raw);
+    },
+    async set(key, entry) {
+      const ttl = Math.max(1, entry.expiresAt - Date.now());
+      await client.command(["SET", prefix + key, JSON.stringify(entry), "PX", ttl]);
+    },
+    async delete(key) {
+      return (await client.command(["DEL", prefix + key])) > 0;
+    },
+    async keys() {
+      return (await scanKeys()).map((k) => k.slice(prefix.length));
+    },
+    async size() {
+      return (await scanKeys()).length;
+    },
+    async clear() {
+      const keys = await scanKeys();
+      if (keys.length > 0) await client.command(["DEL", ...keys]);
+    },
+    close() {
+      client.close();
+    },
+  };
+}
+
+module.exports = { createRedisBackend };
@@ -0,0 +1,144 @@
+/**
+ * respClient.js — minimal Redis-protocol (RESP2) client
+ *
+ * Enough of the protocol for the cache backend: one pipelined connection,
+ * commands sent as arrays of bulk strings, replies parsed into JS values.
+ * Works against Redis and any RESP-compatible server (KeyDB, Dragonfly, …).
+ * The connection is (re)opened lazily, so a restarted server is picked up.
+ */
+
+const net = require("net");
+
+/**
+ * Incremental RESP parser. Feed it chunks; it calls onValue for every
+ * complete reply. Error replies are delivered as Error instances.
+ */
+function createParser(onValue) {
+  let buffer = Buffer.alloc(0);
+
+  // Returns [value, nextOffset] or null when more data is needed
+  function parseAt(offset) {
+    const lineEnd = buffer.indexOf("\r\n", offset);
+    if (lineEnd === -1) return null;
+    const type = String.fromCharCode(buffer[offset]);
+    const line = buffer.toString("utf8", offset + 1, lineEnd);
+    const next = lineEnd + 2;
+
+    switch (type) {
+      case "+": return [line, next];
+      case "-": return [new Error(line), next];
+      case ":": return [Number(line), next];
+      case "$": {
+        const len = Number(line);
+        if (len === -1) return [null, next];
+        if (buffer.length < next + len + 2) return null;
+        return [buffer.toString("utf8", next, next + len), next + len + 2];
+      }
+      case "*": {
+        const count = Number(line);
+        if (count === -1) return [null, next];
+        const items = [];
+        let cursor = next;
+        for (let i = 0; i < count; i++) {
+          const parsed = parseAt(cursor);
+          if (!parsed) return null;
+          items.push(parsed[0]);
+          cursor = parsed[1];
+        }
+        return [items, cursor];
+      }
+      default:
+        throw new Error(`Unexpected RESP type byte "${type}"`);
+    }
+  }
+
+  return (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let offset = 0;
+    for (;;) {
+      const parsed = parseAt(offset);
+      if (!parsed) break;
+      offset = parsed[1];
+      onValue(parsed[0]);
+    }
+    buffer = buffer.subarray(offset);
+  };
+}
+
+/** Encode a command as a RESP array of bulk strings */
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const s = String(arg);
+    out += `$${Buffer.byteLength(s)}\r\n${s}\r\n`;
+  }
+  return out;
+}
+
+/**
+ * @param {string} url — redis://[:password@]host[:port][/db]
+ * @param {Object} [opts]
+ * @param {number} [opts.timeoutMs=2000] — connect / idle-reply timeout
+ */
+function createRespClient(url, { timeoutMs = 2000 } = {}) {
+  const parsedUrl = new URL(url);
+  const host      = parsedUrl.hostname || "127.0.0.1";
+  const port      = Number(parsedUrl.port) || 6379;
+  const password  = parsedUrl.password ? decodeURIComponent(parsedUrl.password) : null;
+  const db        = parsedUrl.pathname.slice(1) || null;
+
+  let conn = null;   // current connection: { socket, pending }
+
+  function connect() {
+    const socket  = net.createConnection({ host, port });
+    const pending = [];   // FIFO of { resolve, reject, handshake? } awaiting replies on this socket
+    const self    = { socket, pending };
+
+    // Settles only this socket's commands: a replaced socket closing late must not touch the current one
+    function fail(err) {
+      if (conn === self) conn = null;
+      pending.splice(0).forEach((p) => p.reject(err));
+      socket.destroy();
+    }
+
+    socket.setTimeout(timeoutMs);
+    socket.on("data", createParser((value) => {
+      const waiter = pending.shift();
+      if (!waiter) return;
+      if (!(value instanceof Error)) return waiter.resolve(value);
+      waiter.reject(value);
+      // A refused AUTH / SELECT fails the connection rather than every command after it
+      if (waiter.handshake) fail(new Error(`Redis ${waiter.handshake} failed: ${value.message}`));
+    }));
+    socket.on("timeout", () => {
+      if (pending.length > 0) fail(new Error(`Redis at ${host}:${port} timed out`));
+    });
+    socket.on("error", fail);
+    socket.on("close", () => fail(new Error("Redis connection closed")));
+
+    // Handshake commands are queued ahead of the caller's command
+    if (password) send(self, ["AUTH", password], "AUTH").catch(() => {});
+    if (db) send(self, ["SELECT", db], "SELECT").catch(() => {});
+    return self;
+  }
+
+  function send({ socket, pending }, args, handshake = null) {
+    return new Promise((resolve, reject) => {
+      pending.push({ resolve, reject, handshake });
+      socket.write(encodeCommand(args));
+    });
+  }
+
+  return {
+    command(args) {
+      conn ||= connect();
+      return send(conn, args);
+    },
+    close() {
+      if (conn) conn.socket.end();
+      conn = null;
+    },
+  };
+}
+
+module.exports = { createRespClient, createParser, encodeCommand };
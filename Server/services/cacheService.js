@@ -1,92 +1,215 @@
 /**
  * cacheService.js
  *
- * In-memory cache with:
- *  - 60-minute TTL per entry
+ * Cache with a pluggable storage backend (see cacheBackends/):
+ *  - Per-source TTLs with stale-while-revalidate and last-good fallback (getOrFetchSource)
  *  - In-flight deduplication (simultaneous identical requests share one external call)
  *  - Error responses are never cached
+ *  - Backend failures degrade to a cache miss, never to a failed request
  *  - Exposes cache hit/miss metadata
  */
 
-const logger = require("../utils/logger");
+const logger  = require("../utils/logger");
+const metrics = require("./metricsService");
+const { createBackend } = require("./cacheBackends");
 
-const TTL_MS = 60 * 60 * 1000; // 60 minutes
+// How long a source value is kept past its stale window, purely as a
+// last-good fallback for when the upstream source fails
+const LAST_GOOD_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
 
-// Main cache store: key → { data, expiresAt }
-const store = new Map();
+// Storage backend: memory (default), file or redis — chosen by CACHE_BACKEND
+let backend = createBackend();
 
-// In-flight promises: key → Promise
-// Prevents duplicate concurrent external calls for the same country
-const inFlight = new Map();
+// In-flight source fetches (incl. background refreshes): key → Promise<entry|null>
+const inFlightSources = new Map();
 
 /**
- * Retrieve a cached entry.
- * Returns { data, hit: true } or { data: null, hit: false }
+ * Swap the storage backend (e.g. for tests). Returns the previous one.
  */
-function get(key) {
-  const entry = store.get(key);
-  if (!entry) {
-    logger.cache(key, false);
-    return { data: null, hit: false };
+function setBackend(next) {
+  const previous = backend;
+  backend = next;
+  return previous;
+}
+
+/** Log and count a cache hit or miss */
+function recordLookup(key, hit) {
+  logger.cache(key, hit);
+  metrics.cacheLookups.inc({ result: hit ? "hit" : "miss" });
+}
+
+/** Read a raw entry; backend failures read as a miss */
+async function readEntry(key) {
+  try {
+    return await backend.get(key);
+  } catch (err) {
+    logger.warn("CACHE", `${backend.name} backend read failed for ${key}`, { error: err.message });
+    return null;
   }
-  if (Date.now() > entry.expiresAt) {
-    store.delete(key);
-    logger.cache(key, false);
-    return { data: null, hit: false };
+}
+
+/** Write a raw entry; backend failures are logged, never thrown */
+async function writeEntry(key, entry) {
+  try {
+    await backend.set(key, entry);
+  } catch (err) {
+    logger.warn("CACHE", `${backend.name} backend write failed for ${key}`, { error: err.message });
   }
-  logger.cache(key, true);
-  return { data: entry.data, hit: true };
+}
+
+// ─── Per-source caching ───────────────────────────────────────────────────────
+
+/** Freshness report for one source lookup */
+function freshness(entry, { cacheHit, stale, fallback }) {
+  return {
+    cache_hit:   cacheHit,
+    stale,
+    fallback,
+    age_seconds: entry ? Math.round((Date.now() - entry.storedAt) / 1000) : null,
+  };
 }
 
 /**
- * Store a value. Never called with error objects.
+ * Fetch a source value, store it with its own TTL windows, and dedupe
+ * concurrent fetches. fetchFn resolves null when the source fails (the
+ * apiService convention); null is never stored.
  */
-function set(key, data) {
-  store.set(key, { data, expiresAt: Date.now() + TTL_MS });
+function fetchSource(key, fetchFn, { ttlMs, staleMs }) {
+  if (inFlightSources.has(key)) {
+    logger.debug("CACHE", `Reusing in-flight request for ${key}`);
+    metrics.cacheDeduplicated.inc();
+    return inFlightSources.get(key);
+  }
+
+  const fetchPromise = (async () => {
+    const data = await fetchFn();
+    if (data === null || data === undefined) return null;
+    const now = Date.now();
+    const entry = {
+      data,
+      storedAt:   now,
+      freshUntil: now + ttlMs,
+      staleUntil: now + ttlMs + staleMs,
+      expiresAt:  now + ttlMs + staleMs + LAST_GOOD_RETENTION_MS,
+    };
+    await writeEntry(key, entry);
+    return entry;
+  })().finally(() => inFlightSources.delete(key));
+
+  inFlightSources.set(key, fetchPromise);
+  return fetchPromise;
 }
 
 /**
- * Fetch-or-cache pattern with in-flight deduplication.
- * fetchFn must return a Promise. If it rejects, result is NOT cached.
+ * Stale-while-revalidate lookup for a single data source.
+ *
+ *  - fresh entry            → served from cache
+ *  - stale (within staleMs) → served from cache, refreshed in the background
+ *  - missing / too old      → fetched now; if the fetch fails, the last good
+ *                             value (kept LAST_GOOD_RETENTION_MS) is served
  *
- * Returns: { result, cacheHit }
+ * Returns: { result, freshness: { cache_hit, stale, fallback, age_seconds } }
  */
-async function getOrFetch(key, fetchFn) {
-  // Check cache first
-  const cached = get(key);
-  if (cached.hit) {
-    return { result: cached.data, cacheHit: true };
+async function getOrFetchSource(key, fetchFn, { ttlMs, staleMs = 0 }) {
+  const now   = Date.now();
+  const entry = await readEntry(key);
+  const usable = entry && now <= entry.expiresAt ? entry : null;
+
+  if (usable && now <= usable.freshUntil) {
+    recordLookup(key, true);
+    return { result: usable.data, freshness: freshness(usable, { cacheHit: true, stale: false, fallback: false }) };
   }
 
-  // If an identical request is already in flight, await it
-  if (inFlight.has(key)) {
-    logger.debug("CACHE", `Reusing in-flight request for ${key}`);
-    const result = await inFlight.get(key);
-    return { result, cacheHit: false };
+  if (usable && now <= usable.staleUntil) {
+    recordLookup(key, true);
+    logger.debug("CACHE", `Serving stale ${key}, revalidating in background`);
+    fetchSource(key, fetchFn, { ttlMs, staleMs }).catch((err) => {
+      logger.warn("CACHE", `Background refresh failed for ${key}`, { error: err.message });
+    });
+    return { result: usable.data, freshness: freshness(usable, { cacheHit: true, stale: true, fallback: false }) };
+  }
+
+  recordLookup(key, false);
+  let fresh = null;
+  try {
+    fresh = await fetchSource(key, fetchFn, { ttlMs, staleMs });
+  } catch (err) {
+    logger.warn("CACHE", `Fetch failed for ${key}`, { error: err.message });
   }
 
-  // Create a new fetch promise and register it
-  const fetchPromise = fetchFn().then((data) => {
-    set(key, data);        // only cache on success
-    inFlight.delete(key);
-    return data;
-  }).catch((err) => {
-    inFlight.delete(key);  // do not cache errors
-    throw err;
-  });
+  if (fresh) {
+    return { result: fresh.data, freshness: freshness(fresh, { cacheHit: false, stale: false, fallback: false }) };
+  }
+  if (usable) {
+    logger.warn("CACHE", `Source failed, serving last good value for ${key}`, {
+      age_seconds: Math.round((now - usable.storedAt) / 1000),
+    });
+    return { result: usable.data, freshness: freshness(usable, { cacheHit: true, stale: true, fallback: true }) };
+  }
+  return { result: null, freshness: freshness(null, { cacheHit: false, stale: false, fallback: false }) };
+}
+
+// ─── Administration ───────────────────────────────────────────────────────────
 
-  inFlight.set(key, fetchPromise);
+const iso = (ms) => (ms ? new Date(ms).toISOString() : null);
 
-  const result = await fetchPromise;
-  return { result, cacheHit: false };
+/** Raw entry for a key (no hit/miss logging), or null */
+async function peek(key) {
+  return readEntry(key);
+}
+
+/** All cached keys with their lifecycle timestamps, sorted by key */
+async function list() {
+  const keys = (await backend.keys()).sort();
+  const entries = await Promise.all(keys.map((key) => readEntry(key)));
+  return keys
+    .map((key, i) => ({ key, entry: entries[i] }))
+    .filter(({ entry }) => entry)
+    .map(({ key, entry }) => ({
+      key,
+      stored_at:   iso(entry.storedAt),
+      fresh_until: iso(entry.freshUntil),
+      stale_until: iso(entry.staleUntil),
+      expires_at:  iso(entry.expiresAt),
+    }));
+}
+
+/** Remove one key. Returns true if it existed. */
+async function evict(key) {
+  const existed = await backend.delete(key);
+  logger.info("CACHE", `Evicted ${key}`, { existed });
+  return existed;
+}
+
+/** Remove every entry. Returns how many were removed. */
+async function flush() {
+  const count = await backend.size();
+  await backend.clear();
+  logger.info("CACHE", `Flushed ${count} entries`);
+  return count;
 }
 
 /** Return cache stats (useful for debugging) */
-function stats() {
+async function stats() {
+  let cachedEntries = null;
+  try {
+    cachedEntries = await backend.size();
+  } catch (err) {
+    logger.warn("CACHE", `${backend.name} backend unavailable for stats`, { error: err.message });
+  }
   return {
-    cached_entries: store.size,
-    in_flight: inFlight.size,
+    backend: backend.name,
+    cached_entries: cachedEntries,
+    in_flight: inFlightSources.size,
   };
 }
 
-module.exports = { get, set, getOrFetch, stats };
+module.exports = {
+  getOrFetchSource,
+  stats,
+  setBackend,
+  peek,
+  list,
+  evict,
+  flush,
+};
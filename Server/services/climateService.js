@@ -0,0 +1,207 @@
+/**
+ * climateService.js
+ *
+ * Seasonal climate from a bundled, offline dataset of monthly climate normals
+ * (data/climateNormals.json, or the file named by CLIMATE_NORMALS_FILE):
+ *  1. Travel period → weighted set of calendar months (single month or date range)
+ *  2. Location lookup — by city/capital name (accent- and case-insensitive,
+ *     aliases included), else the nearest station to known coordinates
+ *  3. Normals averaged over the period's months, in the same shape as a live
+ *     weather snapshot so the scoring functions can consume either
+ */
+
+const fs   = require("fs");
+const path = require("path");
+
+const DEFAULT_FILE   = path.join(__dirname, "..", "data", "climateNormals.json");
+const MAX_NEAREST_KM = 150;
+const MAX_RANGE_DAYS = 366;
+const DAY_MS         = 24 * 60 * 60 * 1000;
+const MONTH_NAMES    = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+let dataset = null;
+
+/** Lowercase, strip accents and punctuation: "Washington, D.C." → "washington dc" */
+function normalizeName(name) {
+  return String(name)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/** Dataset, loaded lazily and indexed by normalized name */
+function loadDataset() {
+  if (dataset) return dataset;
+  const file = process.env.CLIMATE_NORMALS_FILE || DEFAULT_FILE;
+  const { locations } = JSON.parse(fs.readFileSync(file, "utf8"));
+  const byName = new Map();
+  for (const loc of locations) {
+    for (const name of [loc.city, ...(loc.aliases || [])]) {
+      const key = normalizeName(name);
+      byName.set(key, [...(byName.get(key) || []), loc]);
+    }
+  }
+  dataset = { locations, byName };
+  return dataset;
+}
+
+// ─── Travel Period ────────────────────────────────────────────────────────────
+
+/** Strict YYYY-MM-DD → UTC Date, or null */
+function parseDate(value) {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value) ? date : null;
+}
+
+/**
+ * Validation errors for the request's travel period fields.
+ * @param {{ travelMonth?: number, travelDates?: { from: string, to: string } }} body
+ */
+function validatePeriod({ travelMonth, travelDates }) {
+  const errors = [];
+  if (travelMonth !== undefined && travelDates !== undefined) {
+    errors.push(`Provide either "travelMonth" or "travelDates", not both.`);
+  }
+  if (travelMonth !== undefined && !(Number.isInteger(travelMonth) && travelMonth >= 1 && travelMonth <= 12)) {
+    errors.push(`"travelMonth" must be an integer between 1 and 12.`);
+  }
+  if (travelDates !== undefined) {
+    const from = parseDate(travelDates?.from);
+    const to   = parseDate(travelDates?.to);
+    if (!from || !to) {
+      errors.push(`"travelDates" must be an object with "from" and "to" dates (YYYY-MM-DD).`);
+    } else if (to < from) {
+      errors.push(`"travelDates.to" must not be before "travelDates.from".`);
+    } else if ((to - from) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+      errors.push(`"travelDates" may span at most ${MAX_RANGE_DAYS} days.`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Calendar months covered by a travel period, weighted by the share of days
+ * spent in each. Returns null when no period was requested.
+ * @returns {{ month: number, weight: number }[]|null}
+ */
+function monthsForPeriod({ travelMonth, travelDates }) {
+  if (travelMonth !== undefined) return [{ month: travelMonth, weight: 1 }];
+  if (travelDates === undefined) return null;
+
+  const from  = parseDate(travelDates.from);
+  const to    = parseDate(travelDates.to);
+  const days  = new Map();   // month → days, in travel order (Dec before Jan)
+  for (let t = from.getTime(); t <= to.getTime(); t += DAY_MS) {
+    const month = new Date(t).getUTCMonth() + 1;
+    days.set(month, (days.get(month) || 0) + 1);
+  }
+  const total = (to - from) / DAY_MS + 1;
+  return [...days].map(([month, d]) => ({ month, weight: parseFloat((d / total).toFixed(3)) }));
+}
+
+/** "Jul" or "Dec–Feb" */
+function periodLabel(months) {
+  const names = months.map((m) => MONTH_NAMES[m.month - 1]);
+  return names.length === 1 ? names[0] : `${names[0]}–${names.at(-1)}`;
+}
+
+// ─── Location Lookup ──────────────────────────────────────────────────────────
+
+/** Great-circle distance in km */
+function haversineKm(lat1, lon1, lat2, lon2) {
+  const rad = (d) => (d * Math.PI) / 180;
+  const a = Math.sin(rad(lat2 - lat1) / 2) ** 2 +
+    Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lon2 - lon1) / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Climate station for a location: exact name/alias match (preferring the same
+ * country), else the nearest station within MAX_NEAREST_KM of lat/lon.
+ * @returns {{ station: Object, match: "name"|"nearest", distance_km: number|null }|null}
+ */
+function findStation({ name, iso2, lat, lon }) {
+  const { locations, byName } = loadDataset();
+
+  if (name) {
+    const candidates = byName.get(normalizeName(name)) || [];
+    const station = candidates.find((l) => !iso2 || l.iso2 === iso2.toUpperCase()) || (!iso2 && candidates[0]);
+    if (station) return { station, match: "name", distance_km: null };
+  }
+
+  if (lat != null && lon != null) {
+    let best = null;
+    for (const loc of locations) {
+      const km = haversineKm(lat, lon, loc.lat, loc.lon);
+      if (km <= MAX_NEAREST_KM && (!best || km < best.distance_km)) {
+        best = { station: loc, match: "nearest", distance_km: Math.round(km) };
+      }
+    }
+    return best;
+  }
+  return null;
+}
+
+// ─── Seasonal Normals ─────────────────────────────────────────────────────────
+
+/**
+ * A station's normals averaged over the weighted months, shaped like the live
+ * weather snapshot (plus `precipitation_mm`).
+ */
+function seasonalNormals(station, months) {
+  const avg = (series) => parseFloat(
+    months.reduce((acc, m) => acc + series[m.month - 1] * m.weight, 0).toFixed(1)
+  );
+  const tempMax = avg(station.temp_max_c);
+  const tempMin = avg(station.temp_min_c);
+  return {
+    temp_celsius:     parseFloat(((tempMax + tempMin) / 2).toFixed(1)),
+    temp_min:         tempMin,
+    temp_max:         tempMax,
+    humidity_pct:     avg(station.humidity_pct),
+    wind_speed_ms:    station.wind_ms,
+    precipitation_mm: avg(station.precipitation_mm),
+  };
+}
+
+/**
+ * Seasonal climate for an analysed location, or null when the dataset has no
+ * station for it.
+ * @param {{ name: string, iso2?: string, lat?: number, lon?: number }} location
+ * @param {{ month: number, weight: number }[]} months — from monthsForPeriod()
+ */
+function climateFor(location, months) {
+  const found = findStation(location);
+  if (!found) return null;
+  return {
+    basis:   "climate_normals",
+    period:  { label: periodLabel(months), months },
+    station: {
+      city:        found.station.city,
+      iso2:        found.station.iso2,
+      match:       found.match,
+      distance_km: found.distance_km,
+    },
+    normals: seasonalNormals(found.station, months),
+  };
+}
+
+/** Drop the loaded dataset (tests, or after replacing CLIMATE_NORMALS_FILE) */
+function reload() {
+  dataset = null;
+}
+
+module.exports = {
+  validatePeriod,
+  monthsForPeriod,
+  periodLabel,
+  findStation,
+  seasonalNormals,
+  climateFor,
+  normalizeName,
+  reload,
+};
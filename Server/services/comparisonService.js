@@ -0,0 +1,68 @@
+/**
+ * comparisonService.js
+ *
+ * Home-country comparison: scores of an analysed country relative to a
+ * baseline (the user's current home) scored with the same weights.
+ *  1. Per-score and per-component deltas (positive = better than home)
+ *  2. A reasoning sentence naming the biggest gains and losses
+ */
+
+const { SCORE_NAMES } = require("./scoringService");
+
+// Component deltas smaller than this (points) are not called out in reasoning
+const NOTABLE_DELTA = 5;
+const MAX_CALLOUTS  = 2;
+
+/**
+ * Deltas of one scored result against the baseline's scores.
+ * @param {Object} scores   — scoringService.scoreCountry() output
+ * @param {Object} baseline — scoringService.scoreCountry() output for the home country
+ * @returns {{ composite_delta: number, scores: Object<string, { delta: number, components: Object<string, number> }> }}
+ */
+function compareScores(scores, baseline) {
+  const deltas = {};
+  for (const key of Object.keys(SCORE_NAMES)) {
+    const mine = scores[key];
+    const home = baseline[key];
+    if (!mine || !home) continue;
+    deltas[key] = {
+      delta:      mine.score - home.score,
+      components: Object.fromEntries(
+        Object.keys(mine.components).map((c) => [c, mine.components[c] - home.components[c]])
+      ),
+    };
+  }
+  return {
+    composite_delta: scores.composite_score - baseline.composite_score,
+    scores:          deltas,
+  };
+}
+
+const signed = (n) => `${n > 0 ? "+" : n < 0 ? "−" : "±"}${Math.abs(n)}`;
+
+/**
+ * "Versus Germany (home): composite +6; biggest gains in air quality (+25)…;
+ * biggest losses in life expectancy (−12)."
+ */
+function describeComparison(homeLabel, comparison) {
+  const components = Object.values(comparison.scores)
+    .flatMap((s) => Object.entries(s.components))
+    .filter(([, d]) => Math.abs(d) >= NOTABLE_DELTA);
+
+  const callouts = (list) => list
+    .slice(0, MAX_CALLOUTS)
+    .map(([name, d]) => `${name.replace(/_/g, " ")} (${signed(d)})`)
+    .join(", ");
+
+  const gains  = components.filter(([, d]) => d > 0).sort((a, b) => b[1] - a[1]);
+  const losses = components.filter(([, d]) => d < 0).sort((a, b) => a[1] - b[1]);
+
+  const parts = [`composite ${signed(comparison.composite_delta)}`];
+  if (gains.length)  parts.push(`biggest gains in ${callouts(gains)}`);
+  if (losses.length) parts.push(`biggest losses in ${callouts(losses)}`);
+  if (!gains.length && !losses.length) parts.push("broadly similar on every component");
+
+  return `Versus ${homeLabel} (home): ${parts.join("; ")}.`;
+}
+
+module.exports = { compareScores, describeComparison, NOTABLE_DELTA };
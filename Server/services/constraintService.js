@@ -0,0 +1,136 @@
+/**
+ * constraintService.js
+ *
+ * Hard constraints ("deal-breakers") checked against each analysed result
+ * before ranking. A constraint names a field of the result, an operator and a
+ * value:
+ *
+ *   { "field": "raw_data.aqi.aqi", "op": "<", "value": 100 }
+ *   { "field": "profile.languages", "op": "includes", "value": "English" }
+ *   { "field": "scores.travel_risk_score.components.travel_advisory", "op": ">=", "value": 60 }
+ *
+ * Fields are dot paths under `raw_data`, `profile` or `scores`; a path that
+ * ends at a score object (e.g. `scores.affordability_score`) compares its
+ * `score`. A field with no data violates the constraint unless it sets
+ * `allowMissing: true`.
+ */
+
+const MAX_CONSTRAINTS = 20;
+const FIELD_PATTERN   = /^(raw_data|profile|scores)(\.[A-Za-z0-9_]+)+$/;
+const UNSAFE_SEGMENTS = ["__proto__", "constructor", "prototype"];
+
+const NUMERIC_OPS = {
+  "<":  (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">":  (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+};
+const EQUALITY_OPS = ["==", "!="];
+const LIST_OPS     = ["includes", "excludes"];   // actual is a list (or "a, b" string), value one item
+const SET_OPS      = ["in", "not_in"];           // actual is one item, value a list
+const OPS          = [...Object.keys(NUMERIC_OPS), ...EQUALITY_OPS, ...LIST_OPS, ...SET_OPS];
+
+const isScalar = (v) => ["string", "number", "boolean"].includes(typeof v);
+
+/** Validation errors for the request's `constraints` field */
+function validateConstraints(constraints) {
+  if (!Array.isArray(constraints)) return [`"constraints" must be an array.`];
+  if (constraints.length > MAX_CONSTRAINTS) return [`Maximum ${MAX_CONSTRAINTS} constraints per request.`];
+
+  const errors = [];
+  constraints.forEach((c, i) => {
+    const at = `constraints[${i}]`;
+    if (c === null || typeof c !== "object" || Array.isArray(c)) {
+      errors.push(`"${at}" must be an object with "field", "op" and "value".`);
+      return;
+    }
+    const unknown = Object.keys(c).filter((k) => !["field", "op", "value", "allowMissing"].includes(k));
+    if (unknown.length) errors.push(`"${at}" has unknown keys: ${unknown.join(", ")}.`);
+
+    if (typeof c.field !== "string" || !FIELD_PATTERN.test(c.field)) {
+      errors.push(`"${at}.field" must be a dot path under raw_data, profile or scores.`);
+    } else if (c.field.split(".").some((key) => UNSAFE_SEGMENTS.includes(key))) {
+      errors.push(`"${at}.field" may not contain ${UNSAFE_SEGMENTS.join(", ")}.`);
+    }
+    if (!OPS.includes(c.op)) {
+      errors.push(`"${at}.op" must be one of: ${OPS.join(", ")}.`);
+    } else if (c.op in NUMERIC_OPS && !(typeof c.value === "number" && Number.isFinite(c.value))) {
+      errors.push(`"${at}.value" must be a number for "${c.op}".`);
+    } else if ((EQUALITY_OPS.includes(c.op) || LIST_OPS.includes(c.op)) && !isScalar(c.value)) {
+      errors.push(`"${at}.value" must be a string, number or boolean for "${c.op}".`);
+    } else if (SET_OPS.includes(c.op) && !(Array.isArray(c.value) && c.value.length > 0 && c.value.every(isScalar))) {
+      errors.push(`"${at}.value" must be a non-empty array for "${c.op}".`);
+    }
+    if (c.allowMissing !== undefined && typeof c.allowMissing !== "boolean") {
+      errors.push(`"${at}.allowMissing" must be a boolean.`);
+    }
+  });
+  return errors;
+}
+
+// ─── Evaluation ───────────────────────────────────────────────────────────────
+
+/** Value at a dot path (own properties only); score objects resolve to their `score` */
+function resolveField(entry, field) {
+  const value = field.split(".").reduce(
+    (obj, key) => (obj != null && Object.prototype.hasOwnProperty.call(obj, key) ? obj[key] : undefined),
+    entry
+  );
+  if (value && typeof value === "object" && typeof value.score === "number") return value.score;
+  return value;
+}
+
+/** Case-insensitive comparison form */
+const fold = (v) => (typeof v === "string" ? v.trim().toLowerCase() : v);
+
+/** Array as-is, "English, French" as ["English", "French"] */
+const asList = (v) => (Array.isArray(v) ? v : String(v).split(/,\s*/));
+
+function holds(op, actual, value) {
+  if (op in NUMERIC_OPS) return typeof actual === "number" && NUMERIC_OPS[op](actual, value);
+  switch (op) {
+    case "==":       return fold(actual) === fold(value);
+    case "!=":       return fold(actual) !== fold(value);
+    case "includes": return asList(actual).map(fold).includes(fold(value));
+    case "excludes": return !asList(actual).map(fold).includes(fold(value));
+    case "in":       return value.map(fold).includes(fold(actual));
+    case "not_in":   return !value.map(fold).includes(fold(actual));
+  }
+  return false;
+}
+
+/** "raw_data.aqi.aqi < 100" */
+function describeRule({ field, op, value }) {
+  return `${field} ${op} ${Array.isArray(value) ? `[${value.join(", ")}]` : value}`;
+}
+
+/**
+ * Constraints a result violates, as exclusion reasons.
+ * @param {Object} entry — an analysed result (with raw_data, profile and scores)
+ * @param {Object[]} constraints — validated constraints
+ * @returns {{ type: "constraint", rule: string, field: string, op: string, value: *, actual: *, message: string }[]}
+ */
+function violations(entry, constraints = []) {
+  const out = [];
+  for (const c of constraints) {
+    const actual  = resolveField(entry, c.field);
+    const missing = actual === null || actual === undefined;
+    if (missing ? c.allowMissing : holds(c.op, actual, c.value)) continue;
+
+    const rule = describeRule(c);
+    out.push({
+      type:    "constraint",
+      rule,
+      field:   c.field,
+      op:      c.op,
+      value:   c.value,
+      actual:  missing ? null : actual,
+      message: missing
+        ? `Could not check "${rule}": no data for ${c.field}.`
+        : `Violates "${rule}" (actual: ${Array.isArray(actual) ? actual.join(", ") : actual}).`,
+    });
+  }
+  return out;
+}
+
+module.exports = { validateConstraints, violations, resolveField, describeRule, OPS, MAX_CONSTRAINTS };
@@ -0,0 +1,242 @@
+/**
+ * countryService.js
+ *
+ * Country name resolution against a bundled catalogue (data/countries.json,
+ * or the file named by COUNTRY_CATALOGUE_FILE):
+ *  1. Exact match on a common, official, alias or native name — accent-,
+ *     case- and punctuation-insensitive ("cote divoire", "Holland", "Deutschland")
+ *  2. ISO 3166-1 alpha-2 / alpha-3 codes written in one case ("de", "USA";
+ *     "Mu" reads as a name, not as Mauritius)
+ *  3. Fuzzy match for misspellings, accepted only when the closest name is
+ *     close enough and unambiguous ("Phillipines", "Columbia")
+ *
+ * Anything else is unresolved and comes back with "did you mean" suggestions.
+ * Resolved inputs map to one canonical name, so every spelling of a country
+ * shares the same cache entries. The catalogue is also searchable by prefix
+ * (autocomplete).
+ */
+
+const fs   = require("fs");
+const path = require("path");
+
+const DEFAULT_FILE    = path.join(__dirname, "..", "data", "countries.json");
+const MAX_SUGGESTIONS = 3;
+const FLAG_URL        = (iso2) => `https://flagcdn.com/w320/${iso2.toLowerCase()}.png`;
+
+let catalogue = null;
+
+/**
+ * Comparison form of a name: accents stripped, lowercase, apostrophes and
+ * dots dropped, other punctuation as spaces, "&" → "and", "st" → "saint".
+ * Non-Latin scripts are kept ("日本" stays "日本").
+ */
+function normalizeName(name) {
+  return String(name)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/['’.]/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .replace(/\bst\b/g, "saint")
+    .replace(/^the /, "")
+    .trim();
+}
+
+/** Catalogue, loaded lazily and indexed by normalized name and by code */
+function loadCatalogue() {
+  if (catalogue) return catalogue;
+  const file = process.env.COUNTRY_CATALOGUE_FILE || DEFAULT_FILE;
+  const { countries } = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  const byName = new Map();   // normalized name → { entry, kind, name }
+  const byCode = new Map();   // "DE" / "DEU" → entry
+  const add = (name, entry, kind) => {
+    const key = normalizeName(name);
+    if (key && !byName.has(key)) byName.set(key, { entry, kind, name });
+  };
+  for (const entry of countries) {
+    add(entry.name, entry, "name");
+    if (entry.official) add(entry.official, entry, "name");
+    for (const alias of entry.aliases || []) add(alias, entry, "alias");
+    for (const native of entry.native || []) add(native, entry, "native");
+    byCode.set(entry.iso2, entry);
+    byCode.set(entry.iso3, entry);
+  }
+  const longest = Math.max(0, ...[...byName.keys()].map((k) => k.length));
+  catalogue = { countries, byName, byCode, longest };
+  return catalogue;
+}
+
+// ─── Fuzzy Matching ───────────────────────────────────────────────────────────
+
+/** Optimal string alignment distance (Levenshtein plus adjacent transpositions) */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/** Edits accepted as a misspelling for an input of this length */
+const tolerance = (length) => (length < 5 ? 0 : length < 9 ? 1 : 2);
+
+/** Edits accepted for a "did you mean" suggestion (always ≥ tolerance) */
+const suggestionTolerance = (length) => Math.max(2, Math.floor(length / 3));
+
+/**
+ * Catalogue entries ordered by closeness to a normalized query: each entry's
+ * best distance over all its names, and whether any name starts with the query.
+ */
+function closest(query) {
+  const best = new Map();   // entry → { distance, prefix }
+  for (const [key, { entry }] of loadCatalogue().byName) {
+    const distance = editDistance(query, key);
+    const prefix   = query.length >= 3 && key.startsWith(query);
+    const prev     = best.get(entry) || { distance: Infinity, prefix: false };
+    best.set(entry, { distance: Math.min(prev.distance, distance), prefix: prev.prefix || prefix });
+  }
+  return [...best]
+    .map(([entry, m]) => ({ entry, ...m }))
+    .sort((a, b) => a.distance - b.distance || a.entry.name.localeCompare(b.entry.name));
+}
+
+// ─── Resolution ───────────────────────────────────────────────────────────────
+
+function resolved(input, entry, match) {
+  return { found: true, input, country: entry.name, iso2: entry.iso2, iso3: entry.iso3, match };
+}
+
+/**
+ * Resolve a user-supplied country string.
+ * @returns {{ found: true, input: string, country: string, iso2: string, iso3: string,
+ *   match: "name"|"alias"|"native"|"code"|"fuzzy" }
+ *   | { found: false, input: string, suggestions: string[] }}
+ */
+function resolve(input) {
+  const raw   = String(input).trim();
+  const query = normalizeName(raw);
+  const { byName, byCode } = loadCatalogue();
+
+  const exact = byName.get(query);
+  if (exact) return resolved(raw, exact.entry, exact.kind);
+
+  if (/^([a-z]{2,3}|[A-Z]{2,3})$/.test(raw) && byCode.has(raw.toUpperCase())) {
+    return resolved(raw, byCode.get(raw.toUpperCase()), "code");
+  }
+
+  // Edit distance is at least the length difference, so an input this much
+  // longer than every name can neither match nor be suggested: skip the scan
+  if (query.length - loadCatalogue().longest > suggestionTolerance(query.length)) {
+    return { found: false, input: raw, suggestions: [] };
+  }
+
+  const ranked = closest(query);
+  const [first, second] = ranked;
+  if (first && first.distance <= tolerance(query.length) && (!second || second.distance > first.distance)) {
+    return resolved(raw, first.entry, "fuzzy");
+  }
+
+  const loose = suggestionTolerance(query.length);
+  const suggestions = ranked
+    .filter((m) => m.prefix || (m.distance <= loose && m.distance < query.length))
+    .sort((a, b) => Number(b.prefix) - Number(a.prefix) || a.distance - b.distance)
+    .slice(0, MAX_SUGGESTIONS)
+    .map((m) => m.entry.name);
+  return { found: false, input: raw, suggestions };
+}
+
+/**
+ * Canonical form of a country string: the catalogue name when it resolves,
+ * else the trimmed input. Used for de-duplication and cache keys.
+ */
+function canonicalName(input) {
+  const r = resolve(input);
+  return r.found ? r.country : String(input).trim();
+}
+
+// ─── Catalogue Search ─────────────────────────────────────────────────────────
+
+/** Public shape of a catalogue entry */
+function describe(entry) {
+  return {
+    name:      entry.name,
+    official:  entry.official || entry.name,
+    iso2:      entry.iso2,
+    iso3:      entry.iso3,
+    region:    entry.region,
+    subregion: entry.subregion,
+    flag_url:  FLAG_URL(entry.iso2),
+  };
+}
+
+/** Every catalogue entry, by name */
+function list() {
+  return loadCatalogue().countries.map(describe);
+}
+
+/**
+ * Autocomplete: entries whose code, name, alias or native name matches the
+ * query — exact and code matches first, then common-name prefixes, other
+ * name prefixes and word prefixes ("guinea" → "Papua New Guinea"). With no
+ * match at all, falls back to resolve()'s fuzzy match or suggestions.
+ * Each hit names the alias it matched through (`matched`), if not its name.
+ */
+function search(query, limit = 10) {
+  const q = normalizeName(query);
+  if (!q) return [];
+  const { byName, byCode } = loadCatalogue();
+  const hits = new Map();   // entry → { rank, matched }
+  const hit  = (entry, rank, matched) => {
+    const prev = hits.get(entry);
+    if (!prev || rank < prev.rank) hits.set(entry, { rank, matched });
+  };
+
+  const code = String(query).trim().toUpperCase();
+  if (/^[A-Z]{2,3}$/.test(code) && byCode.has(code)) hit(byCode.get(code), 0, code);
+  for (const [key, { entry, kind, name }] of byName) {
+    if (key === q)                       hit(entry, 0, name);
+    else if (key.startsWith(q))          hit(entry, name === entry.name ? 1 : 2, name);
+    else if (key.includes(` ${q}`))      hit(entry, 3, name);
+  }
+
+  if (hits.size === 0) {
+    const r = resolve(query);
+    const names = r.found ? [r.country] : r.suggestions;
+    for (const n of names) hit(byName.get(normalizeName(n)).entry, 4, null);
+  }
+
+  return [...hits]
+    .sort(([a, ha], [b, hb]) => ha.rank - hb.rank || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map(([entry, { matched }]) => ({
+      ...describe(entry),
+      ...(matched && matched !== entry.name && { matched }),
+    }));
+}
+
+/** Drop the loaded catalogue (tests, or after replacing COUNTRY_CATALOGUE_FILE) */
+function reload() {
+  catalogue = null;
+}
+
+module.exports = {
+  resolve,
+  canonicalName,
+  describe,
+  list,
+  search,
+  normalizeName,
+  editDistance,
+  loadCatalogue,
+  reload,
+};
@@ -0,0 +1,126 @@
+/**
+ * fixtureService.js
+ *
+ * Record / replay of outbound HTTP responses for offline and deterministic runs.
+ * Installed on the shared axios instance in apiService.js as a custom adapter.
+ *
+ *  API_FIXTURE_MODE=record  — perform real calls and save each response to disk
+ *  API_FIXTURE_MODE=replay  — never touch the network; serve saved responses
+ *  (unset)                  — live mode, adapter untouched
+ *
+ * Fixtures live in API_FIXTURE_DIR (default: Server/fixtures/api), one JSON
+ * file per request, named by host + a hash of the method and URL. Secret query
+ * parameters (appid, token) are stripped before hashing and saving, so
+ * recordings never contain API keys and replay works with any key.
+ */
+
+const fs     = require("fs");
+const path   = require("path");
+const crypto = require("crypto");
+const axios  = require("axios");
+const logger = require("../utils/logger");
+
+const MODES = ["record", "replay"];
+const SECRET_PARAMS = ["appid", "token"];
+const DEFAULT_DIR = path.join(__dirname, "..", "fixtures", "api");
+
+function fixtureMode() {
+  const mode = process.env.API_FIXTURE_MODE?.toLowerCase();
+  return MODES.includes(mode) ? mode : null;
+}
+
+function fixtureDir() {
+  return process.env.API_FIXTURE_DIR || DEFAULT_DIR;
+}
+
+/** Absolute request URL with secret query parameters removed */
+function sanitizedUrl(config) {
+  const url = new URL(axios.getUri(config));
+  for (const param of SECRET_PARAMS) url.searchParams.delete(param);
+  return url.toString();
+}
+
+/** Fixture file path for a request config */
+function fixturePath(config) {
+  const method = (config.method || "get").toUpperCase();
+  const url    = sanitizedUrl(config);
+  const hash   = crypto.createHash("sha1").update(`${method} ${url}`).digest("hex").slice(0, 16);
+  return { method, url, file: path.join(fixtureDir(), new URL(url).host, `${hash}.json`) };
+}
+
+/** Resolve or reject like axios' own settle() does for real responses */
+function settle(config, response) {
+  const validate = config.validateStatus;
+  if (!validate || validate(response.status)) return response;
+  throw new axios.AxiosError(
+    `Request failed with status code ${response.status}`,
+    response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+    config,
+    null,
+    response
+  );
+}
+
+function replayAdapter(config) {
+  const { method, url, file } = fixturePath(config);
+  if (!fs.existsSync(file)) {
+    return Promise.reject(new Error(
+      `No recorded fixture for ${method} ${url} (expected ${file}). ` +
+      `Run once with API_FIXTURE_MODE=record to capture it.`
+    ));
+  }
+  const recorded = JSON.parse(fs.readFileSync(file, "utf8"));
+  logger.debug("FIXTURE", `Replayed ${method} ${url}`, { file });
+  return Promise.resolve().then(() => settle(config, {
+    data:       recorded.response.data,
+    status:     recorded.response.status,
+    statusText: recorded.response.statusText || "",
+    headers:    {},
+    config,
+    request:    {},
+  }));
+}
+
+function recordAdapter(liveAdapter) {
+  return async (config) => {
+    const { method, url, file } = fixturePath(config);
+    const save = (response) => {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, JSON.stringify({
+        request:  { method, url },
+        response: { status: response.status, statusText: response.statusText, data: response.data },
+      }, null, 2));
+      logger.debug("FIXTURE", `Recorded ${method} ${url}`, { file });
+    };
+
+    try {
+      const response = await liveAdapter(config);
+      save(response);
+      return response;
+    } catch (err) {
+      // HTTP error responses (e.g. 404 for an unknown country) are recorded too,
+      // so replay reproduces them; network errors are not.
+      if (err.response) save(err.response);
+      throw err;
+    }
+  };
+}
+
+/**
+ * Install the fixture adapter on an axios instance according to
+ * API_FIXTURE_MODE. No-op in live mode. Returns the active mode.
+ */
+function install(instance) {
+  const mode = fixtureMode();
+  if (mode === "replay") {
+    instance.defaults.adapter = replayAdapter;
+  } else if (mode === "record") {
+    instance.defaults.adapter = recordAdapter(axios.getAdapter(instance.defaults.adapter));
+  }
+  if (mode) {
+    logger.info("FIXTURE", `API fixture mode: ${mode}`, { fixture_dir: fixtureDir() });
+  }
+  return mode;
+}
+
+module.exports = { install, fixturePath, sanitizedUrl };
@@ -0,0 +1,131 @@
+/**
+ * jobService.js
+ *
+ * In-memory store for asynchronous analysis jobs:
+ *  - A job runs a task in the background and records every progress event it
+ *    emits, numbered, so late subscribers (and reconnecting SSE clients, via
+ *    Last-Event-ID) can replay what they missed
+ *  - States: queued → running → succeeded | failed
+ *  - Finished jobs are kept for JOB_TTL_MINUTES (default 60), then dropped
+ *  - At most MAX_ACTIVE_JOBS (default 5) queued or running at once
+ *
+ * Jobs live in this process only; behind several instances, clients must
+ * reach the instance that accepted the job.
+ *
+ * A job runs in the request context of the request that created it, so its
+ * log lines and spans carry that request's correlation id.
+ */
+
+const crypto       = require("crypto");
+const EventEmitter = require("events");
+const logger       = require("../utils/logger");
+const requestContext = require("../utils/requestContext");
+
+const JOB_TTL_MS      = (Number(process.env.JOB_TTL_MINUTES) || 60) * 60 * 1000;
+const MAX_ACTIVE_JOBS = Number(process.env.MAX_ACTIVE_JOBS) || 5;
+const TERMINAL        = ["succeeded", "failed"];
+
+const jobs = new Map();   // id → job
+
+const isActive = (job) => !TERMINAL.includes(job.status);
+
+/** Jobs currently queued or running */
+function activeCount() {
+  return [...jobs.values()].filter(isActive).length;
+}
+
+function emit(job, type, data) {
+  const event = { id: job.events.length + 1, type, data, at: new Date().toISOString() };
+  job.events.push(event);
+  job.emitter.emit("event", event);
+}
+
+function finish(job, status, fields) {
+  Object.assign(job, fields, { status, finishedAt: Date.now() });
+  emit(job, status === "succeeded" ? "done" : "failed", {
+    job_id: job.id,
+    status,
+    ...(fields.error && { error: fields.error }),
+  });
+  job.emitter.removeAllListeners();
+  setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+}
+
+/**
+ * Start a job running `task(progress)` in the background.
+ * `progress(type, data)` records an event; the task resolves to
+ * { ok: boolean, result } — a failed task's result is kept as its error.
+ * @param {Object} [opts]
+ * @param {string} [opts.owner] — API client the job belongs to (see getJob)
+ * @returns {Object|null} the job, or null when MAX_ACTIVE_JOBS are already active
+ */
+function createJob(kind, task, { owner = null } = {}) {
+  if (activeCount() >= MAX_ACTIVE_JOBS) return null;
+
+  const job = {
+    id:         crypto.randomUUID(),
+    kind,
+    requestId:  requestContext.requestId(),
+    owner,
+    status:     "queued",
+    createdAt:  Date.now(),
+    startedAt:  null,
+    finishedAt: null,
+    events:     [],
+    emitter:    new EventEmitter(),
+    result:     null,
+    error:      null,
+  };
+  jobs.set(job.id, job);
+  emit(job, "queued", { job_id: job.id });
+
+  setImmediate(async () => {
+    job.status    = "running";
+    job.startedAt = Date.now();
+    emit(job, "started", { job_id: job.id });
+    try {
+      const { ok, result } = await task((type, data) => emit(job, type, data));
+      finish(job, ok ? "succeeded" : "failed", ok ? { result } : { error: result });
+    } catch (err) {
+      logger.error("JOBS", `Job ${job.id} crashed`, { error: err.message, stack: err.stack });
+      finish(job, "failed", { error: { success: false, message: "Internal server error." } });
+    }
+  });
+
+  return job;
+}
+
+/** A job by id; a job created with an owner is only found by that same owner */
+function getJob(id, owner = null) {
+  const job = jobs.get(id);
+  return job && (!job.owner || job.owner === owner) ? job : null;
+}
+
+/**
+ * Replay a job's events after `lastEventId`, then follow new ones until the
+ * job finishes. Returns an unsubscribe function.
+ */
+function subscribe(job, listener, lastEventId = 0) {
+  for (const event of job.events) {
+    if (event.id > lastEventId) listener(event);
+  }
+  if (!isActive(job)) return () => {};
+  job.emitter.on("event", listener);
+  return () => job.emitter.off("event", listener);
+}
+
+/** Public view of a job (without the result) */
+function describeJob(job) {
+  return {
+    id:          job.id,
+    kind:        job.kind,
+    status:      job.status,
+    request_id:  job.requestId,
+    created_at:  new Date(job.createdAt).toISOString(),
+    started_at:  job.startedAt ? new Date(job.startedAt).toISOString() : null,
+    finished_at: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    events:      job.events.length,
+  };
+}
+
+module.exports = { createJob, getJob, subscribe, describeJob, activeCount, MAX_ACTIVE_JOBS };
@@ -0,0 +1,211 @@
+/**
+ * metricsService.js
+ *
+ * In-process Prometheus metrics, rendered in the text exposition format by
+ * GET /metrics. Recorded at the same call sites that log the events:
+ *  - /api/analyze requests and latency (routes/analyze.js)
+ *  - upstream latency and failures per API (apiService timedCall)
+ *  - cache hits / misses and in-flight deduplication (cacheService)
+ *  - composite-score distribution (scoringService)
+ * Scrape-time values (cache entries, requests in flight) are set by the
+ * /metrics handler just before rendering.
+ *
+ * Values are per process and reset on restart, as Prometheus expects.
+ */
+
+const PREFIX = "relocation_";
+
+const metrics = [];
+
+const escapeLabel = (v) => String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+const escapeHelp  = (s) => s.replace(/\\/g, "\\\\").replace(/\n/g, "\\n");
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels);
+  return pairs.length ? `{${pairs.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}` : "";
+}
+
+const formatValue = (n) => (Number.isNaN(n) ? "NaN" : n === Infinity ? "+Inf" : String(n));
+
+/** Series key: label values in declared order */
+const seriesKey = (labelNames, labels = {}) => JSON.stringify(labelNames.map((l) => String(labels[l] ?? "")));
+
+const labelsOf = (labelNames, key) =>
+  Object.fromEntries(JSON.parse(key).map((v, i) => [labelNames[i], v]));
+
+/** Series to render: an unlabelled metric shows its zero series before first use */
+const seriesOf = (labelNames, map, zero) =>
+  (map.size === 0 && labelNames.length === 0 ? [[seriesKey([]), zero()]] : [...map]);
+
+function register(metric) {
+  metrics.push(metric);
+  return metric;
+}
+
+// ─── Metric Types ─────────────────────────────────────────────────────────────
+
+function createCounter({ name, help, labelNames = [] }) {
+  const values = new Map();
+  return register({
+    name: PREFIX + name,
+    help,
+    type: "counter",
+    inc(labels, by = 1) {
+      const key = seriesKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + by);
+    },
+    get(labels) {
+      return values.get(seriesKey(labelNames, labels)) || 0;
+    },
+    samples() {
+      return seriesOf(labelNames, values, () => 0)
+        .map(([key, value]) => ({ suffix: "", labels: labelsOf(labelNames, key), value }));
+    },
+  });
+}
+
+function createGauge({ name, help, labelNames = [] }) {
+  const values = new Map();
+  return register({
+    name: PREFIX + name,
+    help,
+    type: "gauge",
+    set(labels, value) {
+      if (value === undefined) [labels, value] = [{}, labels];
+      values.set(seriesKey(labelNames, labels), value);
+    },
+    samples() {
+      return [...values].map(([key, value]) => ({ suffix: "", labels: labelsOf(labelNames, key), value }));
+    },
+  });
+}
+
+function createHistogram({ name, help, buckets, labelNames = [] }) {
+  const series = new Map();   // key → { counts per bucket, sum, count }
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const empty  = () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 });
+
+  const observe = (labels, value) => {
+    if (value === undefined) [labels, value] = [{}, labels];
+    const key = seriesKey(labelNames, labels);
+    if (!series.has(key)) series.set(key, empty());
+    const s = series.get(key);
+    bounds.forEach((le, i) => { if (value <= le) s.counts[i] += 1; });
+    s.sum   += value;
+    s.count += 1;
+  };
+
+  return register({
+    name: PREFIX + name,
+    help,
+    type: "histogram",
+    observe,
+    /** Start timing; call the returned function to observe the elapsed seconds */
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (extra = {}) => observe({ ...labels, ...extra }, Number(process.hrtime.bigint() - start) / 1e9);
+    },
+    samples() {
+      return seriesOf(labelNames, series, empty).flatMap(([key, s]) => {
+        const labels = labelsOf(labelNames, key);
+        return [
+          ...bounds.map((le, i) => ({ suffix: "_bucket", labels: { ...labels, le: formatValue(le) }, value: s.counts[i] })),
+          { suffix: "_bucket", labels: { ...labels, le: "+Inf" }, value: s.count },
+          { suffix: "_sum",    labels, value: s.sum },
+          { suffix: "_count",  labels, value: s.count },
+        ];
+      });
+    },
+  });
+}
+
+// ─── Application Metrics ──────────────────────────────────────────────────────
+
+const analyzeRequests = createCounter({
+  name:       "analyze_requests_total",
+  help:       "Analysis requests by mode (sync or job) and HTTP status.",
+  labelNames: ["mode", "status"],
+});
+
+const analyzeDuration = createHistogram({
+  name:       "analyze_duration_seconds",
+  help:       "Analysis latency, from request to response (or job result).",
+  buckets:    [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  labelNames: ["mode"],
+});
+
+const upstreamDuration = createHistogram({
+  name:       "upstream_request_duration_seconds",
+  help:       "Upstream API call latency, including retries, by API and outcome.",
+  buckets:    [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  labelNames: ["api", "outcome"],
+});
+
+const upstreamFailures = createCounter({
+  name:       "upstream_failures_total",
+  help:       "Upstream API calls that failed after retries (or were short-circuited).",
+  labelNames: ["api"],
+});
+
+const cacheLookups = createCounter({
+  name:       "cache_lookups_total",
+  help:       "Cache lookups by result (hit or miss).",
+  labelNames: ["result"],
+});
+
+const cacheHitRatio = createGauge({
+  name: "cache_hit_ratio",
+  help: "Share of cache lookups that were hits since start (NaN before the first lookup).",
+});
+
+const cacheEntries = createGauge({
+  name: "cache_entries",
+  help: "Entries in the cache backend (NaN while it is unavailable).",
+});
+
+const cacheInFlight = createGauge({
+  name: "cache_in_flight",
+  help: "Deduplicated upstream fetches currently in flight.",
+});
+
+const cacheDeduplicated = createCounter({
+  name: "cache_deduplicated_total",
+  help: "Lookups that joined an identical in-flight fetch instead of calling upstream.",
+});
+
+const compositeScore = createHistogram({
+  name:    "composite_score",
+  help:    "Distribution of computed composite scores (0-100).",
+  buckets: [10, 20, 30, 40, 50, 60, 70, 80, 90, 100],
+});
+
+// ─── Exposition ───────────────────────────────────────────────────────────────
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+/** Every metric in the Prometheus text format */
+function render() {
+  const hits   = cacheLookups.get({ result: "hit" });
+  const misses = cacheLookups.get({ result: "miss" });
+  cacheHitRatio.set(hits + misses ? hits / (hits + misses) : NaN);
+
+  return metrics.map((m) => [
+    `# HELP ${m.name} ${escapeHelp(m.help)}`,
+    `# TYPE ${m.name} ${m.type}`,
+    ...m.samples().map((s) => `${m.name}${s.suffix}${formatLabels(s.labels)} ${formatValue(s.value)}`),
+  ].join("\n")).join("\n") + "\n";
+}
+
+module.exports = {
+  analyzeRequests,
+  analyzeDuration,
+  upstreamDuration,
+  upstreamFailures,
+  cacheLookups,
+  cacheEntries,
+  cacheInFlight,
+  cacheDeduplicated,
+  compositeScore,
+  render,
+  CONTENT_TYPE,
+};
@@ -0,0 +1,152 @@
+/**
+ * providerRegistry.js
+ *
+ * Registry of external data-source providers. Each provider declares:
+ *  - name      — key of its result on the country bundle and in data_availability
+ *  - label     — API name used in API_CALL / PARTIAL_FAILURE log lines
+ *  - fields    — fields its result supplies
+ *  - requires  — context fields that must be non-null before it can run
+ *  - provides  — context fields its result contributes to later providers
+ *  - fetch     — async (context) => result; throwing marks the source unavailable
+ *  - fallback  — value stored when the source is unavailable (default null)
+ *  - required  — if true, the country is treated as not found when it fails
+ *  - ttlMs     — how long a fetched value stays fresh in the cache
+ *  - staleMs   — extra window in which a stale value is served while refreshing
+ *  - scope     — "country" (once per country) or "location" (once per city
+ *                analysed; context carries `location` and optionally lat/lon)
+ *  - cacheKeyFields — context fields identifying a cached value (default: requires)
+ *  - resilience — retry / circuit-breaker / concurrency / rate-limit options for
+ *                its API guard (see resilienceService.js)
+ *
+ * Sources are added or swapped by (re-)registering under a name, and disabled
+ * at runtime or through the DISABLED_PROVIDERS env var (comma-separated names).
+ */
+
+const logger = require("../utils/logger");
+
+// name → provider definition (insertion order = declaration order)
+const providers = new Map();
+
+const disabledFromEnv = new Set(
+  (process.env.DISABLED_PROVIDERS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+);
+
+/**
+ * Register a provider. Registering an existing name replaces it (swap).
+ */
+function registerProvider(def) {
+  if (!def?.name || typeof def.fetch !== "function") {
+    throw new Error("Provider must have a name and a fetch function.");
+  }
+  providers.set(def.name, {
+    label:    def.name.toUpperCase(),
+    fields:   [],
+    requires: [],
+    provides: [],
+    fallback: null,
+    required: false,
+    ttlMs:    60 * 60 * 1000,
+    staleMs:  0,
+    scope:    "country",
+    ...def,
+    enabled:  def.enabled ?? !disabledFromEnv.has(def.name),
+  });
+}
+
+function unregisterProvider(name) {
+  return providers.delete(name);
+}
+
+function setProviderEnabled(name, enabled) {
+  const p = providers.get(name);
+  if (!p) throw new Error(`Unknown provider "${name}".`);
+  p.enabled = !!enabled;
+}
+
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+/** All registered providers, optionally only the enabled ones and/or one scope */
+function listProviders({ enabledOnly = false, scope = null } = {}) {
+  return [...providers.values()].filter((p) =>
+    (!enabledOnly || p.enabled) && (!scope || p.scope === scope)
+  );
+}
+
+/** Fresh copy of a provider's fallback, so bundles never share one object */
+function fallbackOf(p) {
+  return p.fallback && typeof p.fallback === "object" ? { ...p.fallback } : p.fallback;
+}
+
+/**
+ * Run every enabled provider of one scope, respecting declared dependencies.
+ * Providers run in waves: each wave runs concurrently every provider whose
+ * `requires` fields are present in the context. A provider whose dependencies
+ * can never be met is skipped and reported unavailable.
+ *
+ * @param {Object} initialContext — e.g. { country: "Germany" }
+ * @param {Function} runFn        — (provider, context) => Promise<result|null>
+ * @param {Object} [opts]
+ * @param {string} [opts.scope="country"]
+ * @returns {Promise<{ results: Object, availability: Object, context: Object, failedRequired: string|null }>}
+ */
+async function runProviders(initialContext, runFn, { scope = "country" } = {}) {
+  const context      = { ...initialContext };
+  const results      = {};
+  const availability = {};
+  let   pending      = listProviders({ enabledOnly: true, scope });
+  let   failedRequired = null;
+
+  const isReady = (p) => p.requires.every((f) => context[f] !== null && context[f] !== undefined);
+
+  while (pending.length > 0 && !failedRequired) {
+    const wave = pending.filter(isReady);
+    if (wave.length === 0) break;
+    pending = pending.filter((p) => !wave.includes(p));
+
+    const values = await Promise.all(wave.map((p) => runFn(p, context)));
+
+    wave.forEach((p, i) => {
+      const value = values[i];
+      results[p.name]      = value ?? fallbackOf(p);
+      availability[p.name] = value !== null && value !== undefined;
+      if (availability[p.name]) {
+        for (const f of p.provides) context[f] = value[f] ?? null;
+      } else if (p.required) {
+        failedRequired = p.name;
+      }
+    });
+  }
+
+  for (const p of pending) {
+    if (!failedRequired) {
+      logger.debug("PROVIDERS", `Skipping ${p.name}: unmet dependencies`, {
+        provider: p.name,
+        requires: p.requires,
+      });
+    }
+  }
+
+  // Every registered provider is reported, so consumers see a stable shape
+  for (const p of listProviders({ scope })) {
+    if (!(p.name in results)) {
+      results[p.name]      = fallbackOf(p);
+      availability[p.name] = false;
+    }
+  }
+
+  return { results, availability, context, failedRequired };
+}
+
+module.exports = {
+  registerProvider,
+  unregisterProvider,
+  setProviderEnabled,
+  getProvider,
+  listProviders,
+  runProviders,
+};
@@ -0,0 +1,197 @@
+/**
+ * regionService.js
+ *
+ * Region batch analysis: a region or subregion selector ("Europe", "Southern
+ * Europe", "Southeast Asia") expanded to its member countries, and aggregate
+ * statistics over the analysed members.
+ *
+ * Selectors match the regions and UN M49 subregions of the country catalogue,
+ * also as "East Asia" / "Southeast Asia" style names and a few common aliases.
+ * Membership comes from REST Countries (independent countries only, unless
+ * territories are asked for), falling back to the catalogue when it is
+ * unavailable.
+ */
+
+const catalogue = require("./countryService");
+const api       = require("./apiService");
+const scoring   = require("./scoringService");
+
+const DEFAULT_TOP          = 10;
+const MAX_TOP              = 50;
+const MAX_REGION_COUNTRIES = 60;
+const MAX_SUGGESTIONS      = 3;
+
+// Common names for catalogue subregions, in normalizeName form
+const ALIASES = {
+  "middle east":    "Western Asia",
+  "central africa": "Middle Africa",
+  "australasia":    "Australia and New Zealand",
+  "america":        "Americas",
+};
+
+let index = null;
+
+/** Regions and subregions of the catalogue, by normalized name */
+function regionIndex() {
+  if (index) return index;
+  index = new Map();
+  for (const c of catalogue.loadCatalogue().countries) {
+    for (const [type, name] of [["region", c.region], ["subregion", c.subregion]]) {
+      if (!name) continue;
+      const key = catalogue.normalizeName(name);
+      if (!index.has(key)) index.set(key, { type, name, region: c.region, members: [] });
+      index.get(key).members.push(c.name);
+    }
+  }
+  return index;
+}
+
+/** "east asia" → "eastern asia", "southeast asia" → "south eastern asia" */
+const compassForm = (key) => key.replace(
+  /\b(?:(north|south) ?(east|west)|(north|south|east|west))\b/,
+  (_, ns, ew, single) => (single ? `${single}ern` : `${ns} ${ew}ern`)
+);
+
+/**
+ * The catalogue region or subregion a selector names.
+ * @returns {{ type: "region"|"subregion", name: string, region: string } | null}
+ */
+function findRegion(input) {
+  const key     = catalogue.normalizeName(input);
+  const regions = regionIndex();
+  const hit     = regions.get(key)
+    || regions.get(compassForm(key))
+    || (ALIASES[key] && regions.get(catalogue.normalizeName(ALIASES[key])));
+  return hit ? { type: hit.type, name: hit.name, region: hit.region } : null;
+}
+
+/** Closest region / subregion names to an unknown selector */
+function suggestRegions(input) {
+  const key     = catalogue.normalizeName(input);
+  const loose   = Math.max(2, Math.floor(key.length / 3));
+  const longest = Math.max(...[...regionIndex().keys()].map((k) => k.length));
+  if (key.length - longest > loose) return [];   // too long to be within `loose` edits of any name
+  return [...regionIndex()]
+    .map(([k, r]) => ({ name: r.name, distance: catalogue.editDistance(key, k) }))
+    .filter((m) => m.distance <= loose)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, MAX_SUGGESTIONS)
+    .map((m) => m.name);
+}
+
+// ─── Selector ─────────────────────────────────────────────────────────────────
+// `region` is a region / subregion name, or { name, top, includeTerritories }.
+
+/** Validation errors for the request's `region` field */
+function validateRegion(value) {
+  const spec = typeof value === "string" ? { name: value } : value;
+  if (spec === null || typeof spec !== "object" || Array.isArray(spec)) {
+    return [`"region" must be a region name or an object with a "name".`];
+  }
+  const errors = [];
+  const { name, top, includeTerritories, ...rest } = spec;
+  if (Object.keys(rest).length) errors.push(`"region" has unknown keys: ${Object.keys(rest).join(", ")}.`);
+
+  if (typeof name !== "string" || !name.trim()) {
+    errors.push(`"region" must name a region or subregion.`);
+  } else if (!findRegion(name)) {
+    const suggestions = suggestRegions(name);
+    errors.push(`Unknown region "${name}".${suggestions.length ? ` Did you mean: ${suggestions.join(", ")}?` : ""}`);
+  }
+  if (top !== undefined && !(Number.isInteger(top) && top >= 1 && top <= MAX_TOP)) {
+    errors.push(`"region.top" must be an integer between 1 and ${MAX_TOP}.`);
+  }
+  if (includeTerritories !== undefined && typeof includeTerritories !== "boolean") {
+    errors.push(`"region.includeTerritories" must be a boolean.`);
+  }
+  return errors;
+}
+
+/** Validated `region` value → { type, name, region, top, include_territories } */
+function resolveRegion(value) {
+  const spec = typeof value === "string" ? { name: value } : value;
+  return {
+    ...findRegion(spec.name),
+    top:                 spec.top ?? DEFAULT_TOP,
+    include_territories: spec.includeTerritories ?? false,
+  };
+}
+
+/**
+ * Member countries of a resolved selector, as canonical catalogue names.
+ * @returns {Promise<{ countries: string[], source: "rest_countries"|"catalogue" }>}
+ */
+async function expandRegion(selector) {
+  const members = await api.fetchRegionMembers(selector);
+  if (!members) {
+    const entry = regionIndex().get(catalogue.normalizeName(selector.name));
+    return { countries: [...entry.members].sort(), source: "catalogue" };
+  }
+
+  const { byCode } = catalogue.loadCatalogue();
+  const countries = members
+    .filter((m) => selector.include_territories || m.independent)
+    .map((m) => byCode.get(m.iso2)?.name || m.name)
+    .filter(Boolean);
+  return { countries: [...new Set(countries)].sort(), source: "rest_countries" };
+}
+
+// ─── Aggregate Statistics ─────────────────────────────────────────────────────
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+/** mean / median / spread of one value over the results, with best and worst */
+function describeValues(results, valueOf) {
+  const points = results
+    .map((r) => ({ label: scoring.resultLabel(r), value: valueOf(r) }))
+    .filter((p) => typeof p.value === "number");
+  if (points.length === 0) return null;
+
+  const values = points.map((p) => p.value).sort((a, b) => a - b);
+  const mean   = values.reduce((a, b) => a + b, 0) / values.length;
+  const mid    = Math.floor(values.length / 2);
+  const best   = points.reduce((a, b) => (b.value > a.value ? b : a));
+  const worst  = points.reduce((a, b) => (b.value < a.value ? b : a));
+
+  return {
+    mean:   round1(mean),
+    median: round1(values.length % 2 ? values[mid] : (values[mid - 1] + values[mid]) / 2),
+    min:    values[0],
+    max:    values[values.length - 1],
+    stdev:  round1(Math.sqrt(values.reduce((a, v) => a + (v - mean) ** 2, 0) / values.length)),
+    best:   best.label,
+    worst:  worst.label,
+  };
+}
+
+/**
+ * Region-level statistics over every ranked result (not only the top N):
+ * the composite, each score (trend-adjusted where the composite used it)
+ * and data confidence.
+ */
+function aggregate(results) {
+  return {
+    composite_score: describeValues(results, (r) => r.scores.composite_score),
+    ...Object.fromEntries(scoring.SCORE_KEYS.map((key) => [
+      key, describeValues(results, (r) => (r.scores.trend_adjusted?.[key] || r.scores[key]).score),
+    ])),
+    confidence: describeValues(results, (r) => r.scores.confidence),
+  };
+}
+
+/** Drop the region index (tests, or after the catalogue is reloaded) */
+function reload() {
+  index = null;
+}
+
+module.exports = {
+  validateRegion,
+  resolveRegion,
+  expandRegion,
+  findRegion,
+  aggregate,
+  reload,
+  DEFAULT_TOP,
+  MAX_TOP,
+  MAX_REGION_COUNTRIES,
+};
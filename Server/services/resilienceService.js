@@ -0,0 +1,336 @@
+/**
+ * resilienceService.js
+ *
+ * Guards around upstream calls, one per API (keyed by its provider label):
+ *  1. Retry with exponential backoff and full jitter for transient failures —
+ *     network errors, timeouts, HTTP 429 and 5xx. Anything else (a 404 for an
+ *     unknown country, a payload without data) is final on the first attempt
+ *     and counts as the upstream being up.
+ *  2. Circuit breaker — after `failureThreshold` consecutive failed calls the
+ *     API is short-circuited for `cooldownMs`; then a single trial call
+ *     (half-open) closes it again or re-opens it.
+ *  3. Concurrency limit, and a per-minute rate limit (token bucket) shared by
+ *     every guard naming the same `quota` — e.g. weather and geocoding both
+ *     spend the OpenWeatherMap free tier. A call waits for its token before
+ *     taking a concurrency slot, so queued calls never hold slots idle.
+ *  4. A time budget per call (`totalTimeoutMs`) covering queueing, every
+ *     attempt and the backoff between them; no retry starts that would
+ *     overrun it, and a call still running when it expires fails with
+ *     CallTimeoutError.
+ *
+ * A short-circuited call throws without touching the network, so apiService's
+ * timedCall logs it as a partial failure and the cache serves last-good data.
+ */
+
+const logger = require("../utils/logger");
+
+const DEFAULTS = {
+  retries:          Number(process.env.UPSTREAM_RETRIES ?? 2),   // attempts after the first
+  baseDelayMs:      250,
+  maxDelayMs:       4000,
+  failureThreshold: Number(process.env.BREAKER_FAILURE_THRESHOLD) || 5,
+  cooldownMs:       (Number(process.env.BREAKER_COOLDOWN_SECONDS) || 30) * 1000,
+  concurrency:      8,
+  ratePerMinute:    null,    // null = unlimited
+  quota:            null,    // rate-limit bucket (default: the guard's own name)
+  totalTimeoutMs:   (Number(process.env.UPSTREAM_CALL_TIMEOUT_SECONDS) || 15) * 1000,
+};
+
+const guards  = new Map();   // name → guard
+const buckets = new Map();   // quota → token bucket
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Error thrown for calls refused by an open circuit */
+class CircuitOpenError extends Error {
+  constructor(name, retryAt) {
+    super(`Circuit open for ${name}; next attempt after ${new Date(retryAt).toISOString()}`);
+    this.name    = "CircuitOpenError";
+    this.code    = "CIRCUIT_OPEN";
+    this.retryAt = retryAt;
+  }
+}
+
+/** Error thrown for calls that run out of their time budget */
+class CallTimeoutError extends Error {
+  constructor(name, budgetMs) {
+    super(`${name} call exceeded its ${budgetMs}ms time budget`);
+    this.name = "CallTimeoutError";
+    this.code = "CALL_TIMEOUT";
+  }
+}
+
+/** Transient = worth retrying and a sign the upstream itself is unwell */
+function isTransient(err) {
+  if (!err?.isAxiosError) return false;
+  const status = err.response?.status;
+  return status === undefined || status === 429 || status >= 500;
+}
+
+/** Backoff before retry `attempt` (1-based): full jitter, or the server's Retry-After */
+function backoffDelay(err, attempt, { baseDelayMs, maxDelayMs }) {
+  const retryAfter = Number(err.response?.headers?.["retry-after"]);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return Math.min(retryAfter * 1000, maxDelayMs);
+  return Math.random() * Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+}
+
+// ─── Limits ───────────────────────────────────────────────────────────────────
+
+function createSemaphore(max) {
+  let active = 0;
+  const waiting = [];
+  return {
+    get active()  { return active; },
+    get waiting() { return waiting.length; },
+    /** null when a slot is free now, else a promise of one (handed over by release()) */
+    acquire() {
+      if (active < max) {
+        active += 1;
+        return null;
+      }
+      return new Promise((resolve) => waiting.push(resolve));
+    },
+    release() {
+      const next = waiting.shift();
+      if (next) next();
+      else active -= 1;
+    },
+  };
+}
+
+/** Token bucket holding up to a minute's worth of calls */
+function createBucket(ratePerMinute) {
+  const perMs   = ratePerMinute / 60000;
+  const waiting = [];   // FIFO of callers waiting for a token
+  let tokens    = ratePerMinute;
+  let updated   = Date.now();
+  let timer     = null;
+
+  const refill = () => {
+    const now = Date.now();
+    tokens  = Math.min(ratePerMinute, tokens + (now - updated) * perMs);
+    updated = now;
+  };
+
+  // Hand out tokens in arrival order, then sleep until the next one is due
+  function drain() {
+    refill();
+    while (waiting.length > 0 && tokens >= 1) {
+      tokens -= 1;
+      waiting.shift().grant();
+    }
+    if (waiting.length > 0 && !timer) {
+      timer = setTimeout(() => { timer = null; drain(); }, Math.ceil((1 - tokens) / perMs));
+    }
+  }
+
+  return {
+    get tokens() { refill(); return Math.floor(tokens); },
+    /**
+     * Resolves once a token is taken, or rejects with `expired()` at the
+     * deadline; a caller that gives up leaves the queue without taking one.
+     */
+    take(deadline, expired) {
+      return new Promise((resolve, reject) => {
+        const waiter = {
+          grant() {
+            clearTimeout(waiter.timeout);
+            resolve();
+          },
+        };
+        waiter.timeout = setTimeout(() => {
+          waiting.splice(waiting.indexOf(waiter), 1);
+          reject(expired());
+        }, Math.max(0, deadline - Date.now()));
+        waiting.push(waiter);
+        drain();
+      });
+    },
+  };
+}
+
+/** Settle like `promise`, or reject with `expired()` once `deadline` passes */
+function beforeDeadline(promise, deadline, expired) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(expired()), Math.max(0, deadline - Date.now()));
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * One attempt within the call's deadline: a rate-limit token, then a
+ * concurrency slot, then fn. The slot is held until fn settles, even when the
+ * deadline gives up on it first.
+ */
+async function attempt(guard, fn, deadline, expired) {
+  if (guard.bucket) await guard.bucket.take(deadline, expired);
+
+  const queued = guard.semaphore.acquire();
+  if (queued) {
+    try {
+      await beforeDeadline(queued, deadline, expired);
+    } catch (err) {
+      queued.then(() => guard.semaphore.release());   // hand back the slot once it arrives
+      throw err;
+    }
+  }
+
+  let running;
+  try {
+    running = Promise.resolve(fn());
+  } catch (err) {
+    running = Promise.reject(err);
+  }
+  running.then(() => guard.semaphore.release(), () => guard.semaphore.release());
+  return beforeDeadline(running, deadline, expired);
+}
+
+// ─── Guards ───────────────────────────────────────────────────────────────────
+
+function createGuard(name, options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const quota  = config.quota || name;
+  if (config.ratePerMinute && !buckets.has(quota)) buckets.set(quota, createBucket(config.ratePerMinute));
+
+  return {
+    name,
+    config,
+    quota,
+    semaphore: createSemaphore(config.concurrency),
+    bucket:    config.ratePerMinute ? buckets.get(quota) : null,
+    breaker:   { state: "closed", failures: 0, openedAt: null, trialInFlight: false, lastError: null },
+    totals:    { calls: 0, failures: 0, retries: 0, short_circuited: 0 },
+  };
+}
+
+function guardFor(name, options) {
+  if (!guards.has(name)) guards.set(name, createGuard(name, options));
+  return guards.get(name);
+}
+
+function transition(guard, state) {
+  const { breaker } = guard;
+  if (breaker.state === state) return;
+  const log = state === "open" ? logger.warn : logger.info;
+  log("CIRCUIT", `${guard.name} circuit ${breaker.state} → ${state}`, {
+    api:                  guard.name,
+    consecutive_failures: breaker.failures,
+    last_error:           breaker.lastError,
+  });
+  breaker.state = state;
+  if (state === "open") breaker.openedAt = Date.now();
+}
+
+/**
+ * Claim permission to call: throws CircuitOpenError while open (or while
+ * another call is the half-open trial). Returns true for the trial call.
+ */
+function admit(guard) {
+  const { breaker, config } = guard;
+  if (breaker.state === "closed") return false;
+
+  const retryAt = breaker.openedAt + config.cooldownMs;
+  if (breaker.state === "open" && Date.now() >= retryAt) transition(guard, "half_open");
+  if (breaker.state === "half_open" && !breaker.trialInFlight) {
+    breaker.trialInFlight = true;
+    return true;
+  }
+  guard.totals.short_circuited += 1;
+  throw new CircuitOpenError(guard.name, breaker.state === "open" ? retryAt : Date.now() + config.cooldownMs);
+}
+
+function recordOutcome(guard, err) {
+  const { breaker, config } = guard;
+  breaker.trialInFlight = false;
+  if (!err) {
+    breaker.failures  = 0;
+    breaker.lastError = null;
+    transition(guard, "closed");
+    return;
+  }
+  guard.totals.failures += 1;
+  breaker.failures  += 1;
+  breaker.lastError  = err.message;
+  if (breaker.state === "half_open" || breaker.failures >= config.failureThreshold) {
+    transition(guard, "open");   // a failed trial restarts the cool-down
+  }
+}
+
+/**
+ * Run `fn` under the named guard (created with `options` on first use).
+ * Resolves or rejects with fn's outcome after any retries, or rejects with
+ * CallTimeoutError when the guard's time budget runs out first.
+ * @param {string} name — API label, e.g. "OPENWEATHERMAP"
+ * @param {Function} fn — async () => result; one attempt
+ * @param {Object} [options] — overrides of DEFAULTS for this guard
+ */
+async function call(name, fn, options) {
+  const guard = guardFor(name, options);
+  const { config } = guard;
+  guard.totals.calls += 1;
+
+  const deadline = Date.now() + config.totalTimeoutMs;
+  const expired  = () => new CallTimeoutError(name, config.totalTimeoutMs);
+
+  // The half-open trial keeps its claim through its own retries
+  let trial = false;
+  for (let n = 0; ; n++) {
+    if (!trial) trial = admit(guard);
+    let error = null;
+    let result;
+    try {
+      result = await attempt(guard, fn, deadline, expired);
+    } catch (err) {
+      error = err;
+    }
+
+    const timedOut = error instanceof CallTimeoutError;
+    if (!error || (!isTransient(error) && !timedOut)) {
+      recordOutcome(guard, null);
+      if (error) throw error;
+      return result;
+    }
+    const delay = backoffDelay(error, n + 1, config);
+    if (timedOut || n >= config.retries || Date.now() + delay >= deadline) {
+      recordOutcome(guard, error);
+      throw error;
+    }
+
+    guard.totals.retries += 1;
+    logger.warn("RETRY", `${name} attempt ${n + 1} failed; retrying in ${Math.round(delay)}ms`, {
+      api:   name,
+      error: error.message,
+    });
+    await sleep(delay);
+  }
+}
+
+/** Breaker state, limits and counters per guard (for /health) */
+function snapshot() {
+  return Object.fromEntries([...guards.values()].map((g) => [g.name, {
+    state:                g.breaker.state,
+    consecutive_failures: g.breaker.failures,
+    last_error:           g.breaker.lastError,
+    retry_at: g.breaker.state === "open"
+      ? new Date(g.breaker.openedAt + g.config.cooldownMs).toISOString()
+      : null,
+    in_flight: g.semaphore.active,
+    queued:    g.semaphore.waiting,
+    limits: {
+      concurrency:     g.config.concurrency,
+      rate_per_minute: g.config.ratePerMinute,
+      quota:           g.quota,
+      ...(g.bucket && { tokens_left: g.bucket.tokens }),
+    },
+    totals: { ...g.totals },
+  }]));
+}
+
+/** Forget every guard and bucket (tests) */
+function reset() {
+  guards.clear();
+  buckets.clear();
+}
+
+module.exports = { call, snapshot, reset, isTransient, CircuitOpenError, CallTimeoutError, DEFAULTS };
@@ -7,12 +7,17 @@
  *  2. Travel Risk Score (0–100)
  *  3. Health Infrastructure Score (0–100)
  *  4. Environmental Stability Score (0–100)
- *  5. Dynamic weight adjustment (riskTolerance × duration)
+ *  4b. Affordability Score (0–100)
+ *  5. Dynamic weight adjustment (riskTolerance × duration, or custom weights)
  *  6. Final composite score + ranking
  *  7. Explainable reasoning per country
+ *  8. Optional trend adjustment (World Bank history projected forward)
+ *  9. Optional seasonal scoring against climate normals for a travel period
  */
 
 const logger = require("../utils/logger");
+const trendService = require("./trendService");
+const metrics = require("./metricsService");
 
 // ─────────────────────────────────────────────────────────────────────────────
 // NORMALIZATION
@@ -34,6 +39,186 @@ function normalize(value, min, max, higherIsBetter = true, defaultScore = 50) {
   return Math.round(scaled * 100);
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// SUB-COMPONENT WEIGHTS
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * Default sub-component weights for each intelligence score, keyed by the
+ * component names reported in each score's `components` object.
+ * Callers may override any score's set via custom sub-weights.
+ */
+const DEFAULT_SUB_WEIGHTS = {
+  travel_risk_score: {
+    temperature_comfort: 0.20,
+    air_quality:         0.30,
+    travel_advisory:     0.35,
+    weather_event:       0.15,
+  },
+  health_infrastructure_score: {
+    healthcare_expenditure: 0.40,
+    life_expectancy:        0.45,
+    population_pressure:    0.15,
+  },
+  environmental_stability_score: {
+    air_quality_stability:  0.35,
+    temperature_volatility: 0.25,
+    wind_comfort:           0.15,
+    humidity_comfort:       0.25,
+  },
+  affordability_score: {
+    price_level:         0.50,
+    inflation_stability: 0.30,
+    income_level:        0.20,
+  },
+};
+
+const SCORE_KEYS = Object.keys(DEFAULT_SUB_WEIGHTS);
+
+/**
+ * Raw input behind each component. A component whose input is missing is
+ * scored with a neutral fallback (imputed) rather than real data.
+ */
+const COMPONENT_INPUTS = {
+  travel_risk_score: {
+    temperature_comfort: (d) => d.weather?.temp_celsius,
+    air_quality:         (d) => d.aqi?.aqi,
+    travel_advisory:     (d) => d.advisory?.score,
+    weather_event:       (d) => d.weather?.precipitation_mm ?? d.weather?.weather_id,
+  },
+  health_infrastructure_score: {
+    healthcare_expenditure: (d) => d.worldBank?.healthcareExpenditure,
+    life_expectancy:        (d) => d.worldBank?.lifeExpectancy,
+    population_pressure:    (d) => d.profile?.population,
+  },
+  environmental_stability_score: {
+    air_quality_stability:  (d) => d.aqi?.aqi,
+    temperature_volatility: (d) => d.weather?.temp_max !== undefined && d.weather?.temp_min !== undefined
+      ? d.weather.temp_max - d.weather.temp_min
+      : null,
+    wind_comfort:           (d) => d.weather?.wind_speed_ms,
+    humidity_comfort:       (d) => d.weather?.humidity_pct,
+  },
+  affordability_score: {
+    price_level:         (d) => d.economy?.priceLevelRatio,
+    inflation_stability: (d) => d.economy?.inflation,
+    income_level:        (d) => d.economy?.gdpPerCapita,
+  },
+};
+
+/** Imputed component names per score, e.g. { travel_risk_score: ["air_quality"], ... } */
+function imputedComponents(data) {
+  const imputed = {};
+  for (const [scoreKey, inputs] of Object.entries(COMPONENT_INPUTS)) {
+    imputed[scoreKey] = Object.keys(inputs).filter((c) => {
+      const v = inputs[c](data);
+      return v === null || v === undefined || Number.isNaN(v);
+    });
+  }
+  return imputed;
+}
+
+/**
+ * Scale a weight object so its values sum to 1 (rounded to 3 decimals).
+ * Keys missing from `weights` are treated as 0.
+ * @param {Object<string, number>} weights
+ * @param {string[]} keys — the full set of keys to emit
+ */
+function normalizeWeights(weights, keys) {
+  const sum = keys.reduce((acc, k) => acc + (weights[k] || 0), 0);
+  const out = {};
+  for (const k of keys) {
+    out[k] = parseFloat(((weights[k] || 0) / sum).toFixed(3));
+  }
+  return out;
+}
+
+/**
+ * Resolve the sub-component weights for every score: defaults, with any
+ * custom per-score override normalized in place of the default set.
+ */
+function resolveSubWeights(customSubWeights = {}) {
+  const resolved = {};
+  for (const scoreKey of SCORE_KEYS) {
+    const defaults = DEFAULT_SUB_WEIGHTS[scoreKey];
+    resolved[scoreKey] = customSubWeights[scoreKey]
+      ? normalizeWeights(customSubWeights[scoreKey], Object.keys(defaults))
+      : { ...defaults };
+  }
+  return resolved;
+}
+
+/** Weighted sum of a components object, clamped and rounded to 0–100 */
+function weightedScore(components, subWeights) {
+  const raw = Object.keys(subWeights).reduce(
+    (acc, k) => acc + components[k] * subWeights[k], 0
+  );
+  return Math.round(Math.max(0, Math.min(100, raw)));
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// MISSING DATA
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * How imputed components are treated:
+ *  - neutral  — scored 50, ranked as usual (default)
+ *  - penalize — scored `penaltyScore` instead of 50
+ *  - reweight — left out; each score is weighted over the components with
+ *               data, and a score with none drops out of the composite
+ *  - exclude  — scored 50, but results below `minConfidence` are not ranked
+ */
+const MISSING_DATA_POLICIES = ["neutral", "penalize", "reweight", "exclude"];
+const MISSING_DATA_DEFAULTS = { policy: "neutral", penaltyScore: 25, minConfidence: 0.8 };
+
+const CONFIDENCE_LEVELS = [[0.9, "high"], [0.6, "medium"], [0, "low"]];
+
+/** The request's `missingData` ("reweight", or an options object) with defaults filled in */
+function resolveMissingDataPolicy(value) {
+  if (value === undefined || value === null) return { ...MISSING_DATA_DEFAULTS };
+  return { ...MISSING_DATA_DEFAULTS, ...(typeof value === "string" ? { policy: value } : value) };
+}
+
+/** Share (0–1) of a score's sub-weight carried by components with real data */
+function scoreConfidence(subWeights, imputed = []) {
+  const total   = Object.values(subWeights).reduce((a, b) => a + b, 0);
+  const missing = imputed.reduce((acc, c) => acc + (subWeights[c] || 0), 0);
+  return total > 0 ? parseFloat((1 - missing / total).toFixed(3)) : 0;
+}
+
+function confidenceLevel(confidence) {
+  return CONFIDENCE_LEVELS.find(([min]) => confidence >= min)[1];
+}
+
+/**
+ * Top-level and sub-component weights applied to one result under a policy.
+ * Only "reweight" changes them; a result with no data at all keeps the
+ * weights as given.
+ */
+function effectiveWeights(weights, subWeights, imputed, policy) {
+  if (policy !== "reweight") return { weights, subWeights };
+
+  const top = {};
+  const sub = {};
+  for (const key of SCORE_KEYS) {
+    const components = Object.keys(subWeights[key]);
+    const available  = components.filter((c) => !imputed[key]?.includes(c) && subWeights[key][c] > 0);
+    top[key] = available.length > 0 ? weights[key] : 0;
+    sub[key] = available.length > 0
+      ? normalizeWeights(Object.fromEntries(available.map((c) => [c, subWeights[key][c]])), components)
+      : subWeights[key];
+  }
+  if (SCORE_KEYS.every((k) => !top[k])) return { weights, subWeights };
+  return { weights: normalizeWeights(top, SCORE_KEYS), subWeights: sub };
+}
+
+/** A score result with its imputed components set to the penalty score ("penalize" only) */
+function applyPenalty(result, imputed, subWeights, missingData) {
+  if (missingData.policy !== "penalize" || imputed.length === 0) return result;
+  const components = { ...result.components };
+  for (const c of imputed) components[c] = missingData.penaltyScore;
+  return { ...result, score: weightedScore(components, subWeights), components };
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // WEATHER SEVERITY HELPERS
 // ─────────────────────────────────────────────────────────────────────────────
@@ -74,9 +259,10 @@ function tempComfortScore(tempCelsius) {
  *  - Temperature extreme penalty
  *  - Air Quality Index (AQI) — lower AQI = safer
  *  - Travel advisory score   — lower advisory = safer
- *  - Weather event severity
+ *  - Weather event severity (live condition code, or the normal monthly
+ *    precipitation when scoring against climate normals)
  */
-function computeTravelRiskScore(data) {
+function computeTravelRiskScore(data, subWeights = DEFAULT_SUB_WEIGHTS.travel_risk_score) {
   const { weather, aqi, advisory } = data;
 
   // Normalize each sub-component to 0–100 (100 = best/safest)
@@ -87,33 +273,20 @@ function computeTravelRiskScore(data) {
   const aqiScore       = normalize(aqi?.aqi, 0, 300, false, 50);
   // Advisory: 1.0 (safe) → 5.0 (danger). Normalize: lower = better
   const advisoryScore  = normalize(advisory?.score, 1, 5, false, 50);
-  const weatherEvtScore = 100 - weatherSeverityPenalty(weather?.weather_id);
-
-  // Sub-component weights for Travel Risk Score
-  const subWeights = {
-    tempScore:        0.20,
-    aqiScore:         0.30,
-    advisoryScore:    0.35,
-    weatherEvtScore:  0.15,
+  const weatherEvtScore = weather?.precipitation_mm !== undefined
+    ? normalize(weather.precipitation_mm, 0, 400, false, 50)   // wetter month = more disruption
+    : weather?.weather_id !== undefined && weather?.weather_id !== null
+      ? 100 - weatherSeverityPenalty(weather.weather_id)
+      : 50;                                                       // no condition code: imputed like the rest
+
+  const components = {
+    temperature_comfort:  tempScore,
+    air_quality:          aqiScore,
+    travel_advisory:      advisoryScore,
+    weather_event:        weatherEvtScore,
   };
 
-  const raw =
-    tempScore       * subWeights.tempScore +
-    aqiScore        * subWeights.aqiScore +
-    advisoryScore   * subWeights.advisoryScore +
-    weatherEvtScore * subWeights.weatherEvtScore;
-
-  const score = Math.round(Math.max(0, Math.min(100, raw)));
-
-  return {
-    score,
-    components: {
-      temperature_comfort:  tempScore,
-      air_quality:          aqiScore,
-      travel_advisory:      advisoryScore,
-      weather_event:        weatherEvtScore,
-    },
-  };
+  return { score: weightedScore(components, subWeights), components };
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -125,7 +298,7 @@ function computeTravelRiskScore(data) {
  *  - Life expectancy — higher = better
  *  - Population pressure adjustment: very high pop density can strain healthcare
  */
-function computeHealthInfrastructureScore(data) {
+function computeHealthInfrastructureScore(data, subWeights = DEFAULT_SUB_WEIGHTS.health_infrastructure_score) {
   const { worldBank, profile } = data;
 
   const healthExpScore = normalize(worldBank.healthcareExpenditure, 1, 15, true, 50);
@@ -136,27 +309,13 @@ function computeHealthInfrastructureScore(data) {
     ? normalize(Math.log10(profile.population), Math.log10(1e5), Math.log10(2e9), false, 50)
     : 50;
 
-  const subWeights = {
-    healthExp:      0.40,
-    lifeExp:        0.45,
-    popPressure:    0.15,
+  const components = {
+    healthcare_expenditure: healthExpScore,
+    life_expectancy:        lifeExpScore,
+    population_pressure:    popPressureScore,
   };
 
-  const raw =
-    healthExpScore  * subWeights.healthExp +
-    lifeExpScore    * subWeights.lifeExp +
-    popPressureScore* subWeights.popPressure;
-
-  const score = Math.round(Math.max(0, Math.min(100, raw)));
-
-  return {
-    score,
-    components: {
-      healthcare_expenditure: healthExpScore,
-      life_expectancy:        lifeExpScore,
-      population_pressure:    popPressureScore,
-    },
-  };
+  return { score: weightedScore(components, subWeights), components };
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
@@ -168,7 +327,7 @@ function computeHealthInfrastructureScore(data) {
  *  - Weather volatility proxy (temp range + wind speed)
  *  - Humidity comfort range
  */
-function computeEnvironmentalStabilityScore(data) {
+function computeEnvironmentalStabilityScore(data, subWeights = DEFAULT_SUB_WEIGHTS.environmental_stability_score) {
   const { weather, aqi } = data;
 
   const aqiEnvScore    = normalize(aqi?.aqi, 0, 300, false, 50);
@@ -190,42 +349,58 @@ function computeEnvironmentalStabilityScore(data) {
     humidityScore = normalize(humDev, 0, 55, false, 50);
   }
 
-  const subWeights = {
-    aqiEnv:      0.35,
-    volatility:  0.25,
-    wind:        0.15,
-    humidity:    0.25,
+  const components = {
+    air_quality_stability:  aqiEnvScore,
+    temperature_volatility: volatilityScore,
+    wind_comfort:           windScore,
+    humidity_comfort:       humidityScore,
   };
 
-  const raw =
-    aqiEnvScore     * subWeights.aqiEnv +
-    volatilityScore * subWeights.volatility +
-    windScore       * subWeights.wind +
-    humidityScore   * subWeights.humidity;
+  return { score: weightedScore(components, subWeights), components };
+}
 
-  const score = Math.round(Math.max(0, Math.min(100, raw)));
+// ─────────────────────────────────────────────────────────────────────────────
+// SCORE 4: AFFORDABILITY SCORE (0–100, higher = cheaper / more predictable)
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Derived from World Bank economy indicators:
+ *  - Price level ratio (PPP conversion factor / market exchange rate, US = 1.0) — lower = cheaper
+ *  - CPI inflation — distance from a 2% target, lower = more predictable costs
+ *  - GDP per capita (log scale) — higher local incomes push up rents and services
+ */
+function computeAffordabilityScore(data, subWeights = DEFAULT_SUB_WEIGHTS.affordability_score) {
+  const economy = data.economy || {};
 
-  return {
-    score,
-    components: {
-      air_quality_stability: aqiEnvScore,
-      temperature_volatility: volatilityScore,
-      wind_comfort:            windScore,
-      humidity_comfort:        humidityScore,
-    },
+  const priceLevelScore = normalize(economy.priceLevelRatio, 0.2, 1.5, false, 50);
+  const inflationScore  = economy.inflation !== null && economy.inflation !== undefined
+    ? normalize(Math.abs(economy.inflation - 2), 0, 15, false, 50)
+    : 50;
+  const incomeScore     = economy.gdpPerCapita
+    ? normalize(Math.log10(economy.gdpPerCapita), Math.log10(500), Math.log10(100000), false, 50)
+    : 50;
+
+  const components = {
+    price_level:         priceLevelScore,
+    inflation_stability: inflationScore,
+    income_level:        incomeScore,
   };
+
+  return { score: weightedScore(components, subWeights), components };
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
 // DYNAMIC WEIGHT PROFILES
 // ─────────────────────────────────────────────────────────────────────────────
 /**
- * Final composite score = weighted sum of the three intelligence scores.
- * Weights are dynamically adjusted by (riskTolerance, duration).
+ * Final composite score = weighted sum of the four intelligence scores.
+ * Weights are dynamically adjusted by (riskTolerance, duration), unless the
+ * caller supplies explicit custom weights, which are normalized to sum to 1.
  *
- * Travel Risk | Health Infrastructure | Environmental Stability
+ * Travel Risk | Health Infrastructure | Environmental Stability | Affordability
  */
-function getDynamicWeights(riskTolerance, duration) {
+function getDynamicWeights(riskTolerance, duration, customWeights = null) {
+  if (customWeights) return normalizeWeights(customWeights, SCORE_KEYS);
+
   const rt = riskTolerance.toLowerCase();
   const d  = duration.toLowerCase();
 
@@ -273,17 +448,75 @@ function getDynamicWeights(riskTolerance, duration) {
     envStab     /= sum;
   }
 
+  // Affordability takes a fixed share; the other three keep their proportions.
+  // Living costs add up over a long stay, so they matter more there.
+  const afford = d === "long" ? 0.20 : 0.10;
+
+  return {
+    travel_risk_score:              parseFloat((travelRisk * (1 - afford)).toFixed(3)),
+    health_infrastructure_score:    parseFloat((healthInfra * (1 - afford)).toFixed(3)),
+    environmental_stability_score:  parseFloat((envStab * (1 - afford)).toFixed(3)),
+    affordability_score:            afford,
+  };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// TREND ADJUSTMENT
+// ─────────────────────────────────────────────────────────────────────────────
+/**
+ * Re-score Health Infrastructure and Travel Risk on indicator values projected
+ * `horizonYears` ahead along their historical trends. Indicators without a
+ * trend keep their latest value. `applyPolicy(scoreKey, result)` applies the
+ * missing-data policy, as for the current scores.
+ */
+function computeTrendAdjustedScores(data, trends, subWeights, horizonYears, current, applyPolicy = (k, r) => r) {
+  const projectedLife   = trendService.project(trends.life_expectancy, horizonYears);
+  const projectedHealth = trendService.project(trends.healthcare_expenditure, horizonYears);
+  const projectedStab   = trendService.project(trends.political_stability, horizonYears);
+
+  const projected = {
+    ...data,
+    worldBank: {
+      ...data.worldBank,
+      lifeExpectancy:        projectedLife   ?? data.worldBank.lifeExpectancy,
+      healthcareExpenditure: projectedHealth ?? data.worldBank.healthcareExpenditure,
+    },
+    // Same PV.EST → 1–5 advisory mapping as apiService's travel advisory source
+    advisory: projectedStab === null ? data.advisory : {
+      ...data.advisory,
+      score: Math.max(1, Math.min(5, ((projectedStab - 2.5) / -5) * 4 + 1)),
+    },
+  };
+
+  const health = applyPolicy("health_infrastructure_score",
+    computeHealthInfrastructureScore(projected, subWeights.health_infrastructure_score));
+  const risk   = applyPolicy("travel_risk_score",
+    computeTravelRiskScore(projected, subWeights.travel_risk_score));
+
   return {
-    travel_risk_score:              parseFloat(travelRisk.toFixed(3)),
-    health_infrastructure_score:    parseFloat(healthInfra.toFixed(3)),
-    environmental_stability_score:  parseFloat(envStab.toFixed(3)),
+    horizon_years: horizonYears,
+    health_infrastructure_score: {
+      ...health,
+      delta: health.score - current.healthInfra.score,
+    },
+    travel_risk_score: {
+      ...risk,
+      delta: risk.score - current.travelRisk.score,
+    },
   };
 }
 
 // ─────────────────────────────────────────────────────────────────────────────
 // REASONING GENERATOR
 // ─────────────────────────────────────────────────────────────────────────────
-function generateReasoning(country, travelRisk, healthInfra, envStab, rawData, weights) {
+const SCORE_NAMES = {
+  travel_risk_score:             "Travel Safety",
+  health_infrastructure_score:   "Health Infrastructure",
+  environmental_stability_score: "Environmental Stability",
+  affordability_score:           "Affordability",
+};
+
+function generateReasoning(country, travelRisk, healthInfra, envStab, affordability, rawData, weights) {
   const reasons = [];
 
   // Travel risk reasoning
@@ -328,15 +561,83 @@ function generateReasoning(country, travelRisk, healthInfra, envStab, rawData, w
     }.`);
   }
 
+  // Affordability reasoning
+  const economy = rawData.economy || {};
+  const priceLevel = economy.priceLevelRatio !== null && economy.priceLevelRatio !== undefined
+    ? `price levels at ${Math.round(economy.priceLevelRatio * 100)}% of the US`
+    : null;
+  const inflation = economy.inflation !== null && economy.inflation !== undefined
+    ? `${economy.inflation.toFixed(1)}% inflation`
+    : null;
+  if (affordability.score >= 70) {
+    reasons.push(`Affordable — ${[priceLevel, inflation].filter(Boolean).join(" and ") || "low living costs"}.`);
+  } else if (affordability.score <= 40) {
+    const issues = [];
+    if (affordability.components.price_level < 40 && priceLevel) issues.push(`high ${priceLevel}`);
+    if (affordability.components.inflation_stability < 40 && inflation) issues.push(`volatile prices (${inflation})`);
+    if (affordability.components.income_level < 40) issues.push("high-income economy with costly rents and services");
+    reasons.push(`Expensive to live in due to: ${issues.join(", ") || "multiple factors"}.`);
+  }
+
+  // Long-term trends (only the ones that are actually moving)
+  const trendNames = {
+    life_expectancy:        "life expectancy",
+    healthcare_expenditure: "healthcare spending",
+    political_stability:    "political stability",
+  };
+  const moving = Object.entries(rawData._trends || {})
+    .filter(([, t]) => t && t.direction !== "stable");
+  if (moving.length > 0) {
+    const parts = moving.map(([name, t]) =>
+      `${trendNames[name]} ${t.direction} (${t.slope_per_year > 0 ? "+" : ""}${t.slope_per_year.toFixed(2)} ${t.unit}/yr, ${t.first_year}–${t.last_year})`
+    );
+    reasons.push(`Long-term trends: ${parts.join("; ")}.`);
+  }
+
+  const climate = rawData._climate;
+  if (climate) {
+    const n = climate.normals;
+    const live = rawData._liveWeather?.temp_celsius;
+    reasons.push(`Seasonal outlook for ${climate.period.label} (climate normals, ${climate.station.city}): typical ${
+      n.temp_max.toFixed(0)}°/${n.temp_min.toFixed(0)}°C, ${n.humidity_pct.toFixed(0)}% humidity, ${
+      n.precipitation_mm.toFixed(0)} mm rain${live !== undefined && live !== null ? `; currently ${live.toFixed(1)}°C` : ""}.`);
+  }
+
+  const adjusted = rawData._trendAdjusted;
+  if (adjusted) {
+    const fmt = (s) => `${s.score} (${s.delta >= 0 ? "+" : ""}${s.delta})`;
+    reasons.push(`Trend-adjusted over ${adjusted.horizon_years} yr${adjusted.horizon_years === 1 ? "" : "s"}: Health Infrastructure ${
+      fmt(adjusted.health_infrastructure_score)
+    }, Travel Risk ${fmt(adjusted.travel_risk_score)}.`);
+  }
+
+  // Data gaps: name every imputed input and how it was scored
+  const gaps = Object.entries(rawData._imputed || {}).filter(([, list]) => list.length > 0);
+  if (gaps.length > 0) {
+    const missingSources = Object.entries(rawData.data_availability || {})
+      .filter(([, available]) => !available)
+      .map(([source]) => source);
+    const treatment = {
+      neutral:  "each scored as a neutral 50",
+      exclude:  "each scored as a neutral 50",
+      penalize: `each scored as ${rawData._missingData?.penaltyScore} (penalized)`,
+      reweight: "left out, with weights rescaled over the inputs that have data",
+    }[rawData._missingData?.policy || "neutral"];
+    const parts = gaps.map(([key, list]) =>
+      `${list.map((c) => c.replace(/_/g, " ")).join(", ")} (${SCORE_NAMES[key]})`
+    );
+    reasons.push(`Data gaps (confidence ${rawData._confidence?.toFixed(2)}): ${
+      missingSources.length ? `no ${missingSources.join("/")} data — ` : ""
+    }imputed ${parts.join("; ")}; ${treatment}.`);
+  }
+
   // Weight context
   const topWeight = Object.entries(weights).sort((a, b) => b[1] - a[1])[0];
-  const weightNames = {
-    travel_risk_score: "Travel Safety",
-    health_infrastructure_score: "Health Infrastructure",
-    environmental_stability_score: "Environmental Stability",
-  };
-  reasons.push(`For your profile (${rawData._riskTolerance}/${rawData._duration}), ${
-    weightNames[topWeight[0]]
+  const profileLabel = rawData._customWeights
+    ? "custom weight profile"
+    : `profile (${rawData._riskTolerance}/${rawData._duration})`;
+  reasons.push(`For your ${profileLabel}, ${
+    SCORE_NAMES[topWeight[0]]
   } carries the highest weight (${(topWeight[1] * 100).toFixed(0)}%).`);
 
   return reasons;
@@ -345,45 +646,114 @@ function generateReasoning(country, travelRisk, healthInfra, envStab, rawData, w
 // ─────────────────────────────────────────────────────────────────────────────
 // MASTER SCORING FUNCTION
 // ─────────────────────────────────────────────────────────────────────────────
-function scoreCountry(countryData, riskTolerance, duration) {
-  const travelRisk = computeTravelRiskScore(countryData);
-  const healthInfra = computeHealthInfrastructureScore(countryData);
-  const envStab = computeEnvironmentalStabilityScore(countryData);
-  const weights = getDynamicWeights(riskTolerance, duration);
+/**
+ * @param {Object} countryData — output of apiService.fetchAllDataForCountry
+ * @param {string|null} riskTolerance
+ * @param {string|null} duration
+ * @param {Object} [options]
+ * @param {Object} [options.weights]    — custom top-level weights (overrides the preset grid)
+ * @param {Object} [options.subWeights] — custom sub-component weights, keyed by score
+ * @param {boolean} [options.trendAdjusted]   — blend trend-projected health/risk scores into the composite
+ * @param {number}  [options.trendHorizonYears] — projection horizon (default: 1 for short stays, else 5)
+ * @param {Object}  [options.climate] — seasonal climate (climateService.climateFor); its normals
+ *   replace the live weather snapshot for every weather-derived component
+ * @param {string|Object} [options.missingData] — missing-data policy (see MISSING_DATA_POLICIES)
+ */
+function scoreCountry(rawCountryData, riskTolerance, duration, options = {}) {
+  const countryData = options.climate
+    ? { ...rawCountryData, weather: options.climate.normals, _liveWeather: rawCountryData.weather }
+    : rawCountryData;
+  const missingData    = resolveMissingDataPolicy(options.missingData);
+  const imputed        = imputedComponents(countryData);
+  const baseWeights    = getDynamicWeights(riskTolerance, duration, options.weights);
+  const baseSubWeights = resolveSubWeights(options.subWeights);
+  const { weights, subWeights } = effectiveWeights(baseWeights, baseSubWeights, imputed, missingData.policy);
+
+  const withPolicy = (key, result) => ({
+    ...applyPenalty(result, imputed[key], subWeights[key], missingData),
+    confidence: scoreConfidence(baseSubWeights[key], imputed[key]),
+  });
+  const travelRisk = withPolicy("travel_risk_score",
+    computeTravelRiskScore(countryData, subWeights.travel_risk_score));
+  const healthInfra = withPolicy("health_infrastructure_score",
+    computeHealthInfrastructureScore(countryData, subWeights.health_infrastructure_score));
+  const envStab = withPolicy("environmental_stability_score",
+    computeEnvironmentalStabilityScore(countryData, subWeights.environmental_stability_score));
+  const affordability = withPolicy("affordability_score",
+    computeAffordabilityScore(countryData, subWeights.affordability_score));
+  const trends  = trendService.computeTrends(countryData);
+
+  // Confidence of the composite: per-score confidence weighted by the
+  // requested profile (re-weighting does not make missing data less missing)
+  const confidence = parseFloat(SCORE_KEYS.reduce(
+    (acc, key) => acc + scoreConfidence(baseSubWeights[key], imputed[key]) * baseWeights[key], 0
+  ).toFixed(3));
+
+  const trendAdjusted = options.trendAdjusted
+    ? computeTrendAdjustedScores(
+        countryData,
+        trends,
+        subWeights,
+        options.trendHorizonYears ?? (duration === "short" ? 1 : 5),
+        { travelRisk, healthInfra },
+        withPolicy
+      )
+    : null;
+
+  const riskForComposite   = trendAdjusted ? trendAdjusted.travel_risk_score : travelRisk;
+  const healthForComposite = trendAdjusted ? trendAdjusted.health_infrastructure_score : healthInfra;
 
   const compositeScore =
-    travelRisk.score  * weights.travel_risk_score +
-    healthInfra.score * weights.health_infrastructure_score +
-    envStab.score     * weights.environmental_stability_score;
+    riskForComposite.score   * weights.travel_risk_score +
+    healthForComposite.score * weights.health_infrastructure_score +
+    envStab.score            * weights.environmental_stability_score +
+    affordability.score      * weights.affordability_score;
 
   const finalScore = Math.round(Math.max(0, Math.min(100, compositeScore)));
 
   // Attach profile metadata for reasoning
   countryData._riskTolerance = riskTolerance;
   countryData._duration = duration;
+  countryData._customWeights = !!options.weights;
+  countryData._trends = trends;
+  countryData._trendAdjusted = trendAdjusted;
+  countryData._climate = options.climate || null;
+  countryData._imputed = imputed;
+  countryData._missingData = missingData;
+  countryData._confidence = confidence;
+
+  const label = countryData.city ? `${countryData.city}, ${countryData.country}` : countryData.country;
 
   const reasoning = generateReasoning(
-    countryData.country,
+    label,
     travelRisk,
     healthInfra,
     envStab,
+    affordability,
     countryData,
     weights
   );
 
-  logger.scoring(countryData.country, {
+  logger.scoring(label, {
     travel_risk: travelRisk.score,
     health_infrastructure: healthInfra.score,
     environmental_stability: envStab.score,
+    affordability: affordability.score,
     composite: finalScore,
   });
+  metrics.compositeScore.observe(finalScore);
 
   return {
     travel_risk_score:             travelRisk,
     health_infrastructure_score:   healthInfra,
     environmental_stability_score: envStab,
+    affordability_score:           affordability,
     composite_score:               finalScore,
     dynamic_weights:               weights,
+    ...(trendAdjusted && { trend_adjusted: trendAdjusted }),
+    confidence,
+    confidence_level:              confidenceLevel(confidence),
+    imputed_components:            imputed,
     reasoning,
   };
 }
@@ -391,9 +761,81 @@ function scoreCountry(countryData, riskTolerance, duration) {
 // ─────────────────────────────────────────────────────────────────────────────
 // RANKING
 // ─────────────────────────────────────────────────────────────────────────────
-const RANK_LABELS = ["🥇 Best Match", "🥈 Strong Option", "🥉 Good Alternative"];
+const RANK_LABELS   = ["🥇 Best Match", "🥈 Strong Option", "🥉 Good Alternative"];
+const RANKING_MODES = ["weighted", "pareto"];
+
+/** "City, Country" or "Country" */
+const resultLabel = (entry) => (entry.city ? `${entry.city}, ${entry.country}` : entry.country);
+
+/** The score used for an objective: the trend-adjusted one when the composite used it */
+const objectiveValue = (entry, key) => (entry.scores.trend_adjusted?.[key] || entry.scores[key]).score;
+
+/** a dominates b: at least as good on every objective and better on one */
+function dominates(a, b, objectives) {
+  let better = false;
+  for (const key of objectives) {
+    const va = objectiveValue(a, key);
+    const vb = objectiveValue(b, key);
+    if (va < vb) return false;
+    if (va > vb) better = true;
+  }
+  return better;
+}
+
+/**
+ * Multi-objective ranking: non-dominated sorting into tiers (tier 1 is the
+ * Pareto front), composite score breaking ties within a tier. Each result gets
+ * a `pareto` section naming who dominates it and whom it dominates, and front
+ * members list the objectives on which they lead the front.
+ */
+function rankPareto(entries, objectives) {
+  const indices = entries.map((_, i) => i);
+  // dominatedBy[i] — indices of the results that dominate result i
+  const dominatedBy = indices.map((i) =>
+    indices.filter((j) => j !== i && dominates(entries[j], entries[i], objectives))
+  );
+
+  const tier = new Array(entries.length).fill(0);
+  let remaining = indices;
+  for (let t = 1; remaining.length > 0; t++) {
+    const front = remaining.filter((i) => !dominatedBy[i].some((j) => remaining.includes(j)));
+    for (const i of front) tier[i] = t;
+    remaining = remaining.filter((i) => tier[i] === 0);
+  }
+
+  const front = indices.filter((i) => tier[i] === 1);
+  const leads = (i) => objectives.filter((key) =>
+    front.every((j) => objectiveValue(entries[i], key) >= objectiveValue(entries[j], key))
+  );
+
+  const order = [...indices].sort((i, j) =>
+    tier[i] - tier[j] || entries[j].scores.composite_score - entries[i].scores.composite_score
+  );
+
+  return order.map((i, pos) => ({
+    ...entries[i],
+    rank:       pos + 1,
+    rank_label: tier[i] > 1 ? `Tier ${tier[i]}`
+      : front.length === 1 ? "🥇 Dominates All"
+      : "⚖️ Pareto-Optimal",
+    pareto: {
+      tier:         tier[i],
+      dominated_by: dominatedBy[i].map((j) => resultLabel(entries[j])),
+      dominates:    indices.filter((j) => dominatedBy[j].includes(i)).map((j) => resultLabel(entries[j])),
+      ...(tier[i] === 1 && { leads_on: leads(i) }),
+    },
+  }));
+}
+
+/**
+ * @param {Object[]} scoredCountries — results with `scores` (scoreCountry output)
+ * @param {Object} [options]
+ * @param {"weighted"|"pareto"} [options.mode] — by composite (default), or Pareto tiers
+ * @param {string[]} [options.objectives] — scores compared in Pareto mode (default: all)
+ */
+function rankResults(scoredCountries, { mode = "weighted", objectives = SCORE_KEYS } = {}) {
+  if (mode === "pareto") return rankPareto(scoredCountries, objectives);
 
-function rankResults(scoredCountries) {
   const sorted = [...scoredCountries].sort(
     (a, b) => b.scores.composite_score - a.scores.composite_score
   );
@@ -404,4 +846,43 @@ function rankResults(scoredCountries) {
   }));
 }
 
-module.exports = { scoreCountry, rankResults, getDynamicWeights };
+/** Summary of a Pareto ranking: the front, and whether one result dominates all others */
+function paretoSummary(ranked, objectives) {
+  const front = ranked.filter((r) => r.pareto.tier === 1);
+  return {
+    mode:         "pareto",
+    objectives,
+    front:        front.map(resultLabel),
+    tiers:        Math.max(0, ...ranked.map((r) => r.pareto.tier)),
+    clear_winner: front.length === 1 ? resultLabel(front[0]) : null,
+  };
+}
+
+module.exports = {
+  scoreCountry,
+  rankResults,
+  paretoSummary,
+  dominates,
+  resultLabel,
+  getDynamicWeights,
+  resolveSubWeights,
+  weightedScore,
+  imputedComponents,
+  resolveMissingDataPolicy,
+  effectiveWeights,
+  scoreConfidence,
+  DEFAULT_SUB_WEIGHTS,
+  MISSING_DATA_POLICIES,
+  MISSING_DATA_DEFAULTS,
+  RANKING_MODES,
+  SCORE_KEYS,
+  SCORE_NAMES,
+  // Exposed for unit tests
+  normalize,
+  weatherSeverityPenalty,
+  tempComfortScore,
+  computeTravelRiskScore,
+  computeHealthInfrastructureScore,
+  computeEnvironmentalStabilityScore,
+  computeAffordabilityScore,
+};
@@ -0,0 +1,246 @@
+/**
+ * sensitivityService.js
+ *
+ * Rank-stability report for a set of scored results (Monte Carlo):
+ *  1. Perturbation — top-level and sub-component weights are jittered around
+ *     the ones used, and imputed components (missing data scored as neutral)
+ *     are redrawn from a range — unless the missing-data policy penalized or
+ *     re-weighted them; every result is re-scored and re-ranked per
+ *     sample → probability of holding its rank, rank distribution, and a 90%
+ *     interval on the composite
+ *  2. Weight sweep — top-level weights drawn uniformly over every possible
+ *     profile → the share and region of weight space where each result is #1
+ *
+ * Every sample applies the request's missing-data policy the way scoring did.
+ * Sampling is seeded, so the same request always yields the same report.
+ */
+
+const scoring = require("./scoringService");
+
+const DEFAULTS = {
+  samples:            1000,
+  weight_jitter:      0.25,   // ± relative change per weight
+  sub_weight_jitter:  0.25,
+  missing_data_range: [20, 80],
+  seed:               1,
+};
+const MIN_SAMPLES = 100;
+const MAX_SAMPLES = 5000;
+const CI_LEVEL    = 0.9;
+
+// Re-scored results per pass (samples × results): a large region batch gets
+// fewer samples rather than holding the event loop for seconds
+const MAX_EVALUATIONS = 50000;
+
+/**
+ * Validation errors for the request's `sensitivity` field
+ * (`true`, or an object overriding any of DEFAULTS).
+ */
+function validateOptions(value) {
+  if (value === true || value === false) return [];
+  if (value === null || typeof value !== "object" || Array.isArray(value)) {
+    return [`"sensitivity" must be true or an options object.`];
+  }
+  const errors = [];
+  const unknown = Object.keys(value).filter((k) => !(k in DEFAULTS));
+  if (unknown.length) errors.push(`"sensitivity" has unknown keys: ${unknown.join(", ")}.`);
+
+  const { samples, weight_jitter, sub_weight_jitter, missing_data_range, seed } = value;
+  if (samples !== undefined && !(Number.isInteger(samples) && samples >= MIN_SAMPLES && samples <= MAX_SAMPLES)) {
+    errors.push(`"sensitivity.samples" must be an integer between ${MIN_SAMPLES} and ${MAX_SAMPLES}.`);
+  }
+  for (const [name, v] of [["weight_jitter", weight_jitter], ["sub_weight_jitter", sub_weight_jitter]]) {
+    if (v !== undefined && !(typeof v === "number" && v >= 0 && v <= 1)) {
+      errors.push(`"sensitivity.${name}" must be a number between 0 and 1.`);
+    }
+  }
+  if (missing_data_range !== undefined && !(
+    Array.isArray(missing_data_range) && missing_data_range.length === 2 &&
+    missing_data_range.every((n) => typeof n === "number" && n >= 0 && n <= 100) &&
+    missing_data_range[0] <= missing_data_range[1]
+  )) {
+    errors.push(`"sensitivity.missing_data_range" must be [min, max] within 0–100.`);
+  }
+  if (seed !== undefined && !Number.isInteger(seed)) {
+    errors.push(`"sensitivity.seed" must be an integer.`);
+  }
+  return errors;
+}
+
+/**
+ * Resolved options, or null when the mode is off. `samples` is capped so that
+ * samples × resultCount stays within MAX_EVALUATIONS.
+ */
+function resolveOptions(value, resultCount = 1) {
+  if (!value) return null;
+  const options = { ...DEFAULTS, ...(value === true ? {} : value) };
+  options.samples = Math.min(options.samples, Math.floor(MAX_EVALUATIONS / Math.max(resultCount, 1)));
+  return options;
+}
+
+// ─── Sampling helpers ─────────────────────────────────────────────────────────
+
+/** mulberry32 — small, fast, seedable PRNG returning [0, 1) */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Multiply each weight by (1 ± jitter) and renormalize; zero weights stay zero */
+function jitterWeights(weights, jitter, random) {
+  const out = {};
+  let sum = 0;
+  for (const [k, w] of Object.entries(weights)) {
+    out[k] = w * (1 + (random() * 2 - 1) * jitter);
+    sum += out[k];
+  }
+  for (const k of Object.keys(out)) out[k] = sum > 0 ? out[k] / sum : 0;
+  return out;
+}
+
+/** Uniform draw over the weight simplex (flat Dirichlet) */
+function randomProfile(keys, random) {
+  const draws = keys.map(() => -Math.log(1 - random()));
+  const sum   = draws.reduce((a, b) => a + b, 0);
+  return Object.fromEntries(keys.map((k, i) => [k, draws[i] / sum]));
+}
+
+function percentile(sorted, p) {
+  const idx = (sorted.length - 1) * p;
+  const lo  = Math.floor(idx);
+  const hi  = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+const round3 = (n) => parseFloat(n.toFixed(3));
+
+// ─── Re-scoring ───────────────────────────────────────────────────────────────
+
+/**
+ * Components feeding each score of a result: the trend-adjusted ones when the
+ * composite used them, else the current ones.
+ */
+function baseComponents(scores) {
+  const out = {};
+  for (const key of scoring.SCORE_KEYS) {
+    out[key] = (scores.trend_adjusted?.[key] || scores[key]).components;
+  }
+  return out;
+}
+
+/**
+ * Composite for given components and weights, as scoreCountry computes it
+ * (including "reweight" dropping the imputed components of this result).
+ */
+function composite(components, weights, subWeights, imputed, policy) {
+  ({ weights, subWeights } = scoring.effectiveWeights(weights, subWeights, imputed || {}, policy));
+  let total = 0;
+  for (const key of scoring.SCORE_KEYS) {
+    total += scoring.weightedScore(components[key], subWeights[key]) * (weights[key] || 0);
+  }
+  return Math.round(Math.max(0, Math.min(100, total)));
+}
+
+/** Components with every imputed value redrawn from [min, max] */
+function redrawImputed(components, imputed, [min, max], random) {
+  const out = {};
+  for (const key of scoring.SCORE_KEYS) {
+    out[key] = { ...components[key] };
+    for (const c of imputed?.[key] || []) out[key][c] = min + random() * (max - min);
+  }
+  return out;
+}
+
+/** 1-based ranks by composite, descending (ties keep input order, like rankResults) */
+function ranksOf(composites) {
+  const order = composites.map((c, i) => [c, i]).sort((a, b) => b[0] - a[0]);
+  const ranks = new Array(composites.length);
+  order.forEach(([, i], pos) => { ranks[i] = pos + 1; });
+  return ranks;
+}
+
+// ─── Report ───────────────────────────────────────────────────────────────────
+
+/**
+ * Sensitivity report for ranked results.
+ * @param {Object[]} ranked — scoringService.rankResults() output (each with `scores`)
+ * @param {Object} weights    — top-level weights used (getDynamicWeights)
+ * @param {Object} subWeights — sub-component weights used (resolveSubWeights)
+ * @param {Object} options    — resolveOptions() output
+ * @param {string} [policy]   — missing-data policy the results were scored under
+ * @returns {Object[]} one report per ranked result, in the same order
+ */
+function analyze(ranked, weights, subWeights, options, policy = "neutral") {
+  const random     = createRandom(options.seed);
+  const components = ranked.map((r) => baseComponents(r.scores));
+  const imputed    = ranked.map((r) => r.scores.imputed_components);
+  const redraw     = policy !== "penalize" && policy !== "reweight";
+  const n          = ranked.length;
+
+  // 1. Perturbation
+  const composites = ranked.map(() => []);
+  const rankCounts = ranked.map(() => new Array(n).fill(0));
+  for (let s = 0; s < options.samples; s++) {
+    const w   = jitterWeights(weights, options.weight_jitter, random);
+    const sub = Object.fromEntries(scoring.SCORE_KEYS.map((k) =>
+      [k, jitterWeights(subWeights[k], options.sub_weight_jitter, random)]
+    ));
+    const sample = ranked.map((r, i) => composite(
+      redraw ? redrawImputed(components[i], imputed[i], options.missing_data_range, random) : components[i],
+      w, sub, imputed[i], policy
+    ));
+    ranksOf(sample).forEach((rank, i) => {
+      rankCounts[i][rank - 1] += 1;
+      composites[i].push(sample[i]);
+    });
+  }
+
+  // 2. Weight sweep (data and sub-weights as scored)
+  const wins = ranked.map(() => []);
+  for (let s = 0; s < options.samples; s++) {
+    const w = randomProfile(scoring.SCORE_KEYS, random);
+    const sample = components.map((c, i) => composite(c, w, subWeights, imputed[i], policy));
+    const best = sample.indexOf(Math.max(...sample));
+    wins[best].push(w);
+  }
+
+  return ranked.map((r, i) => {
+    const sorted = [...composites[i]].sort((a, b) => a - b);
+    const mean   = sorted.reduce((a, b) => a + b, 0) / sorted.length;
+    const share  = wins[i].length / options.samples;
+
+    return {
+      rank_stability: {
+        p_hold_rank: round3(rankCounts[i][r.rank - 1] / options.samples),
+        p_rank_1:    round3(rankCounts[i][0] / options.samples),
+        rank_distribution: Object.fromEntries(
+          rankCounts[i].map((c, k) => [k + 1, round3(c / options.samples)]).filter(([, p]) => p > 0)
+        ),
+      },
+      composite_interval: {
+        level: CI_LEVEL,
+        low:   round3(percentile(sorted, (1 - CI_LEVEL) / 2)),
+        high:  round3(percentile(sorted, 1 - (1 - CI_LEVEL) / 2)),
+        mean:  round3(mean),
+      },
+      top_region: wins[i].length === 0 ? null : {
+        share: round3(share),
+        weight_ranges: Object.fromEntries(scoring.SCORE_KEYS.map((k) => {
+          const values = wins[i].map((w) => w[k]);
+          return [k, [round3(Math.min(...values)), round3(Math.max(...values))]];
+        })),
+        centroid: Object.fromEntries(scoring.SCORE_KEYS.map((k) =>
+          [k, round3(wins[i].reduce((a, w) => a + w[k], 0) / wins[i].length)]
+        )),
+      },
+    };
+  });
+}
+
+module.exports = { validateOptions, resolveOptions, analyze, createRandom, DEFAULTS, MAX_EVALUATIONS };
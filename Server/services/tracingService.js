@@ -0,0 +1,203 @@
+/**
+ * tracingService.js
+ *
+ * Optional OpenTelemetry-style tracing: a SERVER span per incoming request and
+ * a CLIENT span per upstream API call (apiService timedCall), sharing the
+ * request's trace id. An incoming W3C `traceparent` header continues the
+ * caller's trace.
+ *
+ *  TRACE_EXPORTER=file  — append finished spans as JSON lines to TRACE_FILE
+ *                         (default: Server/traces.jsonl)
+ *  TRACE_EXPORTER=otlp  — POST batches as OTLP/JSON to a collector at
+ *                         OTEL_EXPORTER_OTLP_ENDPOINT (default http://localhost:4318)
+ *  (unset)              — tracing off; spans are no-ops
+ *
+ * Spans are buffered and flushed every TRACE_FLUSH_MS (default 2000) or every
+ * 100 spans. Attributes and error messages are redacted like log entries.
+ * Export failures are logged and the batch dropped — tracing never fails a
+ * request.
+ */
+
+const fs     = require("fs");
+const path   = require("path");
+const crypto = require("crypto");
+const axios  = require("axios");
+const logger = require("../utils/logger");
+
+const EXPORTERS     = ["file", "otlp"];
+const SERVICE_NAME  = process.env.OTEL_SERVICE_NAME || "global-relocation-engine";
+const FLUSH_MS      = Number(process.env.TRACE_FLUSH_MS) || 2000;
+const MAX_BATCH     = 100;
+const DEFAULT_FILE  = path.join(__dirname, "..", "traces.jsonl");
+const OTLP_KIND     = { internal: 1, server: 2, client: 3 };
+const OTLP_STATUS   = { unset: 0, ok: 1, error: 2 };
+
+const exporter = EXPORTERS.includes(process.env.TRACE_EXPORTER?.toLowerCase())
+  ? process.env.TRACE_EXPORTER.toLowerCase()
+  : null;
+
+let buffer     = [];
+let flushTimer = null;
+
+const randomHex = (bytes) => crypto.randomBytes(bytes).toString("hex");
+
+/** Whether spans are recorded and exported */
+function enabled() {
+  return exporter !== null;
+}
+
+/** { traceId, spanId } of a valid W3C traceparent header, else null */
+function parseTraceparent(header) {
+  const m = typeof header === "string" && header.trim().match(/^00-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/);
+  if (!m || /^0+$/.test(m[1]) || /^0+$/.test(m[2])) return null;
+  return { traceId: m[1], spanId: m[2] };
+}
+
+// ─── Spans ────────────────────────────────────────────────────────────────────
+
+const NOOP_SPAN = { traceId: null, spanId: null, setAttribute() {}, end() {} };
+
+/**
+ * Start a span. Returns { traceId, spanId, setAttribute(k, v), end({ error }) };
+ * a no-op span when tracing is off.
+ * @param {string} name
+ * @param {Object} [opts]
+ * @param {"server"|"client"|"internal"} [opts.kind]
+ * @param {{ traceId, spanId }} [opts.parent] — parent span (or remote parent)
+ * @param {Object} [opts.attributes]
+ */
+function startSpan(name, { kind = "internal", parent = null, attributes = {} } = {}) {
+  if (!enabled()) return NOOP_SPAN;
+
+  const startMs = Date.now();
+  const started = process.hrtime.bigint();
+  const span = {
+    traceId:      parent?.traceId || randomHex(16),
+    spanId:       randomHex(8),
+    parentSpanId: parent?.spanId || null,
+    name,
+    kind,
+    attributes:   { ...attributes },
+    ended:        false,
+    setAttribute(key, value) {
+      span.attributes[key] = value;
+    },
+    end({ error = null } = {}) {
+      if (span.ended) return;
+      span.ended = true;
+      const durationNs = process.hrtime.bigint() - started;
+      record({
+        traceId:      span.traceId,
+        spanId:       span.spanId,
+        parentSpanId: span.parentSpanId,
+        name,
+        kind,
+        startNs:      BigInt(startMs) * 1000000n,
+        endNs:        BigInt(startMs) * 1000000n + durationNs,
+        attributes:   logger.redact(span.attributes),
+        status:       error
+          ? { code: "error", message: logger.redact(error.message || String(error)) }
+          : { code: "ok" },
+      });
+    },
+  };
+  return span;
+}
+
+// ─── Export ───────────────────────────────────────────────────────────────────
+
+let exitHookInstalled = false;
+
+/** Don't lose the last file batch on a normal exit (hooked once, on the first span) */
+function flushOnExit() {
+  if (exitHookInstalled || exporter !== "file") return;
+  exitHookInstalled = true;
+  process.once("exit", () => {
+    if (buffer.length) fs.appendFileSync(traceFile(), buffer.map(toLine).join("\n") + "\n");
+  });
+}
+
+function record(span) {
+  flushOnExit();
+  buffer.push(span);
+  if (buffer.length >= MAX_BATCH) {
+    flush();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flush, FLUSH_MS);
+    flushTimer.unref();
+  }
+}
+
+/** One span as a JSON line for the file exporter */
+function toLine(span) {
+  return JSON.stringify({
+    trace_id:       span.traceId,
+    span_id:        span.spanId,
+    parent_span_id: span.parentSpanId,
+    name:           span.name,
+    kind:           span.kind,
+    start_time:     new Date(Number(span.startNs / 1000000n)).toISOString(),
+    duration_ms:    Number(span.endNs - span.startNs) / 1e6,
+    attributes:     span.attributes,
+    status:         span.status,
+    service:        SERVICE_NAME,
+  });
+}
+
+function otlpValue(value) {
+  if (typeof value === "boolean") return { boolValue: value };
+  if (Number.isInteger(value))    return { intValue: String(value) };
+  if (typeof value === "number")  return { doubleValue: value };
+  return { stringValue: String(value) };
+}
+
+/** A batch of spans as an OTLP/JSON ExportTraceServiceRequest */
+function toOtlp(spans) {
+  return {
+    resourceSpans: [{
+      resource:   { attributes: [{ key: "service.name", value: { stringValue: SERVICE_NAME } }] },
+      scopeSpans: [{
+        scope: { name: "relocation-engine" },
+        spans: spans.map((s) => ({
+          traceId:           s.traceId,
+          spanId:            s.spanId,
+          ...(s.parentSpanId && { parentSpanId: s.parentSpanId }),
+          name:              s.name,
+          kind:              OTLP_KIND[s.kind],
+          startTimeUnixNano: String(s.startNs),
+          endTimeUnixNano:   String(s.endNs),
+          attributes:        Object.entries(s.attributes)
+                               .filter(([, v]) => v !== null && v !== undefined)
+                               .map(([key, v]) => ({ key, value: otlpValue(v) })),
+          status:            { code: OTLP_STATUS[s.status.code], ...(s.status.message && { message: s.status.message }) },
+        })),
+      }],
+    }],
+  };
+}
+
+function traceFile() {
+  return process.env.TRACE_FILE || DEFAULT_FILE;
+}
+
+/** Export every buffered span now */
+async function flush() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  const batch = buffer;
+  buffer = [];
+  if (batch.length === 0) return;
+
+  try {
+    if (exporter === "file") {
+      await fs.promises.appendFile(traceFile(), batch.map(toLine).join("\n") + "\n");
+    } else {
+      const endpoint = (process.env.OTEL_EXPORTER_OTLP_ENDPOINT || "http://localhost:4318").replace(/\/$/, "");
+      await axios.post(`${endpoint}/v1/traces`, toOtlp(batch), { timeout: 5000 });
+    }
+  } catch (err) {
+    logger.warn("TRACING", `Dropped ${batch.length} span(s): ${exporter} export failed`, { error: err.message });
+  }
+}
+
+module.exports = { enabled, startSpan, parseTraceparent, flush, toOtlp };
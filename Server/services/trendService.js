@@ -0,0 +1,100 @@
+/**
+ * trendService.js
+ *
+ * Historical trend analysis over World Bank time series:
+ *  1. Least-squares slope per indicator (units per year)
+ *  2. Direction — improving / deteriorating / stable, relative to whether
+ *     higher values are better and a per-indicator "noise" threshold
+ *  3. Projection of the latest value a number of years ahead
+ */
+
+// Indicators analysed: where the series lives on the country bundle, and the
+// slope (units/year) below which the trend is considered flat
+const TREND_INDICATORS = {
+  life_expectancy: {
+    series:         (d) => d.worldBank?.history?.lifeExpectancy,
+    higherIsBetter: true,
+    flatThreshold:  0.05,  // years of life per year
+    unit:           "yrs",
+  },
+  healthcare_expenditure: {
+    series:         (d) => d.worldBank?.history?.healthcareExpenditure,
+    higherIsBetter: true,
+    flatThreshold:  0.05,  // percentage points of GDP per year
+    unit:           "% GDP",
+  },
+  political_stability: {
+    series:         (d) => d.advisory?.history,
+    higherIsBetter: true,
+    flatThreshold:  0.01,  // PV.EST index points per year
+    unit:           "index pts",
+  },
+};
+
+const MIN_POINTS = 3;
+
+/**
+ * Ordinary least-squares slope of value over year.
+ * @param {{ year: number, value: number }[]} series
+ * @returns {number|null}
+ */
+function linearSlope(series) {
+  const n = series.length;
+  if (n < 2) return null;
+  const meanX = series.reduce((a, p) => a + p.year, 0) / n;
+  const meanY = series.reduce((a, p) => a + p.value, 0) / n;
+  let num = 0;
+  let den = 0;
+  for (const p of series) {
+    num += (p.year - meanX) * (p.value - meanY);
+    den += (p.year - meanX) ** 2;
+  }
+  return den === 0 ? null : num / den;
+}
+
+/**
+ * Trend summary for one series, or null when there are too few points.
+ */
+function analyzeSeries(series, { higherIsBetter, flatThreshold, unit }) {
+  if (!Array.isArray(series) || series.length < MIN_POINTS) return null;
+  const slope = linearSlope(series);
+  if (slope === null) return null;
+
+  const first = series[0];
+  const last  = series.at(-1);
+  const signed = higherIsBetter ? slope : -slope;
+
+  return {
+    direction:      Math.abs(slope) < flatThreshold ? "stable" : signed > 0 ? "improving" : "deteriorating",
+    slope_per_year: parseFloat(slope.toFixed(4)),
+    unit,
+    first_year:     first.year,
+    last_year:      last.year,
+    first_value:    first.value,
+    latest_value:   last.value,
+    data_points:    series.length,
+  };
+}
+
+/**
+ * Trends for every tracked indicator of a country bundle.
+ * Indicators without enough history are null.
+ */
+function computeTrends(countryData) {
+  const trends = {};
+  for (const [name, def] of Object.entries(TREND_INDICATORS)) {
+    trends[name] = analyzeSeries(def.series(countryData), def);
+  }
+  return trends;
+}
+
+/**
+ * Project a trend's latest value `years` ahead along its slope.
+ * Returns null when there is no trend.
+ */
+function project(trend, years) {
+  if (!trend) return null;
+  return trend.latest_value + trend.slope_per_year * years;
+}
+
+module.exports = { computeTrends, analyzeSeries, linearSlope, project, TREND_INDICATORS };
@@ -0,0 +1,118 @@
+jest.mock("../utils/logger");
+
+const fs      = require("fs");
+const os      = require("os");
+const path    = require("path");
+const request = require("supertest");
+
+const FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "admin-fixtures-"));
+process.env.API_FIXTURE_MODE = "replay";
+process.env.API_FIXTURE_DIR  = FIXTURE_DIR;
+
+const { writeCountry, writeUnknownCountry } = require("./helpers/upstreamFixtures");
+
+const ADMIN_KEY = "test-admin-key";
+let app;
+
+beforeAll(() => {
+  writeCountry({ name: "Alpha", iso2: "AA", capital: "Alpha City" });
+  writeCountry({ name: "Beta",  iso2: "BB", capital: "Beta City" });
+  writeUnknownCountry("Atlantis");
+});
+
+beforeEach(() => {
+  process.env.ADMIN_API_KEY = ADMIN_KEY;
+  jest.resetModules();
+  app = require("../server");
+});
+
+afterAll(() => {
+  delete process.env.ADMIN_API_KEY;
+  fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+});
+
+const admin = (method, url) => request(app)[method](url).set("Authorization", `Bearer ${ADMIN_KEY}`);
+const warm  = (countries, extra = {}) => admin("post", "/api/admin/cache/warm").send({ countries, ...extra });
+
+describe("admin authentication", () => {
+  test("rejects missing or wrong keys", async () => {
+    expect((await request(app).get("/api/admin/cache")).status).toBe(401);
+    expect((await request(app).get("/api/admin/cache").set("X-Admin-Key", "nope")).status).toBe(401);
+    expect((await request(app).get("/api/admin/cache").set("X-Admin-Key", ADMIN_KEY)).status).toBe(200);
+  });
+
+  test("is disabled when ADMIN_API_KEY is unset", async () => {
+    delete process.env.ADMIN_API_KEY;
+    const res = await admin("get", "/api/admin/cache");
+    expect(res.status).toBe(503);
+  });
+});
+
+describe("cache administration", () => {
+  test("warms countries and lists their keys with expiry times", async () => {
+    const warmed = await warm(["Alpha", "Atlantis"]);
+    expect(warmed.status).toBe(200);
+    expect(warmed.body.results).toEqual([
+      expect.objectContaining({ country: "Alpha", warmed: true }),
+      expect.objectContaining({ country: "Atlantis", warmed: false }),
+    ]);
+
+    const res = await admin("get", "/api/admin/cache");
+    expect(res.body.entries.map((e) => e.key)).toEqual(expect.arrayContaining([
+      "source:profile:alpha",
+      "source:worldBank:aa",
+      "source:weather:alpha city",
+    ]));
+    expect(res.body.entries[0]).toEqual({
+      key: expect.any(String),
+      stored_at: expect.any(String),
+      fresh_until: expect.any(String),
+      stale_until: expect.any(String),
+      expires_at: expect.any(String),
+    });
+  });
+
+  test("inspects and evicts a single country", async () => {
+    await warm(["Alpha", "Beta"]);
+
+    const inspected = await admin("get", "/api/admin/cache/country/Alpha");
+    expect(inspected.status).toBe(200);
+    expect(inspected.body.sources.worldBank).toMatchObject({
+      key: "source:worldBank:aa",
+      cached: true,
+      data: { lifeExpectancy: 80, healthcareExpenditure: 10 },
+    });
+
+    const evicted = await admin("delete", "/api/admin/cache/country/Alpha");
+    expect(evicted.body.evicted).toHaveLength(6);
+    expect((await admin("get", "/api/admin/cache/country/Alpha")).status).toBe(404);
+    expect((await admin("get", "/api/admin/cache/country/Beta")).status).toBe(200);
+  });
+
+  test("evicts one key and flushes everything", async () => {
+    await warm(["Alpha"]);
+
+    const key = encodeURIComponent("source:weather:alpha city");
+    expect((await admin("delete", `/api/admin/cache/keys/${key}`)).status).toBe(200);
+    expect((await admin("delete", `/api/admin/cache/keys/${key}`)).status).toBe(404);
+
+    const flushed = await admin("delete", "/api/admin/cache");
+    expect(flushed.body.flushed).toBe(5);
+    expect((await admin("get", "/api/admin/cache")).body.count).toBe(0);
+  });
+
+  test("refresh=true re-fetches instead of serving cached sources", async () => {
+    await warm(["Alpha"]);
+    const res = await warm(["Alpha"], { refresh: true });
+    expect(res.body.results[0].warmed).toBe(true);
+
+    const analyzed = await request(app).post("/api/analyze")
+      .send({ countries: ["Alpha", "Beta", "Atlantis"], riskTolerance: "low", duration: "short" });
+    expect(analyzed.body.meta.cache.freshness.Alpha.profile.cache_hit).toBe(true);
+  });
+
+  test("validates the warm request", async () => {
+    expect((await warm([])).status).toBe(400);
+    expect((await warm(Array.from({ length: 51 }, (_, i) => `C${i}`))).status).toBe(400);
+  });
+});
@@ -0,0 +1,123 @@
+jest.mock("../utils/logger");
+
+const fs      = require("fs");
+const os      = require("os");
+const path    = require("path");
+const request = require("supertest");
+
+const FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "jobs-fixtures-"));
+process.env.API_FIXTURE_MODE = "replay";
+process.env.API_FIXTURE_DIR  = FIXTURE_DIR;
+
+const { writeCountry, writeUnknownCountry } = require("./helpers/upstreamFixtures");
+
+let app;
+
+beforeAll(() => {
+  writeCountry({ name: "Alpha", iso2: "AA", capital: "Alpha City", lifeExpectancy: 84, aqi: 20 });
+  writeCountry({ name: "Beta",  iso2: "BB", capital: "Beta City",  lifeExpectancy: 70, aqi: 90 });
+  writeCountry({ name: "Gamma", iso2: "GG", capital: "Gamma City", lifeExpectancy: 60, aqi: 180, weather: null });
+  writeUnknownCountry("Atlantis");
+  writeUnknownCountry("Lemuria");
+  writeUnknownCountry("Mu");
+});
+
+beforeEach(() => {
+  jest.resetModules();
+  app = require("../server");
+});
+
+afterAll(() => {
+  fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+});
+
+const BODY = { countries: ["Gamma", "Alpha", "Beta"], riskTolerance: "low", duration: "long" };
+
+const submit = (body) => request(app).post("/api/analyze/jobs").send(body);
+
+/** Poll a job until it leaves queued / running */
+async function waitForJob(id) {
+  for (let i = 0; i < 100; i++) {
+    const res = await request(app).get(`/api/analyze/jobs/${id}`);
+    if (!["queued", "running"].includes(res.body.job.status)) return res;
+    await new Promise((r) => setTimeout(r, 20));
+  }
+  throw new Error(`Job ${id} did not finish`);
+}
+
+/** Read an SSE stream to its end as [{ id, event, data }] */
+async function readEvents(id, lastEventId) {
+  let req = request(app).get(`/api/analyze/jobs/${id}/events`);
+  if (lastEventId) req = req.set("Last-Event-ID", String(lastEventId));
+  const res = await req.buffer(true).parse((stream, cb) => {
+    let text = "";
+    stream.on("data", (chunk) => { text += chunk; });
+    stream.on("end", () => cb(null, text));
+  });
+  expect(res.headers["content-type"]).toMatch(/text\/event-stream/);
+  return res.body.split("\n\n").filter((block) => block.startsWith("id:")).map((block) => {
+    const field = (name) => block.match(new RegExp(`^${name}: (.*)$`, "m"))[1];
+    return { id: Number(field("id")), event: field("event"), data: JSON.parse(field("data")) };
+  });
+}
+
+describe("analysis jobs", () => {
+  test("queues a job and serves the same result as the synchronous route", async () => {
+    const res = await submit(BODY);
+    expect(res.status).toBe(202);
+    expect(res.headers.location).toBe(`/api/analyze/jobs/${res.body.job.id}`);
+    expect(res.body.links.events).toBe(`/api/analyze/jobs/${res.body.job.id}/events`);
+
+    const done = await waitForJob(res.body.job.id);
+    expect(done.body.job).toMatchObject({
+      status: "succeeded",
+      progress: { stage: "ranking", countries_total: 3, countries_done: 3, countries_failed: 0 },
+    });
+    expect(done.body.job.progress.sources_failed).toBe(1);   // Gamma's weather
+
+    const sync = await request(app).post("/api/analyze").send(BODY);
+    expect(done.body.result.ranked_results.map((r) => r.country))
+      .toEqual(sync.body.ranked_results.map((r) => r.country));
+  });
+
+  test("streams per-source and per-country progress, replayable after the fact", async () => {
+    const { body } = await submit(BODY);
+    const events = await readEvents(body.job.id);
+    const types  = events.map((e) => e.event);
+
+    expect(types.slice(0, 4)).toEqual(["queued", "started", "plan", "stage"]);
+    expect(types[types.length - 1]).toBe("done");
+    expect(events.find((e) => e.event === "plan").data).toMatchObject({ total: 3, countries: BODY.countries });
+
+    const countries = events.filter((e) => e.event === "country").map((e) => e.data);
+    expect(countries.map((c) => c.completed)).toEqual([1, 2, 3]);
+    expect(events).toContainEqual(expect.objectContaining({
+      event: "source",
+      data:  { country: "Gamma", source: "weather", ok: false, cache_hit: false },
+    }));
+
+    // A reconnecting client only gets what it missed
+    const tail = await readEvents(body.job.id, events[events.length - 2].id);
+    expect(tail.map((e) => e.event)).toEqual(["done"]);
+  });
+
+  test("a job whose analysis fails reports the error", async () => {
+    const { body } = await submit({ ...BODY, countries: ["Atlantis", "Lemuria", "Mu"] });
+    const done = await waitForJob(body.job.id);
+    expect(done.body.job.status).toBe("failed");
+    expect(done.body.error.message).toMatch(/None of the provided countries/);
+    expect(done.body.job.progress).toMatchObject({ countries_done: 3, countries_failed: 3 });
+
+    const events = await readEvents(body.job.id);
+    expect(events[events.length - 1]).toMatchObject({ event: "failed", data: { status: "failed" } });
+  });
+
+  test("validates before queueing and 404s unknown jobs", async () => {
+    const invalid = await submit({ countries: ["Alpha"] });
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors.length).toBeGreaterThan(0);
+
+    expect((await request(app).get("/api/analyze/jobs/nope")).status).toBe(404);
+    expect((await request(app).get("/api/analyze/jobs/nope/events")).status).toBe(404);
+  });
+});
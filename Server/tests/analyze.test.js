@@ -0,0 +1,532 @@
+jest.mock("../utils/logger");
+
+const fs      = require("fs");
+const os      = require("os");
+const path    = require("path");
+const request = require("supertest");
+
+// Upstream APIs are stubbed with replay fixtures; must be set before apiService loads
+const FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "analyze-fixtures-"));
+process.env.API_FIXTURE_MODE = "replay";
+process.env.API_FIXTURE_DIR  = FIXTURE_DIR;
+
+const { writeCountry, writeCity, writeUnknownCountry, writeRegion } = require("./helpers/upstreamFixtures");
+
+let app;
+
+beforeAll(() => {
+  writeCountry({ name: "Alpha", iso2: "AA", capital: "Alpha City", lifeExpectancy: 84, healthcareExpenditure: 12, stability: 1.5, aqi: 20 });
+  writeCountry({ name: "Beta",  iso2: "BB", capital: "Beta City",  lifeExpectancy: 70, healthcareExpenditure: 5,  stability: 0,   aqi: 90 });
+  writeCountry({ name: "Gamma", iso2: "GG", capital: "Gamma City", lifeExpectancy: 60, healthcareExpenditure: 3,  stability: -1.5, aqi: 180 });
+  writeCountry({ name: "Delta", iso2: "DD", capital: "Delta City", weather: null, aqi: null });
+  writeCountry({
+    name: "Epsilon", iso2: "EE", capital: "Epsilon City",
+    lifeExpectancy: [68, 69, 70, 71, 72], healthcareExpenditure: [4, 4.5, 5, 5.5, 6], stability: [0.2, 0.2, 0.2],
+  });
+  writeCountry({ name: "Zeta", iso2: "DE", capital: "Berlin" });
+  writeCountry({ name: "United States", iso2: "US", iso3: "USA", capital: "Washington, D.C.", region: "Americas" });
+  writeCity({ city: "Coast Town", iso2: "BB", lat: 10.5, lon: 20.25, aqi: 15 });
+  writeCity({ city: "Smog Town",  iso2: "BB", lat: 11,   lon: 21,    aqi: 250 });
+  writeCity({ city: "Nowhere",    iso2: "BB", lat: null });
+  writeUnknownCountry("Atlantis");
+  writeUnknownCountry("Lemuria");
+  writeUnknownCountry("Mu");
+  writeUnknownCountry("Swiss");
+
+  writeCountry({ name: "Spain",    iso2: "ES", iso3: "ESP", capital: "Madrid", lifeExpectancy: 83, aqi: 25 });
+  writeCountry({ name: "Italy",    iso2: "IT", iso3: "ITA", capital: "Rome",   lifeExpectancy: 83, aqi: 60 });
+  writeCountry({ name: "Portugal", iso2: "PT", iso3: "PRT", capital: "Lisbon", lifeExpectancy: 81, aqi: 20 });
+  writeCountry({ name: "Greece",   iso2: "GR", iso3: "GRC", capital: "Athens", lifeExpectancy: 81, stability: -0.5, aqi: 120 });
+  writeRegion("subregion", "Southern Europe", [
+    { name: "Spain", iso2: "ES" }, { name: "Italy", iso2: "IT" }, { name: "Portugal", iso2: "PT" },
+    { name: "Greece", iso2: "GR" }, { name: "Gibraltar", iso2: "GI", independent: false },
+  ]);
+});
+
+beforeEach(() => {
+  jest.resetModules();   // fresh cache per test
+  app = require("../server");
+});
+
+afterAll(() => {
+  fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+});
+
+const analyze = (body) => request(app).post("/api/analyze").send(body);
+
+describe("POST /api/analyze — validation", () => {
+  test("rejects too few countries and bad enums", async () => {
+    const res = await analyze({ countries: ["Alpha"], riskTolerance: "extreme", duration: "forever" });
+    expect(res.status).toBe(400);
+    expect(res.body.success).toBe(false);
+    expect(res.body.errors).toHaveLength(3);
+  });
+
+  test("rejects more than 10 countries", async () => {
+    const countries = Array.from({ length: 11 }, (_, i) => `C${i}`);
+    const res = await analyze({ countries, riskTolerance: "low", duration: "short" });
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatch(/Maximum 10/);
+  });
+
+  test("caps country, homeCountry and city names at 100 characters", async () => {
+    const long = "x".repeat(101);
+    const res  = await analyze({
+      countries: ["Alpha", "Beta", long], riskTolerance: "low", duration: "short",
+      homeCountry: long, cities: { [long]: ["Somewhere"] },
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual(expect.arrayContaining([
+      `Entries in "countries" must be at most 100 characters.`,
+      `"cities" keys must be at most 100 characters.`,
+      `"homeCountry" must be a non-empty country name of at most 100 characters.`,
+    ]));
+  });
+
+  test("rejects malformed custom weights", async () => {
+    const res = await analyze({
+      countries: ["Alpha", "Beta", "Gamma"],
+      weights: { travel_risk_score: -1, happiness: 2 },
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.join(" ")).toMatch(/unknown keys: happiness/);
+    expect(res.body.errors.join(" ")).toMatch(/non-negative/);
+  });
+});
+
+describe("POST /api/analyze — scoring", () => {
+  test("ranks countries from upstream data", async () => {
+    const res = await analyze({ countries: ["Gamma", "Alpha", "Beta"], riskTolerance: "low", duration: "long" });
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(res.body.ranked_results.map((r) => r.country)).toEqual(["Alpha", "Beta", "Gamma"]);
+    expect(res.body.ranked_results[0].raw_data.life_expectancy_years).toBe(84);
+    expect(res.body.ranked_results[0].raw_data).toMatchObject({
+      price_level_ratio: 0.8, gdp_per_capita_usd: 40_000, inflation_cpi_pct: 2.5,
+    });
+    expect(res.body.ranked_results[0].scores.affordability_score.score).toEqual(expect.any(Number));
+    expect(res.body.meta.cache.misses).toHaveLength(3);
+    expect(res.body.failed_countries).toEqual([]);
+  });
+
+  test("serves repeat countries from cache", async () => {
+    const body = { countries: ["Alpha", "Beta", "Gamma"], riskTolerance: "low", duration: "long" };
+    await analyze(body);
+    const res = await analyze(body);
+    expect(res.body.meta.cache.hits).toEqual(["Alpha", "Beta", "Gamma"]);
+  });
+
+  test("reports per-source freshness and TTLs in meta.cache", async () => {
+    const res = await analyze({ countries: ["Alpha", "Beta", "Gamma"], riskTolerance: "low", duration: "long" });
+    const { freshness, ttl_minutes } = res.body.meta.cache;
+    expect(ttl_minutes).toMatchObject({ weather: 30, worldBank: 7 * 24 * 60 });
+    expect(Object.keys(freshness.Alpha).sort()).toEqual(["advisory", "aqi", "economy", "profile", "weather", "worldBank"]);
+    expect(freshness.Alpha.weather).toEqual({ cache_hit: false, stale: false, fallback: false, age_seconds: 0 });
+  });
+
+  test("echoes normalized custom weights in weight_profile", async () => {
+    const res = await analyze({
+      countries: ["Alpha", "Beta", "Gamma"],
+      weights: { health_infrastructure_score: 60, travel_risk_score: 30, environmental_stability_score: 10 },
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.weight_profile).toMatchObject({
+      travel_risk_score: 0.3,
+      health_infrastructure_score: 0.6,
+      environmental_stability_score: 0.1,
+      source: "custom",
+    });
+  });
+
+  test("reports World Bank trends and optional trend-adjusted scores", async () => {
+    const res = await analyze({
+      countries: ["Alpha", "Beta", "Epsilon"], riskTolerance: "low", duration: "long", trendAdjusted: true,
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.meta.query.trend_adjusted).toBe(true);
+
+    const epsilon = res.body.ranked_results.find((r) => r.country === "Epsilon");
+    expect(epsilon.trends.life_expectancy).toMatchObject({ direction: "improving", slope_per_year: 1, first_year: 2019 });
+    expect(epsilon.trends.political_stability.direction).toBe("stable");
+    expect(epsilon.scores.trend_adjusted.health_infrastructure_score.delta).toBeGreaterThan(0);
+
+    const alpha = res.body.ranked_results.find((r) => r.country === "Alpha");
+    expect(alpha.trends.life_expectancy).toBeNull();
+  });
+
+  test("rejects invalid trend options", async () => {
+    const res = await analyze({
+      countries: ["Alpha", "Beta", "Gamma"], riskTolerance: "low", duration: "long",
+      trendAdjusted: "yes", trendHorizonYears: 50,
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toHaveLength(2);
+  });
+
+  test("scores countries with partial upstream failures and flags them", async () => {
+    const res = await analyze({ countries: ["Alpha", "Beta", "Delta"], riskTolerance: "moderate", duration: "short" });
+    expect(res.status).toBe(200);
+    const delta = res.body.ranked_results.find((r) => r.country === "Delta");
+    expect(delta.data_availability).toMatchObject({ profile: true, worldBank: true, weather: false, aqi: false });
+    expect(delta.raw_data.weather).toBeNull();
+    expect(delta.scores.environmental_stability_score.score).toBe(50);
+  });
+
+  test("reports unknown countries in failed_countries", async () => {
+    const res = await analyze({ countries: ["Alpha", "Beta", "Atlantis"], riskTolerance: "high", duration: "long" });
+    expect(res.status).toBe(200);
+    expect(res.body.ranked_results).toHaveLength(2);
+    expect(res.body.failed_countries).toEqual([
+      { country: "Atlantis", reason: expect.stringMatching(/not found/) },
+    ]);
+  });
+
+  test("returns 404 when every country fails", async () => {
+    const res = await analyze({ countries: ["Atlantis", "Lemuria", "Mu"], riskTolerance: "low", duration: "short" });
+    expect(res.status).toBe(404);
+    expect(res.body.success).toBe(false);
+    expect(res.body.errors).toHaveLength(3);
+  });
+});
+
+describe("POST /api/analyze — errors", () => {
+  test("answers a 500 JSON body when the analysis throws outside a country", async () => {
+    const rank = jest.spyOn(require("../services/scoringService"), "rankResults")
+      .mockImplementation(() => { throw new Error("boom"); });
+    const res = await analyze({ countries: ["Alpha", "Beta", "Gamma"], riskTolerance: "low", duration: "long" });
+    rank.mockRestore();
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ success: false, message: "Internal server error." });
+  });
+});
+
+describe("POST /api/analyze — country name resolution", () => {
+  test("resolves aliases and codes to one canonical country", async () => {
+    const res = await analyze({ countries: ["usa", "United States", "Alpha", "Beta"], riskTolerance: "low", duration: "short" });
+    expect(res.status).toBe(200);
+    expect(res.body.meta.query.countries).toEqual(["United States", "Alpha", "Beta"]);
+    expect(res.body.meta.query.resolved_names).toEqual([{ input: "usa", country: "United States", match: "alias" }]);
+    expect(res.body.ranked_results.map((r) => r.country)).toContain("United States");
+  });
+
+  test("counts aliases of one country once against the minimum", async () => {
+    const res = await analyze({ countries: ["usa", "United States", "US"], riskTolerance: "low", duration: "short" });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      `"countries" must name at least 3 different countries; "usa", "United States", "US" → United States.`,
+    ]);
+  });
+
+  test("every spelling shares the same cache entries", async () => {
+    const body = { riskTolerance: "low", duration: "short" };
+    await analyze({ ...body, countries: ["United States", "Alpha", "Beta"] });
+    const res = await analyze({ ...body, countries: ["US", "Alpha", "Beta"] });
+    expect(res.body.meta.cache.hits).toContain("United States");
+  });
+
+  test("suggests close matches for unresolved names", async () => {
+    const res = await analyze({ countries: ["Swiss", "Alpha", "Beta"], riskTolerance: "low", duration: "short" });
+    expect(res.status).toBe(200);
+    expect(res.body.failed_countries).toEqual([{
+      country:     "Swiss",
+      reason:      expect.stringMatching(/Did you mean: Switzerland\?/),
+      suggestions: ["Switzerland"],
+    }]);
+  });
+});
+
+describe("POST /api/analyze — cities", () => {
+  test("scores and ranks requested cities alongside whole countries", async () => {
+    const res = await analyze({
+      countries: ["Alpha", "Beta", "Gamma"], riskTolerance: "low", duration: "long",
+      cities: { beta: ["Coast Town", "Smog Town"] },
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.ranked_results).toHaveLength(4);
+
+    const coast = res.body.ranked_results.find((r) => r.city === "Coast Town");
+    const smog  = res.body.ranked_results.find((r) => r.city === "Smog Town");
+    expect(coast).toMatchObject({ country: "Beta", location: { lat: 10.5, lon: 20.25 } });
+    expect(coast.raw_data.aqi.aqi).toBe(15);
+    expect(smog.raw_data.aqi.aqi).toBe(250);
+    // Country-level data is shared between cities of one country
+    expect(coast.raw_data.life_expectancy_years).toBe(smog.raw_data.life_expectancy_years);
+    expect(coast.scores.composite_score).toBeGreaterThan(smog.scores.composite_score);
+
+    expect(res.body.ranked_results.filter((r) => r.country === "Beta" && !r.city)).toHaveLength(0);
+    expect(res.body.meta.performance.cities_analyzed).toBe(2);
+    expect(Object.keys(res.body.meta.cache.freshness)).toContain("Coast Town, Beta");
+  });
+
+  test("reports cities that cannot be located in failed_countries", async () => {
+    const res = await analyze({
+      countries: ["Alpha", "Beta", "Gamma"], riskTolerance: "low", duration: "long",
+      cities: { Beta: ["Coast Town", "Nowhere"] },
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.ranked_results).toHaveLength(3);
+    expect(res.body.failed_countries).toEqual([
+      { country: "Beta", city: "Nowhere", reason: expect.stringMatching(/could not be located/) },
+    ]);
+  });
+
+  test("rejects cities for unlisted countries and malformed city lists", async () => {
+    const res = await analyze({
+      countries: ["Alpha", "Beta", "Gamma"], riskTolerance: "low", duration: "long",
+      cities: { Zeta: ["Somewhere"], Beta: [] },
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toHaveLength(2);
+  });
+});
+
+describe("POST /api/analyze — seasonal climate", () => {
+  test("scores against climate normals for the travel month and keeps the live snapshot", async () => {
+    const res = await analyze({
+      countries: ["Alpha", "Beta", "Zeta"], riskTolerance: "low", duration: "short", travelMonth: 1,
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.meta.query.travel_period).toEqual({ label: "Jan", months: [{ month: 1, weight: 1 }] });
+
+    const zeta = res.body.ranked_results.find((r) => r.country === "Zeta");
+    expect(zeta.climate).toMatchObject({ basis: "climate_normals", station: { city: "Berlin" } });
+    expect(zeta.raw_data.weather.temp_celsius).toBe(21);
+    expect(zeta.scores.travel_risk_score.components.temperature_comfort).toBeLessThan(70);
+
+    const alpha = res.body.ranked_results.find((r) => r.country === "Alpha");
+    expect(alpha.climate).toMatchObject({ basis: "live_snapshot", reason: expect.stringMatching(/Alpha City/) });
+  });
+
+  test("rejects invalid travel periods", async () => {
+    const res = await analyze({
+      countries: ["Alpha", "Beta", "Zeta"], riskTolerance: "low", duration: "short",
+      travelDates: { from: "2025-08-01", to: "2025-07-01" },
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatch(/must not be before/);
+  });
+});
+
+
+describe("POST /api/analyze — home country", () => {
+  const body = { countries: ["Alpha", "Beta", "Gamma"], riskTolerance: "low", duration: "long" };
+
+  test("compares every result with an unranked home baseline", async () => {
+    const res = await analyze({ ...body, homeCountry: "Delta" });
+    expect(res.status).toBe(200);
+    expect(res.body.meta.query.home_country).toBe("Delta");
+    expect(res.body.ranked_results.map((r) => r.country)).not.toContain("Delta");
+
+    const home  = res.body.home_baseline;
+    const alpha = res.body.ranked_results.find((r) => r.country === "Alpha");
+    expect(home.country).toBe("Delta");
+    expect(alpha.comparison_to_home.home_country).toBe("Delta");
+    expect(alpha.comparison_to_home.composite_delta)
+      .toBe(alpha.scores.composite_score - home.scores.composite_score);
+    expect(alpha.comparison_to_home.scores.travel_risk_score.components.air_quality)
+      .toBe(alpha.scores.travel_risk_score.components.air_quality - home.scores.travel_risk_score.components.air_quality);
+    expect(alpha.scores.reasoning.at(-1)).toMatch(/^Versus Delta \(home\): composite/);
+  });
+
+  test("uses a listed country as the baseline and flags it", async () => {
+    const res = await analyze({ ...body, homeCountry: "beta" });
+    const beta = res.body.ranked_results.find((r) => r.country === "Beta");
+    expect(beta.is_home).toBe(true);
+    expect(beta.comparison_to_home).toBeUndefined();
+    expect(res.body.ranked_results.find((r) => r.country === "Gamma").comparison_to_home.home_country).toBe("Beta");
+  });
+
+  test("reports a home country that cannot be found", async () => {
+    const res = await analyze({ ...body, homeCountry: "Atlantis" });
+    expect(res.status).toBe(200);
+    expect(res.body.home_baseline).toBeNull();
+    expect(res.body.failed_countries).toEqual([
+      { country: "Atlantis", home: true, reason: expect.stringMatching(/not found/) },
+    ]);
+    expect(res.body.ranked_results.every((r) => r.comparison_to_home === undefined)).toBe(true);
+  });
+});
+
+describe("POST /api/analyze — missing data", () => {
+  const body = { countries: ["Alpha", "Beta", "Delta"], riskTolerance: "moderate", duration: "short" };
+
+  test("reports confidence and defaults to the neutral policy", async () => {
+    const res = await analyze(body);
+    expect(res.status).toBe(200);
+    expect(res.body.meta.query.missing_data).toMatchObject({ policy: "neutral" });
+    expect(res.body.excluded_countries).toBeUndefined();
+
+    const alpha = res.body.ranked_results.find((r) => r.country === "Alpha");
+    const delta = res.body.ranked_results.find((r) => r.country === "Delta");
+    expect(alpha.scores.confidence).toBe(1);
+    expect(delta.scores.confidence).toBeLessThan(0.8);
+    expect(delta.scores.reasoning.join(" ")).toMatch(/Data gaps .*no weather\/aqi data/);
+  });
+
+  test("exclude moves low-confidence results out of the ranking", async () => {
+    const res = await analyze({ ...body, missingData: { policy: "exclude", minConfidence: 0.8 } });
+    expect(res.status).toBe(200);
+    expect(res.body.ranked_results.map((r) => r.country)).toEqual(["Alpha", "Beta"]);
+    expect(res.body.meta.performance.countries_excluded).toBe(1);
+    expect(res.body.excluded_countries).toHaveLength(1);
+    expect(res.body.excluded_countries[0]).toMatchObject({
+      country: "Delta",
+      exclusion_reasons: [{ type: "data_completeness", min_confidence: 0.8 }],
+    });
+  });
+
+  test("rejects an unknown policy and out-of-range options", async () => {
+    let res = await analyze({ ...body, missingData: "ignore" });
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatch(/"missingData" must be one of/);
+
+    res = await analyze({ ...body, missingData: { policy: "penalize", penaltyScore: 120, minConfidence: 2 } });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toHaveLength(2);
+  });
+});
+
+describe("POST /api/analyze — constraints", () => {
+  const body = { countries: ["Alpha", "Beta", "Gamma"], riskTolerance: "moderate", duration: "short" };
+
+  test("moves violators to excluded_countries with the rules they broke", async () => {
+    const res = await analyze({
+      ...body,
+      constraints: [
+        { field: "raw_data.aqi.aqi", op: "<", value: 100 },
+        { field: "raw_data.life_expectancy_years", op: ">", value: 65 },
+      ],
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.ranked_results.map((r) => r.country)).toEqual(["Alpha", "Beta"]);
+    expect(res.body.ranked_results[1].rank).toBe(2);
+    expect(res.body.meta.query.constraints).toHaveLength(2);
+    expect(res.body.excluded_countries).toHaveLength(1);
+
+    const gamma = res.body.excluded_countries[0];
+    expect(gamma.country).toBe("Gamma");
+    expect(gamma.exclusion_reasons.map((r) => r.rule)).toEqual([
+      "raw_data.aqi.aqi < 100", "raw_data.life_expectancy_years > 65",
+    ]);
+    expect(gamma.scores.composite_score).toEqual(expect.any(Number));
+  });
+
+  test("combines with the exclude policy's data-completeness reason", async () => {
+    const res = await analyze({
+      countries: ["Alpha", "Beta", "Delta"], riskTolerance: "moderate", duration: "short",
+      missingData: "exclude",
+      constraints: [{ field: "raw_data.aqi.aqi", op: "<", value: 100 }],
+    });
+    const delta = res.body.excluded_countries.find((e) => e.country === "Delta");
+    expect(delta.exclusion_reasons.map((r) => r.type)).toEqual(["data_completeness", "constraint"]);
+  });
+
+  test("rejects malformed constraints", async () => {
+    const res = await analyze({ ...body, constraints: [{ field: "aqi", op: "<", value: 100 }] });
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatch(/constraints\[0\]\.field/);
+  });
+});
+
+describe("POST /api/analyze — pareto ranking", () => {
+  const body = { countries: ["Alpha", "Beta", "Gamma"], riskTolerance: "moderate", duration: "short" };
+
+  test("ranks into Pareto tiers and summarizes the front", async () => {
+    const res = await analyze({
+      ...body, ranking: { mode: "pareto", objectives: ["travel_risk_score", "health_infrastructure_score"] },
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.meta.query.ranking.mode).toBe("pareto");
+    expect(res.body.pareto).toMatchObject({ front: ["Alpha"], clear_winner: "Alpha" });
+
+    const [alpha, , gamma] = res.body.ranked_results;
+    expect(alpha.pareto).toMatchObject({ tier: 1, dominates: expect.arrayContaining(["Beta", "Gamma"]) });
+    expect(gamma.pareto.dominated_by).toContain("Alpha");
+  });
+
+  test("defaults to the weighted mode without a pareto section", async () => {
+    const res = await analyze(body);
+    expect(res.body.meta.query.ranking).toEqual({ mode: "weighted", objectives: expect.any(Array) });
+    expect(res.body.pareto).toBeUndefined();
+    expect(res.body.ranked_results[0].pareto).toBeUndefined();
+  });
+
+  test("rejects unknown modes and objectives, and sensitivity with pareto", async () => {
+    let res = await analyze({ ...body, ranking: { mode: "pareto", objectives: ["happiness"] } });
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatch(/ranking\.objectives/);
+
+    res = await analyze({ ...body, ranking: "pareto", sensitivity: true });
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatch(/weighted ranking/);
+  });
+});
+
+describe("POST /api/analyze — sensitivity", () => {
+  test("adds a rank-stability report to every result", async () => {
+    const res = await analyze({
+      countries: ["Alpha", "Beta", "Delta"], riskTolerance: "moderate", duration: "short",
+      sensitivity: { samples: 200 },
+    });
+    expect(res.status).toBe(200);
+    expect(res.body.meta.query.sensitivity).toMatchObject({ samples: 200, seed: 1 });
+
+    for (const r of res.body.ranked_results) {
+      expect(r.sensitivity.rank_stability.p_hold_rank).toBeGreaterThanOrEqual(0);
+      expect(r.sensitivity.composite_interval.low).toBeLessThanOrEqual(r.sensitivity.composite_interval.high);
+    }
+    const delta = res.body.ranked_results.find((r) => r.country === "Delta");
+    expect(delta.scores.imputed_components.travel_risk_score).toEqual(
+      expect.arrayContaining(["air_quality", "temperature_comfort", "weather_event"])
+    );
+    expect(delta.sensitivity.composite_interval.high).toBeGreaterThan(delta.sensitivity.composite_interval.low);
+  });
+
+  test("rejects invalid sensitivity options", async () => {
+    const res = await analyze({
+      countries: ["Alpha", "Beta", "Gamma"], riskTolerance: "low", duration: "long", sensitivity: { samples: 5 },
+    });
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatch(/samples/);
+  });
+});
+
+describe("POST /api/analyze — region batch", () => {
+  const regionQuery = (region, extra = {}) => analyze({ region, riskTolerance: "low", duration: "long", ...extra });
+
+  test("expands a subregion, returns the top N and aggregates over every member", async () => {
+    const res = await regionQuery({ name: "southern europe", top: 2 });
+    expect(res.status).toBe(200);
+    expect(res.body.meta.query.countries).toEqual(["Greece", "Italy", "Portugal", "Spain"]);
+    expect(res.body.meta.query.region).toMatchObject({
+      type: "subregion", name: "Southern Europe", top: 2, source: "rest_countries",
+    });
+    expect(res.body.ranked_results).toHaveLength(2);
+    expect(res.body.meta.performance.countries_ranked).toBe(4);
+
+    const summary = res.body.region_summary;
+    expect(summary).toMatchObject({ members: 4, analyzed: 4, ranked: 4, shown: 2, failed: 0 });
+    expect(summary.statistics.composite_score.max).toBe(res.body.ranked_results[0].scores.composite_score);
+    expect(summary.statistics.composite_score.best).toBe(res.body.ranked_results[0].country);
+    expect(summary.statistics.environmental_stability_score.worst).toBe("Greece");
+  });
+
+  test("includes territories only when asked", async () => {
+    const res = await regionQuery({ name: "Southern Europe", includeTerritories: true });
+    expect(res.body.meta.query.countries).toContain("Gibraltar");
+    expect(res.body.region_summary.failed).toBe(1);
+  });
+
+  test("rejects unknown regions and mixing a region with an explicit list", async () => {
+    const unknown = await regionQuery("Sothern Europe");
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.errors[0]).toMatch(/Did you mean: Southern Europe/);
+
+    const mixed = await regionQuery("Southern Europe", { countries: ["Alpha", "Beta", "Gamma"] });
+    expect(mixed.status).toBe(400);
+    expect(mixed.body.errors).toContain(`Send either "countries" or "region", not both.`);
+
+    const top = await regionQuery({ name: "Southern Europe", top: 500 });
+    expect(top.body.errors[0]).toMatch(/"region.top"/);
+  });
+});
@@ -0,0 +1,244 @@
+jest.mock("../utils/logger");
+
+const fs      = require("fs");
+const os      = require("os");
+const path    = require("path");
+const crypto  = require("crypto");
+const request = require("supertest");
+
+// Only Alpha, Beta and Gamma have fixtures; anything else fails offline
+const FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "apikeys-fixtures-"));
+process.env.API_FIXTURE_MODE = "replay";
+process.env.API_FIXTURE_DIR  = FIXTURE_DIR;
+
+const { writeCountry } = require("./helpers/upstreamFixtures");
+
+const ENV = ["API_KEYS", "API_KEYS_FILE", "API_KEY_RATE_PER_MINUTE", "API_KEY_DAILY_QUOTA", "ADMIN_API_KEY", "CORS_ORIGINS"];
+const ADMIN_KEY = "test-admin-key";
+const VALID     = { countries: ["Alpha", "Beta", "Gamma"], riskTolerance: "moderate", duration: "short" };
+
+let app;
+
+function start(env = {}) {
+  for (const k of ENV) delete process.env[k];
+  Object.assign(process.env, {
+    API_KEYS:                "dashboard:dash-secret-1,ci:ci-secret-2",
+    API_KEY_RATE_PER_MINUTE: "4",
+    API_KEY_DAILY_QUOTA:     "2",
+    ADMIN_API_KEY:           ADMIN_KEY,
+    ...env,
+  });
+  jest.resetModules();
+  app = require("../server");
+}
+
+beforeAll(() => {
+  writeCountry({ name: "Alpha", iso2: "AA", capital: "Alpha City" });
+  writeCountry({ name: "Beta",  iso2: "BB", capital: "Beta City" });
+  writeCountry({ name: "Gamma", iso2: "GG", capital: "Gamma City" });
+});
+
+beforeEach(() => start());
+
+afterAll(() => {
+  for (const k of ENV) delete process.env[k];
+  fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+});
+
+// An invalid body is enough to get past authentication (400 from the route)
+const analyze = (key, body = {}) => {
+  const req = request(app).post("/api/analyze").send(body);
+  return key ? req.set("X-API-Key", key) : req;
+};
+// An accepted analysis that produces a result, spending one of the daily quota
+const analyzeValid = (key) => analyze(key, VALID);
+
+/** Poll a job (as `key`) until it leaves queued / running */
+async function waitForJob(url, key) {
+  for (let i = 0; i < 100; i++) {
+    const res = await request(app).get(url).set("X-API-Key", key);
+    if (!["queued", "running"].includes(res.body.job.status)) return res;
+    await new Promise((r) => setTimeout(r, 20));
+  }
+  throw new Error(`Job ${url} did not finish`);
+}
+
+describe("authentication", () => {
+  test("rejects a missing key with a structured 401", async () => {
+    const res = await analyze();
+    expect(res.status).toBe(401);
+    expect(res.headers["www-authenticate"]).toMatch(/^Bearer/);
+    expect(res.body).toMatchObject({ success: false, code: "API_KEY_MISSING" });
+  });
+
+  test("rejects an unknown key", async () => {
+    const res = await analyze("nope");
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe("API_KEY_INVALID");
+  });
+
+  test("accepts the key as X-API-Key, Bearer token or api_key query parameter", async () => {
+    expect((await analyze("dash-secret-1")).status).toBe(400);
+    expect((await request(app).get("/api/analyze/jobs/none").set("Authorization", "Bearer ci-secret-2")).status).toBe(404);
+    expect((await request(app).get("/api/analyze/jobs/none?api_key=ci-secret-2")).status).toBe(404);
+  });
+
+  test("loads keys from API_KEYS_FILE, including sha256 digests", async () => {
+    const file = path.join(FIXTURE_DIR, "keys.json");
+    fs.writeFileSync(file, JSON.stringify([
+      { name: "partner", sha256: crypto.createHash("sha256").update("partner-key").digest("hex"), rate_per_minute: 1 },
+    ]));
+    start({ API_KEYS_FILE: file });
+    expect((await analyze("partner-key")).status).toBe(400);
+    expect((await analyze("partner-key")).status).toBe(429);
+    expect((await analyze("dash-secret-1")).status).toBe(401);   // API_KEYS ignored when a file is given
+  });
+
+  test("leaves the API open when no keys are configured", async () => {
+    start({ API_KEYS: "" });
+    expect((await analyze()).status).toBe(400);
+  });
+
+  test("does not guard the country catalogue", async () => {
+    expect((await request(app).get("/api/countries?q=ger")).status).toBe(200);
+  });
+});
+
+describe("rate limits and quotas", () => {
+  test("reports remaining limits in headers", async () => {
+    const res = await analyzeValid("dash-secret-1");
+    expect(res.status).toBe(200);
+    expect(res.headers).toMatchObject({
+      "x-ratelimit-limit": "4", "x-ratelimit-remaining": "3",
+      "x-quota-limit": "2",     "x-quota-remaining": "1",
+    });
+    expect(Number(res.headers["x-quota-reset"]) * 1000).toBeGreaterThan(Date.now());
+  });
+
+  test("only analyses that are accepted and produce a result spend the quota", async () => {
+    expect((await analyze("dash-secret-1")).headers["x-quota-remaining"]).toBe("2");   // 400
+    const none = await analyze("dash-secret-1", { ...VALID, countries: ["Atlantis", "Lemuria", "Mu"] });
+    expect(none.status).toBe(404);
+
+    const created = await request(app).post("/api/analyze/jobs").set("X-API-Key", "dash-secret-1")
+      .send({ ...VALID, countries: ["Atlantis", "Lemuria", "Mu"] });
+    expect(created.status).toBe(202);
+    expect(created.headers["x-quota-remaining"]).toBe("1");   // reserved while it runs
+    expect((await waitForJob(created.body.links.self, "dash-secret-1")).body.job.status).toBe("failed");
+
+    const res = await analyzeValid("dash-secret-1");
+    expect(res.status).toBe(200);
+    expect(res.headers["x-quota-remaining"]).toBe("1");
+  });
+
+  test("429s once the daily analysis quota is spent, with a retry hint at UTC midnight", async () => {
+    await analyzeValid("dash-secret-1");
+    await analyzeValid("dash-secret-1");
+    const res = await analyzeValid("dash-secret-1");
+
+    expect(res.status).toBe(429);
+    expect(res.body).toMatchObject({ success: false, code: "QUOTA_EXCEEDED", limit: 2 });
+    const midnight = new Date();
+    midnight.setUTCHours(24, 0, 0, 0);
+    expect(res.body.retry_at).toBe(midnight.toISOString());
+    expect(Number(res.headers["retry-after"])).toBe(res.body.retry_after_seconds);
+    expect(res.body.message).toMatch(/Retry in \d+s/);
+
+    // Polling is not an analysis, and other keys have their own quota
+    expect((await request(app).get("/api/analyze/jobs/none").set("X-API-Key", "dash-secret-1")).status).toBe(404);
+    expect((await analyzeValid("ci-secret-2")).status).toBe(200);
+  });
+
+  test("429s past the per-minute rate limit", async () => {
+    const poll = () => request(app).get("/api/analyze/jobs/none").set("X-API-Key", "ci-secret-2");
+    for (let i = 0; i < 4; i++) expect((await poll()).status).toBe(404);
+
+    const res = await poll();
+    expect(res.status).toBe(429);
+    expect(res.body).toMatchObject({ code: "RATE_LIMITED", limit: 4 });
+    expect(res.body.retry_after_seconds).toBeGreaterThanOrEqual(1);
+    expect(res.body.retry_after_seconds).toBeLessThanOrEqual(60);
+    expect(res.headers["x-ratelimit-remaining"]).toBe("0");
+  });
+
+  test("does not rate-limit polls of the key's own job", async () => {
+    const created = await request(app).post("/api/analyze/jobs").set("X-API-Key", "ci-secret-2").send(VALID);
+    const { self, events } = created.body.links;
+    for (let i = 0; i < 6; i++) {
+      expect((await request(app).get(self).set("X-API-Key", "ci-secret-2")).status).toBe(200);
+    }
+    expect((await request(app).get(`${events}?api_key=ci-secret-2`)).status).toBe(200);
+
+    // Another key polling the same job is still counted (and gets a 404)
+    for (let i = 0; i < 4; i++) {
+      expect((await request(app).get(self).set("X-API-Key", "dash-secret-1")).status).toBe(404);
+    }
+    expect((await request(app).get(self).set("X-API-Key", "dash-secret-1")).status).toBe(429);
+  });
+});
+
+describe("analysis jobs", () => {
+  test("are only visible to the key that created them", async () => {
+    const created = await request(app).post("/api/analyze/jobs").set("X-API-Key", "dash-secret-1").send(VALID);
+    expect(created.status).toBe(202);
+    const url = created.body.links.self;
+
+    expect((await request(app).get(url).set("X-API-Key", "dash-secret-1")).status).toBe(200);
+    expect((await request(app).get(url).set("X-API-Key", "ci-secret-2")).status).toBe(404);
+  });
+});
+
+describe("admin usage counters", () => {
+  const admin = (method, url) => request(app)[method](url).set("Authorization", `Bearer ${ADMIN_KEY}`);
+
+  test("lists keys with limits and usage, never the key itself", async () => {
+    await analyzeValid("dash-secret-1");
+    await analyzeValid("dash-secret-1");
+    await analyzeValid("dash-secret-1");   // over quota
+
+    const res = await admin("get", "/api/admin/keys");
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, auth_enabled: true, count: 2 });
+    expect(JSON.stringify(res.body)).not.toMatch(/dash-secret-1|ci-secret-2/);
+
+    const dashboard = res.body.keys.find((k) => k.name === "dashboard");
+    expect(dashboard).toMatchObject({
+      limits: { rate_per_minute: 4, daily_quota: 2 },
+      today:  { analyses: 2, quota_remaining: 0 },
+      usage:  { requests: 3, analyses: 2, rate_limited: 0, quota_exceeded: 1 },
+    });
+    expect(dashboard.usage.last_used_at).toEqual(expect.any(String));
+  });
+
+  test("resets one key's usage", async () => {
+    await analyzeValid("dash-secret-1");
+    await analyzeValid("dash-secret-1");
+    const reset = await admin("delete", "/api/admin/keys/dashboard/usage");
+    expect(reset.body.key.today).toMatchObject({ analyses: 0, quota_remaining: 2 });
+    expect((await analyzeValid("dash-secret-1")).status).toBe(200);
+
+    expect((await admin("get", "/api/admin/keys/dashboard")).body.key.usage.analyses).toBe(3);
+    expect((await admin("get", "/api/admin/keys/nobody")).status).toBe(404);
+  });
+
+  test("require the admin key", async () => {
+    expect((await request(app).get("/api/admin/keys").set("X-API-Key", "dash-secret-1")).status).toBe(401);
+  });
+});
+
+describe("CORS", () => {
+  test("allows any origin by default", async () => {
+    const res = await request(app).get("/health").set("Origin", "https://anywhere.example");
+    expect(res.headers["access-control-allow-origin"]).toBe("*");
+  });
+
+  test("allows only the configured origins and exposes the limit headers", async () => {
+    start({ CORS_ORIGINS: "https://app.example, https://admin.example" });
+    const allowed = await request(app).get("/health").set("Origin", "https://app.example");
+    expect(allowed.headers["access-control-allow-origin"]).toBe("https://app.example");
+    expect(allowed.headers["access-control-expose-headers"]).toMatch(/Retry-After/);
+
+    const other = await request(app).get("/health").set("Origin", "https://evil.example");
+    expect(other.headers["access-control-allow-origin"]).toBeUndefined();
+  });
+});
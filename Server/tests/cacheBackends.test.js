@@ -0,0 +1,138 @@
+jest.mock("../utils/logger");
+
+const fs   = require("fs");
+const os   = require("os");
+const path = require("path");
+const {
+  createMemoryBackend,
+  createFileBackend,
+  createRedisBackend,
+} = require("../services/cacheBackends");
+const { startFakeRedis } = require("./helpers/fakeRedisServer");
+
+const entry = (data, ttlMs = 60_000) => ({ data, expiresAt: Date.now() + ttlMs });
+
+// Shared contract every backend must satisfy
+function describeBackendContract(name, makeBackend) {
+  describe(`${name} backend`, () => {
+    let backend;
+    beforeEach(async () => { backend = await makeBackend(); });
+
+    test("stores, lists and deletes entries", async () => {
+      await backend.set("country:germany", entry({ found: true }));
+      await backend.set("country:japan", entry({ found: true }));
+
+      expect(await backend.get("country:germany")).toMatchObject({ data: { found: true } });
+      expect((await backend.keys()).sort()).toEqual(["country:germany", "country:japan"]);
+      expect(await backend.size()).toBe(2);
+
+      expect(await backend.delete("country:germany")).toBe(true);
+      expect(await backend.delete("country:germany")).toBe(false);
+      expect(await backend.get("country:germany")).toBeNull();
+
+      await backend.clear();
+      expect(await backend.size()).toBe(0);
+    });
+  });
+}
+
+describeBackendContract("memory", () => createMemoryBackend());
+
+describe("file", () => {
+  let dir;
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), "cache-file-")); });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  describeBackendContract("file", () => createFileBackend({ filePath: path.join(dir, "c.json") }));
+
+  test("persists entries across instances and drops expired ones on load", async () => {
+    const filePath = path.join(dir, "c.json");
+    const first = createFileBackend({ filePath });
+    await first.set("fresh", entry("keep"));
+    await first.set("stale", entry("drop", -1));
+    await first.flush();
+
+    const second = createFileBackend({ filePath });
+    expect(await second.get("fresh")).toMatchObject({ data: "keep" });
+    expect(await second.get("stale")).toBeNull();
+  });
+
+  test("batches a burst of changes into one asynchronous write", async () => {
+    const filePath  = path.join(dir, "c.json");
+    const writeFile = jest.spyOn(fs.promises, "writeFile");
+    const writeSync = jest.spyOn(fs, "writeFileSync");
+    try {
+      const backend = createFileBackend({ filePath, flushMs: 10 });
+      await backend.set("a", entry(1));
+      await backend.set("b", entry(2));
+      await backend.delete("a");
+      expect(fs.existsSync(filePath)).toBe(false);
+
+      await new Promise((r) => setTimeout(r, 30));
+      await backend.flush();
+      expect(writeSync).not.toHaveBeenCalled();
+      expect(writeFile).toHaveBeenCalledTimes(1);
+      expect(Object.keys(JSON.parse(fs.readFileSync(filePath, "utf8")))).toEqual(["b"]);
+    } finally {
+      writeFile.mockRestore();
+      writeSync.mockRestore();
+    }
+  });
+});
+
+describe("redis", () => {
+  let server;
+  const clients = [];
+
+  beforeAll(async () => { server = await startFakeRedis(); });
+  afterEach(() => { clients.splice(0).forEach((c) => c.close()); server.data.clear(); });
+  afterAll(() => server.close());
+
+  const make = (opts = {}) => {
+    const b = createRedisBackend({ url: server.url, ...opts });
+    clients.push(b);
+    return b;
+  };
+
+  describeBackendContract("redis", () => make());
+
+  test("namespaces keys and sets a PX expiry", async () => {
+    const backend = make({ prefix: "t:" });
+    await backend.set("k", entry("v", 5000));
+    const stored = server.data.get("t:k");
+    expect(JSON.parse(stored.value)).toMatchObject({ data: "v" });
+    expect(stored.expiresAt).toBeGreaterThan(Date.now());
+  });
+
+  test("rejects commands when the server is unreachable", async () => {
+    const backend = createRedisBackend({ url: "redis://127.0.0.1:1" });
+    await expect(backend.get("k")).rejects.toThrow();
+    backend.close();
+  });
+
+  test("a closed connection's late events leave the next connection alone", async () => {
+    const backend = make();
+    await backend.set("k", entry("v"));
+    backend.close();
+    // The old socket's close event fires while this command is in flight
+    await expect(backend.get("k")).resolves.toMatchObject({ data: "v" });
+  });
+
+  test("fails the connect with the server's reply when AUTH is refused", async () => {
+    const secured = await startFakeRedis({ password: "right" });
+    const url = (pw) => secured.url.replace("redis://", `redis://:${pw}@`);
+    try {
+      const wrong = createRedisBackend({ url: url("wrong") });
+      clients.push(wrong);
+      await expect(wrong.get("k")).rejects.toThrow(/Redis AUTH failed: WRONGPASS/);
+
+      const right = createRedisBackend({ url: url("right") });
+      clients.push(right);
+      await right.set("k", entry("v"));
+      expect(await right.get("k")).toMatchObject({ data: "v" });
+    } finally {
+      clients.splice(0).forEach((c) => c.close());
+      await secured.close();
+    }
+  });
+});
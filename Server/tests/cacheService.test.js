@@ -0,0 +1,101 @@
+jest.mock("../utils/logger");
+
+let cache;
+
+beforeEach(() => {
+  jest.resetModules();
+  jest.useFakeTimers();
+  cache = require("../services/cacheService");
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe("getOrFetchSource", () => {
+  const windows = { ttlMs: 1000, staleMs: 5000 };
+  const flush = () => new Promise(jest.requireActual("timers").setImmediate);
+
+  test("serves fresh entries from cache with their age", async () => {
+    const fetchFn = jest.fn().mockResolvedValue("v1");
+
+    const first = await cache.getOrFetchSource("s", fetchFn, windows);
+    expect(first).toEqual({
+      result: "v1",
+      freshness: { cache_hit: false, stale: false, fallback: false, age_seconds: 0 },
+    });
+
+    jest.advanceTimersByTime(500);
+    const second = await cache.getOrFetchSource("s", fetchFn, windows);
+    expect(second.freshness).toMatchObject({ cache_hit: true, stale: false });
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+  });
+
+  test("serves stale entries immediately and refreshes in the background", async () => {
+    const fetchFn = jest.fn().mockResolvedValueOnce("v1").mockResolvedValueOnce("v2");
+    await cache.getOrFetchSource("s", fetchFn, windows);
+
+    jest.advanceTimersByTime(2000);
+    const stale = await cache.getOrFetchSource("s", fetchFn, windows);
+    expect(stale.result).toBe("v1");
+    expect(stale.freshness).toMatchObject({ cache_hit: true, stale: true, fallback: false, age_seconds: 2 });
+
+    await flush();
+    const refreshed = await cache.getOrFetchSource("s", fetchFn, windows);
+    expect(refreshed.result).toBe("v2");
+    expect(refreshed.freshness.stale).toBe(false);
+    expect(fetchFn).toHaveBeenCalledTimes(2);
+  });
+
+  test("falls back to the last good value when the source fails past its stale window", async () => {
+    const fetchFn = jest.fn().mockResolvedValueOnce("good").mockResolvedValueOnce(null);
+    await cache.getOrFetchSource("s", fetchFn, windows);
+
+    jest.advanceTimersByTime(10_000);
+    const res = await cache.getOrFetchSource("s", fetchFn, windows);
+    expect(res.result).toBe("good");
+    expect(res.freshness).toMatchObject({ cache_hit: true, stale: true, fallback: true, age_seconds: 10 });
+  });
+
+  test("never stores failed (null) source results", async () => {
+    const fetchFn = jest.fn().mockResolvedValueOnce(null).mockResolvedValueOnce("ok");
+
+    const failed = await cache.getOrFetchSource("s", fetchFn, windows);
+    expect(failed).toEqual({
+      result: null,
+      freshness: { cache_hit: false, stale: false, fallback: false, age_seconds: null },
+    });
+    expect((await cache.getOrFetchSource("s", fetchFn, windows)).result).toBe("ok");
+  });
+
+  test("deduplicates concurrent fetches for the same key", async () => {
+    let resolve;
+    const fetchFn = jest.fn(() => new Promise((r) => { resolve = r; }));
+
+    const a = cache.getOrFetchSource("s", fetchFn, windows);
+    const b = cache.getOrFetchSource("s", fetchFn, windows);
+    await flush();
+    expect((await cache.stats()).in_flight).toBe(1);
+
+    resolve("data");
+    expect((await a).result).toBe("data");
+    expect((await b).result).toBe("data");
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+    expect(await cache.stats()).toEqual({ backend: "memory", cached_entries: 1, in_flight: 0 });
+  });
+
+  test("treats a failing backend as a miss instead of failing the request", async () => {
+    cache.setBackend({
+      name: "broken",
+      get:  () => Promise.reject(new Error("down")),
+      set:  () => Promise.reject(new Error("down")),
+      delete: () => Promise.reject(new Error("down")),
+      size: () => Promise.reject(new Error("down")),
+    });
+    const fetchFn = jest.fn().mockResolvedValue("fresh");
+
+    const res = await cache.getOrFetchSource("s", fetchFn, windows);
+    expect(res).toMatchObject({ result: "fresh", freshness: { cache_hit: false } });
+    expect(await cache.stats()).toEqual({ backend: "broken", cached_entries: null, in_flight: 0 });
+  });
+});
@@ -0,0 +1,65 @@
+const climate = require("../services/climateService");
+
+describe("validatePeriod", () => {
+  test("accepts a month or a date range", () => {
+    expect(climate.validatePeriod({ travelMonth: 7 })).toEqual([]);
+    expect(climate.validatePeriod({ travelDates: { from: "2025-06-20", to: "2025-07-10" } })).toEqual([]);
+    expect(climate.validatePeriod({})).toEqual([]);
+  });
+
+  test("rejects bad months, malformed or reversed dates and over-long ranges", () => {
+    expect(climate.validatePeriod({ travelMonth: 13 })).toHaveLength(1);
+    expect(climate.validatePeriod({ travelDates: { from: "2025-02-30", to: "2025-03-01" } })).toHaveLength(1);
+    expect(climate.validatePeriod({ travelDates: { from: "2025-03-01", to: "2025-02-01" } })).toHaveLength(1);
+    expect(climate.validatePeriod({ travelDates: { from: "2025-01-01", to: "2026-06-01" } })).toHaveLength(1);
+    expect(climate.validatePeriod({ travelMonth: 1, travelDates: { from: "2025-01-01", to: "2025-01-02" } }))
+      .toHaveLength(1);
+  });
+});
+
+describe("monthsForPeriod", () => {
+  test("is null without a period and a single month for travelMonth", () => {
+    expect(climate.monthsForPeriod({})).toBeNull();
+    expect(climate.monthsForPeriod({ travelMonth: 3 })).toEqual([{ month: 3, weight: 1 }]);
+  });
+
+  test("weights months by days spent, in travel order across the year end", () => {
+    const months = climate.monthsForPeriod({ travelDates: { from: "2025-12-22", to: "2026-01-10" } });
+    expect(months).toEqual([{ month: 12, weight: 0.5 }, { month: 1, weight: 0.5 }]);
+    expect(climate.periodLabel(months)).toBe("Dec–Jan");
+  });
+});
+
+describe("findStation", () => {
+  test("matches names and aliases regardless of accents and punctuation", () => {
+    expect(climate.findStation({ name: "washington dc", iso2: "US" }).station.city).toBe("Washington");
+    expect(climate.findStation({ name: "Sao Paulo" }).station.city).toBe("São Paulo");
+    expect(climate.findStation({ name: "Bengaluru", iso2: "in" }).match).toBe("name");
+  });
+
+  test("falls back to the nearest station to known coordinates", () => {
+    const found = climate.findStation({ name: "Potsdam", iso2: "DE", lat: 52.39, lon: 13.06 });
+    expect(found).toMatchObject({ match: "nearest", station: { city: "Berlin" } });
+    expect(found.distance_km).toBeLessThan(40);
+  });
+
+  test("is null when nothing matches or is close enough", () => {
+    expect(climate.findStation({ name: "Atlantis City", iso2: "AA" })).toBeNull();
+    expect(climate.findStation({ name: "Nowhere", lat: 0, lon: -30 })).toBeNull();
+  });
+});
+
+describe("climateFor", () => {
+  test("averages the period's normals into a weather-shaped object", () => {
+    const july = climate.climateFor({ name: "Berlin", iso2: "DE" }, [{ month: 7, weight: 1 }]);
+    expect(july).toMatchObject({
+      basis:   "climate_normals",
+      period:  { label: "Jul" },
+      station: { city: "Berlin", match: "name" },
+      normals: { temp_max: 25, temp_min: 14, temp_celsius: 19.5, humidity_pct: 66, precipitation_mm: 70 },
+    });
+
+    const mixed = climate.climateFor({ name: "Berlin" }, [{ month: 1, weight: 0.5 }, { month: 7, weight: 0.5 }]);
+    expect(mixed.normals.temp_max).toBe(14);
+  });
+});
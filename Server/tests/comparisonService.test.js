@@ -0,0 +1,45 @@
+const comparison = require("../services/comparisonService");
+
+const scores = (composite, travel, health) => ({
+  composite_score: composite,
+  travel_risk_score:           { score: travel.score, components: travel.components },
+  health_infrastructure_score: { score: health.score, components: health.components },
+});
+
+const home = scores(60,
+  { score: 70, components: { air_quality: 70, travel_advisory: 70 } },
+  { score: 50, components: { life_expectancy: 60, healthcare_expenditure: 40 } });
+
+describe("compareScores", () => {
+  test("reports composite, score and component deltas against the baseline", () => {
+    const other = scores(66,
+      { score: 80, components: { air_quality: 95, travel_advisory: 65 } },
+      { score: 45, components: { life_expectancy: 48, healthcare_expenditure: 42 } });
+
+    expect(comparison.compareScores(other, home)).toEqual({
+      composite_delta: 6,
+      scores: {
+        travel_risk_score:           { delta: 10, components: { air_quality: 25, travel_advisory: -5 } },
+        health_infrastructure_score: { delta: -5, components: { life_expectancy: -12, healthcare_expenditure: 2 } },
+      },
+    });
+  });
+});
+
+describe("describeComparison", () => {
+  test("names the biggest gains and losses, ignoring small differences", () => {
+    const other = scores(66,
+      { score: 80, components: { air_quality: 95, travel_advisory: 65 } },
+      { score: 45, components: { life_expectancy: 48, healthcare_expenditure: 42 } });
+
+    expect(comparison.describeComparison("Germany", comparison.compareScores(other, home))).toBe(
+      "Versus Germany (home): composite +6; biggest gains in air quality (+25); " +
+      "biggest losses in life expectancy (−12), travel advisory (−5)."
+    );
+  });
+
+  test("says so when nothing differs notably", () => {
+    expect(comparison.describeComparison("Germany", comparison.compareScores(home, home)))
+      .toBe("Versus Germany (home): composite ±0; broadly similar on every component.");
+  });
+});
@@ -0,0 +1,80 @@
+const constraints = require("../services/constraintService");
+
+const entry = {
+  country: "Testland",
+  profile: { languages: "English, French", region: "Europe" },
+  raw_data: { life_expectancy_years: 81, aqi: { aqi: 120 }, travel_advisory: { score: 1.5 }, weather: null },
+  scores: {
+    travel_risk_score: { score: 64, components: { air_quality: 40, travel_advisory: 88 } },
+    composite_score: 70,
+  },
+};
+
+const rule = (field, op, value, extra = {}) => ({ field, op, value, ...extra });
+
+describe("validateConstraints", () => {
+  test("accepts well-formed constraints", () => {
+    expect(constraints.validateConstraints([
+      rule("raw_data.aqi.aqi", "<", 100),
+      rule("profile.languages", "includes", "English"),
+      rule("profile.region", "in", ["Europe", "Americas"], { allowMissing: true }),
+    ])).toEqual([]);
+  });
+
+  test("rejects bad fields, operators and values", () => {
+    expect(constraints.validateConstraints({})).toHaveLength(1);
+    expect(constraints.validateConstraints([
+      rule("country", "<", 1),
+      rule("raw_data.aqi.aqi", "~", 1),
+      rule("raw_data.aqi.aqi", "<", "100"),
+      rule("profile.region", "in", []),
+      { field: "scores.composite_score", op: ">", value: 50, strict: true },
+    ])).toHaveLength(5);
+    expect(constraints.validateConstraints([
+      rule("raw_data.__proto__.polluted", "==", 1),
+      rule("profile.constructor.prototype", "==", 1),
+    ])).toEqual([
+      expect.stringMatching(/constraints\[0\]\.field" may not contain __proto__/),
+      expect.stringMatching(/constraints\[1\]\.field" may not contain/),
+    ]);
+    expect(constraints.validateConstraints(new Array(21).fill(rule("scores.composite_score", ">", 1)))[0])
+      .toMatch(/Maximum 20/);
+  });
+});
+
+describe("violations", () => {
+  test("passes a result that meets every constraint", () => {
+    expect(constraints.violations(entry, [
+      rule("raw_data.life_expectancy_years", ">", 75),
+      rule("profile.languages", "includes", "english"),
+      rule("profile.region", "not_in", ["Asia"]),
+      rule("scores.travel_risk_score.components.travel_advisory", ">=", 80),
+    ])).toEqual([]);
+  });
+
+  test("reports each violated rule with the actual value", () => {
+    const found = constraints.violations(entry, [
+      rule("raw_data.aqi.aqi", "<", 100),
+      rule("scores.travel_risk_score", ">=", 70),
+      rule("profile.languages", "excludes", "French"),
+    ]);
+    expect(found.map((v) => v.rule)).toEqual([
+      "raw_data.aqi.aqi < 100", "scores.travel_risk_score >= 70", "profile.languages excludes French",
+    ]);
+    expect(found[0]).toMatchObject({ type: "constraint", actual: 120, message: expect.stringMatching(/actual: 120/) });
+    expect(found[1].actual).toBe(64);   // score objects compare their score
+  });
+
+  test("missing data violates unless allowMissing is set", () => {
+    const strict = constraints.violations(entry, [rule("raw_data.weather.temp_celsius", "<", 30)]);
+    expect(strict).toHaveLength(1);
+    expect(strict[0]).toMatchObject({ actual: null, message: expect.stringMatching(/no data/) });
+    expect(constraints.violations(entry, [rule("raw_data.weather.temp_celsius", "<", 30, { allowMissing: true })]))
+      .toEqual([]);
+  });
+
+  test("inherited properties are not data", () => {
+    const [found] = constraints.violations(entry, [rule("raw_data.aqi.hasOwnProperty", "!=", "x")]);
+    expect(found).toMatchObject({ actual: null, message: expect.stringMatching(/no data/) });
+  });
+});
@@ -0,0 +1,55 @@
+jest.mock("../utils/logger");
+
+const request = require("supertest");
+
+let app;
+
+beforeEach(() => {
+  jest.resetModules();
+  app = require("../server");
+});
+
+describe("GET /api/countries", () => {
+  test("searches the catalogue by prefix, alias or code", async () => {
+    const res = await request(app).get("/api/countries").query({ q: "deutsch" });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, count: 1 });
+    expect(res.body.countries[0]).toMatchObject({
+      name: "Germany", iso2: "DE", iso3: "DEU", region: "Europe",
+      flag_url: "https://flagcdn.com/w320/de.png", matched: "Deutschland",
+    });
+  });
+
+  test("limits results and lists the whole catalogue without a query", async () => {
+    const limited = await request(app).get("/api/countries").query({ q: "s", limit: 3 });
+    expect(limited.body.countries).toHaveLength(3);
+
+    const all = await request(app).get("/api/countries");
+    expect(all.body.count).toBeGreaterThan(200);
+  });
+
+  test("rejects invalid limits", async () => {
+    const res = await request(app).get("/api/countries").query({ q: "a", limit: 500 });
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatch(/"limit"/);
+  });
+});
+
+describe("GET /api/countries/resolve", () => {
+  test("resolves a spelling to its catalogue entry", async () => {
+    const res = await request(app).get("/api/countries/resolve").query({ name: "Phillipines" });
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, match: "fuzzy", country: { name: "Philippines", iso2: "PH" } });
+  });
+
+  test("404s with suggestions for unknown names", async () => {
+    const res = await request(app).get("/api/countries/resolve").query({ name: "Irland" });
+    expect(res.status).toBe(404);
+    expect(res.body.suggestions).toEqual(expect.arrayContaining(["Ireland"]));
+    expect(res.body.message).toMatch(/Did you mean/);
+  });
+
+  test("requires a name", async () => {
+    expect((await request(app).get("/api/countries/resolve")).status).toBe(400);
+  });
+});
@@ -0,0 +1,98 @@
+const countries = require("../services/countryService");
+
+describe("normalizeName", () => {
+  test("folds accents, case, punctuation and common abbreviations", () => {
+    expect(countries.normalizeName("Côte d'Ivoire")).toBe("cote divoire");
+    expect(countries.normalizeName("St. Kitts & Nevis")).toBe("saint kitts and nevis");
+    expect(countries.normalizeName("The Bahamas")).toBe("bahamas");
+    expect(countries.normalizeName("日本")).toBe("日本");
+  });
+});
+
+describe("resolve", () => {
+  test.each([
+    ["Germany",       "Germany",        "name"],
+    ["federal republic of germany", "Germany", "name"],
+    ["USA",           "United States",  "alias"],
+    ["uk",            "United Kingdom", "alias"],
+    ["Holland",       "Netherlands",    "alias"],
+    ["Cote dIvoire",  "Ivory Coast",    "alias"],
+    ["Deutschland",   "Germany",        "native"],
+    ["España",        "Spain",          "native"],
+    ["日本",           "Japan",          "native"],
+    ["de",            "Germany",        "code"],
+    ["PRT",           "Portugal",       "code"],
+    ["Phillipines",   "Philippines",    "fuzzy"],
+    ["Columbia",      "Colombia",       "fuzzy"],
+  ])("%s → %s (%s)", (input, country, match) => {
+    expect(countries.resolve(input)).toMatchObject({ found: true, input, country, match });
+  });
+
+  test("returns ISO codes with the canonical name", () => {
+    expect(countries.resolve("Ivory Coast")).toMatchObject({ iso2: "CI", iso3: "CIV" });
+  });
+
+  test("mixed-case two-letter strings are names, not codes", () => {
+    expect(countries.resolve("Mu")).toEqual({ found: false, input: "Mu", suggestions: [] });
+    expect(countries.resolve("MU").country).toBe("Mauritius");
+  });
+
+  test("ambiguous or distant inputs are unresolved, with suggestions", () => {
+    expect(countries.resolve("Irland")).toEqual({
+      found: false, input: "Irland", suggestions: expect.arrayContaining(["Ireland", "Iceland"]),
+    });
+    expect(countries.resolve("united").suggestions).toEqual(
+      expect.arrayContaining(["United States", "United Kingdom", "United Arab Emirates"])
+    );
+    expect(countries.resolve("Atlantis")).toEqual({ found: false, input: "Atlantis", suggestions: [] });
+  });
+
+  test("skips fuzzy matching for inputs longer than any name can be within tolerance", () => {
+    const long  = "germany".repeat(3000);
+    const start = Date.now();
+    expect(countries.resolve(long)).toEqual({ found: false, input: long, suggestions: [] });
+    expect(Date.now() - start).toBeLessThan(500);
+  });
+});
+
+describe("canonicalName", () => {
+  test("maps every spelling to one name and leaves unknown names as given", () => {
+    expect(["usa", "US", "United States of America"].map(countries.canonicalName))
+      .toEqual(["United States", "United States", "United States"]);
+    expect(countries.canonicalName("  Atlantis ")).toBe("Atlantis");
+  });
+});
+
+describe("search", () => {
+  const names = (q, limit) => countries.search(q, limit).map((c) => c.name);
+
+  test("ranks exact and code matches first, then name prefixes, then word prefixes", () => {
+    expect(names("de", 2)).toEqual(["Germany", "Denmark"]);
+    expect(names("guinea")).toEqual(["Guinea", "Guinea-Bissau", "Equatorial Guinea", "Papua New Guinea"]);
+    expect(names("united", 3)).toEqual(["United Arab Emirates", "United Kingdom", "United States"]);
+  });
+
+  test("reports the alias a result matched through", () => {
+    expect(countries.search("holl")[0]).toEqual({
+      name: "Netherlands", official: "Kingdom of the Netherlands", iso2: "NL", iso3: "NLD",
+      region: "Europe", subregion: "Western Europe",
+      flag_url: "https://flagcdn.com/w320/nl.png", matched: "Holland",
+    });
+    expect(countries.search("ger")[0]).not.toHaveProperty("matched");
+  });
+
+  test("falls back to fuzzy matches and is empty for blank or unknown queries", () => {
+    expect(names("Phillipines")).toEqual(["Philippines"]);
+    expect(names("   ")).toEqual([]);
+    expect(names("xyzzy")).toEqual([]);
+  });
+});
+
+describe("editDistance", () => {
+  test("counts insertions, deletions, substitutions and transpositions", () => {
+    expect(countries.editDistance("sweden", "sweden")).toBe(0);
+    expect(countries.editDistance("swedn", "sweden")).toBe(1);
+    expect(countries.editDistance("sewden", "sweden")).toBe(1);
+    expect(countries.editDistance("", "chad")).toBe(4);
+  });
+});
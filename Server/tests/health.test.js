@@ -0,0 +1,64 @@
+jest.mock("../utils/logger");
+
+const fs      = require("fs");
+const os      = require("os");
+const path    = require("path");
+const request = require("supertest");
+
+const FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "health-fixtures-"));
+process.env.API_FIXTURE_MODE = "replay";
+process.env.API_FIXTURE_DIR  = FIXTURE_DIR;
+
+const { writeCountry, writeFixture } = require("./helpers/upstreamFixtures");
+
+let app;
+
+beforeAll(() => {
+  // WAQI is down (503) for every capital
+  for (const [name, iso2, capital] of [["Alpha", "AA", "Alpha City"], ["Beta", "BB", "Beta City"], ["Gamma", "GG", "Gamma City"]]) {
+    writeCountry({ name, iso2, capital, aqi: null });
+    writeFixture(`https://api.waqi.info/feed/${encodeURIComponent(capital)}/`, 503, { status: "error" });
+  }
+});
+
+beforeEach(() => {
+  process.env.UPSTREAM_RETRIES          = "0";
+  process.env.BREAKER_FAILURE_THRESHOLD = "2";
+  jest.resetModules();
+  app = require("../server");
+});
+
+afterAll(() => {
+  delete process.env.UPSTREAM_RETRIES;
+  delete process.env.BREAKER_FAILURE_THRESHOLD;
+  fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+});
+
+describe("GET /health", () => {
+  test("reports ok with every circuit closed", async () => {
+    const res = await request(app).get("/health");
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("ok");
+    expect(res.body.providers.every((p) => p.circuit === "closed")).toBe(true);
+  });
+
+  test("reports a failing upstream's open circuit and degraded status", async () => {
+    // The first request's three concurrent AQI calls all fail and open the
+    // circuit; the second request's are short-circuited
+    const body = { countries: ["Alpha", "Beta", "Gamma"], riskTolerance: "low", duration: "long" };
+    for (let i = 0; i < 2; i++) {
+      const analyze = await request(app).post("/api/analyze").send(body);
+      expect(analyze.status).toBe(200);
+      expect(analyze.body.ranked_results.every((r) => r.data_availability.aqi === false)).toBe(true);
+    }
+
+    const res = await request(app).get("/health");
+    expect(res.body.status).toBe("degraded");
+    expect(res.body.providers.find((p) => p.name === "aqi").circuit).toBe("open");
+    expect(res.body.upstreams.WAQI_AQI).toMatchObject({
+      state: "open",
+      totals: { calls: 6, failures: 3, short_circuited: 3 },
+    });
+    expect(res.body.upstreams.REST_COUNTRIES.state).toBe("closed");
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Test helper: a tiny in-process RESP server standing in for Redis.
+ * Supports the commands the cache backend uses: PING, AUTH, SELECT, GET,
+ * SET (with PX), DEL and SCAN (MATCH on a trailing-* prefix). With a
+ * `password`, commands before a matching AUTH get a NOAUTH error.
+ */
+
+const net = require("net");
+const { createParser } = require("../../services/cacheBackends/respClient");
+
+const bulk = (s) => (s === null ? "$-1\r\n" : `$${Buffer.byteLength(s)}\r\n${s}\r\n`);
+const array = (items) => `*${items.length}\r\n${items.join("")}`;
+
+function startFakeRedis({ password = null } = {}) {
+  const data = new Map();   // key → { value, expiresAt }
+
+  const live = (key) => {
+    const e = data.get(key);
+    if (e && e.expiresAt !== null && Date.now() > e.expiresAt) data.delete(key);
+    return data.get(key) || null;
+  };
+
+  function handle([cmd, ...args], session) {
+    if (cmd.toUpperCase() === "AUTH") {
+      session.authed = password === null || args[0] === password;
+      return session.authed ? "+OK\r\n" : "-WRONGPASS invalid username-password pair\r\n";
+    }
+    if (password !== null && !session.authed) return "-NOAUTH Authentication required.\r\n";
+
+    switch (cmd.toUpperCase()) {
+      case "PING":   return "+PONG\r\n";
+      case "SELECT": return "+OK\r\n";
+      case "GET":    return bulk(live(args[0])?.value ?? null);
+      case "SET": {
+        const pxIdx = args.findIndex((a) => a.toUpperCase() === "PX");
+        data.set(args[0], {
+          value: args[1],
+          expiresAt: pxIdx === -1 ? null : Date.now() + Number(args[pxIdx + 1]),
+        });
+        return "+OK\r\n";
+      }
+      case "DEL":
+        return `:${args.filter((k) => data.delete(k)).length}\r\n`;
+      case "SCAN": {
+        const matchIdx = args.findIndex((a) => a.toUpperCase() === "MATCH");
+        const prefix = matchIdx === -1 ? "" : args[matchIdx + 1].replace(/\*$/, "");
+        const keys = [...data.keys()].filter((k) => k.startsWith(prefix) && live(k));
+        return array([bulk("0"), array(keys.map(bulk))]);
+      }
+      default:
+        return `-ERR unknown command '${cmd}'\r\n`;
+    }
+  }
+
+  const sockets = new Set();
+  const server = net.createServer((socket) => {
+    sockets.add(socket);
+    socket.on("close", () => sockets.delete(socket));
+    const session = { authed: false };
+    socket.on("data", createParser((command) => socket.write(handle(command, session))));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => {
+      resolve({
+        url: `redis://127.0.0.1:${server.address().port}`,
+        data,
+        close: () => new Promise((r) => {
+          sockets.forEach((s) => s.destroy());
+          server.close(r);
+        }),
+      });
+    });
+  });
+}
+
+module.exports = { startFakeRedis };
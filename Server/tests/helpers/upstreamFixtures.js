@@ -0,0 +1,128 @@
+/**
+ * Test helper: writes replay fixtures (see services/fixtureService.js) that
+ * stand in for every upstream API, so route tests run fully offline.
+ */
+
+const fs   = require("fs");
+const path = require("path");
+const { fixturePath } = require("../../services/fixtureService");
+
+function writeFixture(url, status, data) {
+  const { method, file } = fixturePath({ method: "get", url });
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ request: { method, url }, response: { status, data } }));
+}
+
+function worldBankUrl(iso2, indicator, mrv = 20) {
+  return `https://api.worldbank.org/v2/country/${iso2}/indicator/${indicator}?format=json&mrv=${mrv}&per_page=${mrv}`;
+}
+
+/**
+ * World Bank records (newest first) for an indicator. `value` may be a number
+ * (latest only) or an array of yearly values oldest → newest ending in 2023.
+ */
+function worldBankRecords(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .map((v, i) => ({ date: String(2023 - (values.length - 1 - i)), value: v }))
+    .reverse();
+}
+
+const DEFAULT_WEATHER = { temp: 21, temp_min: 19, temp_max: 23, humidity: 45, wind: 3, id: 800 };
+
+/**
+ * Record fixtures for one country. Pass `weather: null` / `aqi: null` to leave
+ * that source without a fixture (simulating an upstream failure). World Bank
+ * values may be arrays of yearly values to simulate a history. The profile is
+ * recorded both by name and by ISO2 code (for names the catalogue resolves).
+ */
+function writeCountry({
+  name, iso2, iso3 = `${iso2}X`, capital, population = 10_000_000, region = "Europe",
+  lifeExpectancy = 80, healthcareExpenditure = 10, stability = 1,
+  priceLevel = 0.8, gdpPerCapita = 40_000, inflation = 2.5,
+  weather = DEFAULT_WEATHER,
+  aqi = 30,
+}) {
+  const profile = [{
+    cca2: iso2,
+    cca3: iso3,
+    name: { common: name },
+    capital: [capital],
+    population,
+    region,
+    subregion: `${region} Sub`,
+    currencies: { EUR: { name: "Euro", symbol: "€" } },
+    flags: { png: `https://flags.example/${iso2}.png` },
+    languages: { eng: "English" },
+  }];
+  writeFixture(`https://restcountries.com/v3.1/name/${encodeURIComponent(name)}?fullText=true`, 200, profile);
+  writeFixture(`https://restcountries.com/v3.1/alpha/${iso2.toLowerCase()}`, 200, profile);
+
+  writeFixture(worldBankUrl(iso2, "SP.DYN.LE00.IN"), 200, [{}, [{ date: "2024", value: null }, ...worldBankRecords(lifeExpectancy)]]);
+  writeFixture(worldBankUrl(iso2, "SH.XPD.CHEX.GD.ZS"), 200, [{}, worldBankRecords(healthcareExpenditure)]);
+  writeFixture(worldBankUrl(iso2, "PV.EST"), 200, [{}, worldBankRecords(stability)]);
+  writeFixture(worldBankUrl(iso2, "PA.NUS.PPPC.RF"), 200, [{}, worldBankRecords(priceLevel)]);
+  writeFixture(worldBankUrl(iso2, "NY.GDP.PCAP.CD"), 200, [{}, worldBankRecords(gdpPerCapita)]);
+  writeFixture(worldBankUrl(iso2, "FP.CPI.TOTL.ZG"), 200, [{}, worldBankRecords(inflation)]);
+
+  if (weather) writeWeather(`q=${encodeURIComponent(capital)}`, weather);
+  if (aqi !== null) writeAqi(encodeURIComponent(capital), aqi, capital);
+}
+
+function writeWeather(query, weather) {
+  writeFixture(`https://api.openweathermap.org/data/2.5/weather?${query}&units=metric`, 200, {
+    main: {
+      temp: weather.temp, feels_like: weather.temp,
+      temp_min: weather.temp_min, temp_max: weather.temp_max, humidity: weather.humidity,
+    },
+    weather: [{ id: weather.id, description: "clear sky" }],
+    wind: { speed: weather.wind },
+    visibility: 10000,
+  });
+}
+
+function writeAqi(feed, aqi, stationName) {
+  writeFixture(`https://api.waqi.info/feed/${feed}/`, 200, {
+    status: "ok",
+    data: { aqi, dominentpol: "pm25", city: { name: stationName } },
+  });
+}
+
+/**
+ * Record geocoding, weather and AQI fixtures for a city. Pass `lat: null` to
+ * record an empty geocoding result (city not found).
+ */
+function writeCity({ city, iso2, lat, lon, weather = DEFAULT_WEATHER, aqi = 30 }) {
+  const geocodeUrl =
+    `https://api.openweathermap.org/geo/1.0/direct?q=${encodeURIComponent(`${city},${iso2}`)}&limit=1`;
+  if (lat === null) {
+    writeFixture(geocodeUrl, 200, []);
+    return;
+  }
+  writeFixture(geocodeUrl, 200, [{ name: city, state: null, country: iso2, lat, lon }]);
+  if (weather) writeWeather(`lat=${lat}&lon=${lon}`, weather);
+  if (aqi !== null) writeAqi(`geo:${lat};${lon}`, aqi, city);
+}
+
+/** REST Countries' 404 for an unknown name */
+function writeUnknownCountry(name) {
+  writeFixture(
+    `https://restcountries.com/v3.1/name/${encodeURIComponent(name)}?fullText=true`,
+    404,
+    { status: 404, message: "Not Found" }
+  );
+}
+
+/**
+ * REST Countries' member list for a region or subregion;
+ * members are { name, iso2, independent? }
+ */
+function writeRegion(type, name, members) {
+  writeFixture(
+    `https://restcountries.com/v3.1/${type}/${encodeURIComponent(name)}?fields=name,cca2,independent`,
+    200,
+    members.map((m) => ({ name: { common: m.name }, cca2: m.iso2, independent: m.independent ?? true }))
+  );
+}
+
+module.exports = { writeFixture, writeCountry, writeCity, writeUnknownCountry, writeRegion };
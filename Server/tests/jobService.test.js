@@ -0,0 +1,81 @@
+jest.mock("../utils/logger");
+
+let jobs;
+
+beforeEach(() => {
+  jest.resetModules();
+  process.env.MAX_ACTIVE_JOBS = "2";
+  jobs = require("../services/jobService");
+});
+
+afterAll(() => {
+  delete process.env.MAX_ACTIVE_JOBS;
+});
+
+const tick = () => new Promise((r) => setImmediate(r));
+
+/** A task that emits one event and waits until released */
+function controlledTask() {
+  let release;
+  const gate = new Promise((r) => { release = r; });
+  const task = async (progress) => {
+    progress("step", { n: 1 });
+    return gate;
+  };
+  return { task, release };
+}
+
+describe("jobService", () => {
+  test("runs a task in the background and keeps its result", async () => {
+    const { task, release } = controlledTask();
+    const job = jobs.createJob("test", task);
+    expect(job.status).toBe("queued");
+
+    await tick();
+    expect(job.status).toBe("running");
+    release({ ok: true, result: { answer: 42 } });
+    await tick();
+
+    expect(jobs.getJob(job.id)).toMatchObject({ status: "succeeded", result: { answer: 42 } });
+    expect(job.events.map((e) => e.type)).toEqual(["queued", "started", "step", "done"]);
+    expect(jobs.describeJob(job).finished_at).not.toBeNull();
+  });
+
+  test("subscribers get a replay after lastEventId, then live events", async () => {
+    const { task, release } = controlledTask();
+    const job = jobs.createJob("test", task);
+    await tick();
+
+    const seen = [];
+    const unsubscribe = jobs.subscribe(job, (e) => seen.push(e.type), 1);
+    expect(seen).toEqual(["started", "step"]);
+
+    release({ ok: false, result: { message: "nope" } });
+    await tick();
+    expect(seen).toEqual(["started", "step", "failed"]);
+    expect(job).toMatchObject({ status: "failed", error: { message: "nope" } });
+    unsubscribe();
+  });
+
+  test("a task that throws fails the job", async () => {
+    const job = jobs.createJob("test", async () => { throw new Error("boom"); });
+    await tick();
+    await tick();
+    expect(job.status).toBe("failed");
+    expect(job.error.message).toBe("Internal server error.");
+  });
+
+  test("refuses new jobs beyond MAX_ACTIVE_JOBS", async () => {
+    const a = controlledTask();
+    const b = controlledTask();
+    jobs.createJob("test", a.task);
+    jobs.createJob("test", b.task);
+    expect(jobs.createJob("test", controlledTask().task)).toBeNull();
+
+    a.release({ ok: true, result: null });
+    await tick();
+    await tick();
+    expect(jobs.activeCount()).toBe(1);
+    expect(jobs.createJob("test", controlledTask().task)).not.toBeNull();
+  });
+});
@@ -0,0 +1,84 @@
+const logger = require("../utils/logger");
+
+const ENV = ["WEATHER_API_KEY", "AQI_API_KEY", "API_KEYS", "LOG_REDACT_PARAMS", "LOG_REDACT_ENV", "MY_SECRET"];
+let saved;
+
+beforeEach(() => {
+  saved = Object.fromEntries(ENV.map((k) => [k, process.env[k]]));
+  for (const k of ENV) delete process.env[k];
+});
+
+afterEach(() => {
+  for (const [k, v] of Object.entries(saved)) {
+    if (v === undefined) delete process.env[k];
+    else process.env[k] = v;
+  }
+  jest.restoreAllMocks();
+});
+
+/** The JSON entries written while running fn */
+function captured(fn) {
+  const lines = [];
+  jest.spyOn(console, "log").mockImplementation((line) => lines.push(JSON.parse(line)));
+  jest.spyOn(console, "error").mockImplementation((line) => lines.push(JSON.parse(line)));
+  fn();
+  return lines;
+}
+
+describe("redaction", () => {
+  test("strips appid and token values from URLs in messages and meta", () => {
+    const [entry] = captured(() => logger.warn("HTTP", "GET https://x.test/a?q=Paris&appid=abc123&units=metric", {
+      url: "https://api.waqi.info/feed/here/?token=t0k3n",
+    }));
+    expect(entry.message).toBe("GET https://x.test/a?q=Paris&appid=[REDACTED]&units=metric");
+    expect(entry.url).toBe("https://api.waqi.info/feed/here/?token=[REDACTED]");
+  });
+
+  test("strips client api_key query parameters", () => {
+    expect(logger.redact("API_KEY_INVALID: rejected GET /api/analyze/jobs/1/events?api_key=k-123"))
+      .toBe("API_KEY_INVALID: rejected GET /api/analyze/jobs/1/events?api_key=[REDACTED]");
+  });
+
+  test("redacts configured secret values anywhere, including nested meta and errors", () => {
+    process.env.WEATHER_API_KEY = "owm-secret-key";
+    const [entry] = captured(() => logger.error("X", "failed with owm-secret-key", {
+      nested: { list: ["key=owm-secret-key"] },
+      error:  new Error("bad key owm-secret-key"),
+    }));
+    expect(JSON.stringify(entry)).not.toContain("owm-secret-key");
+    expect(entry.message).toBe("failed with [REDACTED]");
+    expect(entry.nested.list).toEqual(["key=[REDACTED]"]);
+    expect(entry.error.message).toBe("bad key [REDACTED]");
+  });
+
+  test("redacts the client keys configured in API_KEYS", () => {
+    process.env.API_KEYS = "dashboard:dash-key-1, ci:ci:key:2,bare-key-3";
+    expect(logger.redact("keys dash-key-1 ci:key:2 bare-key-3 dashboard"))
+      .toBe("keys [REDACTED] [REDACTED] [REDACTED] dashboard");
+  });
+
+  test("redacts meta fields named like a secret parameter", () => {
+    const [entry] = captured(() => logger.info("X", "m", { Token: "abc", appid: "def", other: "ok" }));
+    expect(entry).toMatchObject({ Token: "[REDACTED]", appid: "[REDACTED]", other: "ok" });
+  });
+
+  test("honours extra parameters and env vars from LOG_REDACT_PARAMS / LOG_REDACT_ENV", () => {
+    process.env.LOG_REDACT_PARAMS = "api_key";
+    process.env.LOG_REDACT_ENV    = "MY_SECRET";
+    process.env.MY_SECRET         = "hunter2hunter2";
+    expect(logger.redact("https://x.test/?api_key=1&b=2 hunter2hunter2"))
+      .toBe("https://x.test/?api_key=[REDACTED]&b=2 [REDACTED]");
+  });
+
+  test("leaves ordinary values alone and survives circular meta", () => {
+    const scores = { a: 1 };
+    const node   = { scores, again: scores };
+    node.self = node;
+    const [entry] = captured(() => logger.info("X", "Computed scores for Germany", { country: "Germany", node }));
+    expect(entry).toMatchObject({
+      message: "Computed scores for Germany",
+      country: "Germany",
+      node:    { scores: { a: 1 }, again: { a: 1 }, self: "[Circular]" },
+    });
+  });
+});
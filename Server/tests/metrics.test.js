@@ -0,0 +1,108 @@
+jest.mock("../utils/logger");
+
+const fs      = require("fs");
+const os      = require("os");
+const path    = require("path");
+const request = require("supertest");
+
+const FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "metrics-fixtures-"));
+process.env.API_FIXTURE_MODE = "replay";
+process.env.API_FIXTURE_DIR  = FIXTURE_DIR;
+
+const { writeCountry, writeFixture } = require("./helpers/upstreamFixtures");
+
+let app;
+
+beforeAll(() => {
+  writeCountry({ name: "Alpha", iso2: "AA", capital: "Alpha City", aqi: 20 });
+  writeCountry({ name: "Beta",  iso2: "BB", capital: "Beta City",  aqi: 90 });
+  writeCountry({ name: "Gamma", iso2: "GG", capital: "Gamma City", aqi: null });
+  writeFixture(`https://api.waqi.info/feed/${encodeURIComponent("Gamma City")}/`, 404, { status: "error" });
+});
+
+beforeEach(() => {
+  jest.resetModules();
+  app = require("../server");
+});
+
+afterAll(() => {
+  fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+});
+
+const analyze = (body) => request(app).post("/api/analyze").send(body);
+const BODY    = { countries: ["Alpha", "Beta", "Gamma"], riskTolerance: "moderate", duration: "short" };
+
+/** Sample lines of the scrape as { "name{labels}": value } */
+async function scrape() {
+  const res = await request(app).get("/metrics");
+  expect(res.status).toBe(200);
+  expect(res.headers["content-type"]).toMatch(/^text\/plain;.*version=0\.0\.4/);
+  return Object.fromEntries(res.text.split("\n")
+    .filter((line) => line && !line.startsWith("#"))
+    .map((line) => {
+      const i = line.lastIndexOf(" ");
+      return [line.slice(0, i), Number(line.slice(i + 1))];
+    }));
+}
+
+describe("GET /metrics", () => {
+  test("exposes every metric family before any traffic", async () => {
+    const res = await request(app).get("/metrics");
+    for (const name of [
+      "analyze_requests_total", "analyze_duration_seconds", "upstream_request_duration_seconds",
+      "upstream_failures_total", "cache_lookups_total", "cache_hit_ratio", "cache_entries",
+      "cache_in_flight", "cache_deduplicated_total", "composite_score",
+    ]) {
+      expect(res.text).toContain(`# TYPE relocation_${name} `);
+    }
+    const samples = await scrape();
+    expect(samples.relocation_cache_entries).toBe(0);
+    expect(samples.relocation_cache_hit_ratio).toBeNaN();
+  });
+
+  test("counts analyses, upstream calls, cache lookups and composite scores", async () => {
+    await analyze(BODY).expect(200);
+    await analyze(BODY).expect(200);
+    await analyze({ countries: ["Alpha"] }).expect(400);
+
+    const m = await scrape();
+    expect(m['relocation_analyze_requests_total{mode="sync",status="200"}']).toBe(2);
+    expect(m['relocation_analyze_requests_total{mode="sync",status="400"}']).toBe(1);
+    expect(m['relocation_analyze_duration_seconds_count{mode="sync"}']).toBe(3);
+    expect(m['relocation_analyze_duration_seconds_bucket{mode="sync",le="+Inf"}']).toBe(3);
+
+    // Second run is served from cache, except Gamma's WAQI failure (never cached)
+    expect(m['relocation_upstream_request_duration_seconds_count{api="REST_COUNTRIES",outcome="success"}']).toBe(3);
+    expect(m['relocation_upstream_request_duration_seconds_count{api="WAQI_AQI",outcome="success"}']).toBe(2);
+    expect(m['relocation_upstream_request_duration_seconds_count{api="WAQI_AQI",outcome="failure"}']).toBe(2);
+    expect(m['relocation_upstream_failures_total{api="WAQI_AQI"}']).toBe(2);
+
+    const hits   = m['relocation_cache_lookups_total{result="hit"}'];
+    const misses = m['relocation_cache_lookups_total{result="miss"}'];
+    expect(hits).toBeGreaterThan(0);
+    expect(m.relocation_cache_hit_ratio).toBeCloseTo(hits / (hits + misses));
+    expect(m.relocation_cache_entries).toBeGreaterThan(0);
+    expect(m.relocation_cache_in_flight).toBe(0);
+
+    expect(m.relocation_composite_score_count).toBe(6);
+    expect(m['relocation_composite_score_bucket{le="100"}']).toBe(6);
+  });
+
+  test("counts concurrent identical fetches as deduplicated and in flight", async () => {
+    const cache = require("../services/cacheService");   // the server's instance
+    let release;
+    const fetchFn = jest.fn(() => new Promise((resolve) => { release = resolve; }));
+    const lookups = [1, 2, 3].map(() => cache.getOrFetchSource("source:test:x", fetchFn, { ttlMs: 60000 }));
+    await new Promise((resolve) => setImmediate(resolve));
+
+    let m = await scrape();
+    expect(m.relocation_cache_in_flight).toBe(1);
+    release({ ok: true });
+    await Promise.all(lookups);
+
+    m = await scrape();
+    expect(fetchFn).toHaveBeenCalledTimes(1);
+    expect(m.relocation_cache_deduplicated_total).toBe(2);
+    expect(m.relocation_cache_in_flight).toBe(0);
+  });
+});
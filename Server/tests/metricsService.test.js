@@ -0,0 +1,50 @@
+const metrics = require("../services/metricsService");
+
+beforeEach(() => jest.resetModules());
+
+const fresh = () => require("../services/metricsService");
+
+test("renders counters with HELP, TYPE and escaped labels", () => {
+  const m = fresh();
+  m.upstreamFailures.inc({ api: 'WEIRD "API"\\x' });
+  m.upstreamFailures.inc({ api: 'WEIRD "API"\\x' }, 2);
+  expect(m.render()).toContain([
+    "# HELP relocation_upstream_failures_total Upstream API calls that failed after retries (or were short-circuited).",
+    "# TYPE relocation_upstream_failures_total counter",
+    'relocation_upstream_failures_total{api="WEIRD \\"API\\"\\\\x"} 3',
+  ].join("\n"));
+});
+
+test("renders histograms as cumulative buckets with sum and count", () => {
+  const m = fresh();
+  for (const score of [15, 55, 58, 100]) m.compositeScore.observe(score);
+  const text = m.render();
+  expect(text).toContain('relocation_composite_score_bucket{le="10"} 0\n');
+  expect(text).toContain('relocation_composite_score_bucket{le="20"} 1\n');
+  expect(text).toContain('relocation_composite_score_bucket{le="60"} 3\n');
+  expect(text).toContain('relocation_composite_score_bucket{le="100"} 4\n');
+  expect(text).toContain('relocation_composite_score_bucket{le="+Inf"} 4\n');
+  expect(text).toContain("relocation_composite_score_sum 228\n");
+  expect(text).toContain("relocation_composite_score_count 4\n");
+});
+
+test("startTimer observes elapsed seconds under the given labels", () => {
+  const m    = fresh();
+  const stop = m.analyzeDuration.startTimer({ mode: "job" });
+  stop();
+  expect(m.render()).toMatch(/relocation_analyze_duration_seconds_count\{mode="job"\} 1\n/);
+});
+
+test("cache hit ratio is derived from lookups at render time", () => {
+  const m = fresh();
+  expect(m.render()).toContain("relocation_cache_hit_ratio NaN\n");
+  m.cacheLookups.inc({ result: "hit" });
+  m.cacheLookups.inc({ result: "hit" });
+  m.cacheLookups.inc({ result: "hit" });
+  m.cacheLookups.inc({ result: "miss" });
+  expect(m.render()).toContain("relocation_cache_hit_ratio 0.75\n");
+});
+
+test("exports the Prometheus text content type", () => {
+  expect(metrics.CONTENT_TYPE).toBe("text/plain; version=0.0.4; charset=utf-8");
+});
@@ -0,0 +1,80 @@
+jest.mock("../services/apiService");
+
+const api     = require("../services/apiService");
+const regions = require("../services/regionService");
+
+const entry = (country, composite, scores = {}) => ({
+  country,
+  scores: {
+    composite_score:               composite,
+    travel_risk_score:             { score: scores.risk ?? 50 },
+    health_infrastructure_score:   { score: 50 },
+    environmental_stability_score: { score: 50 },
+    affordability_score:           { score: 50 },
+    confidence:                    1,
+  },
+});
+
+describe("findRegion", () => {
+  test.each([
+    ["Europe",          "region",    "Europe"],
+    ["southern europe", "subregion", "Southern Europe"],
+    ["Southeast Asia",  "subregion", "South-Eastern Asia"],
+    ["East Asia",       "subregion", "Eastern Asia"],
+    ["South America",   "subregion", "South America"],
+    ["Middle East",     "subregion", "Western Asia"],
+  ])("%s → %s %s", (input, type, name) => {
+    expect(regions.findRegion(input)).toMatchObject({ type, name });
+  });
+
+  test("returns null for unknown selectors", () => {
+    expect(regions.findRegion("Narnia")).toBeNull();
+  });
+});
+
+describe("validateRegion", () => {
+  test("accepts a name or an options object", () => {
+    expect(regions.validateRegion("Europe")).toEqual([]);
+    expect(regions.validateRegion({ name: "Europe", top: 5, includeTerritories: true })).toEqual([]);
+  });
+
+  test("suggests close names and checks options", () => {
+    expect(regions.validateRegion("Westrn Africa")[0]).toMatch(/Did you mean: Western Africa/);
+    expect(regions.validateRegion({ name: "Europe", top: 0, colour: "blue" })).toHaveLength(2);
+    expect(regions.validateRegion(42)).toHaveLength(1);
+  });
+
+  test("rejects overlong names without scanning every region", () => {
+    const start = Date.now();
+    expect(regions.validateRegion("europe".repeat(4000))).toEqual([`Unknown region "${"europe".repeat(4000)}".`]);
+    expect(Date.now() - start).toBeLessThan(500);
+  });
+});
+
+describe("expandRegion", () => {
+  test("keeps independent members under their catalogue names", async () => {
+    api.fetchRegionMembers.mockResolvedValue([
+      { name: "Czechia", iso2: "CZ", independent: true },
+      { name: "Republic of Poland", iso2: "PL", independent: true },
+      { name: "Somewhere", iso2: "XX", independent: false },
+    ]);
+    const selector = regions.resolveRegion("Eastern Europe");
+    expect(await regions.expandRegion(selector)).toEqual({ countries: ["Czechia", "Poland"], source: "rest_countries" });
+  });
+
+  test("falls back to the catalogue when REST Countries is unavailable", async () => {
+    api.fetchRegionMembers.mockResolvedValue(null);
+    const { countries, source } = await regions.expandRegion(regions.resolveRegion("Central Asia"));
+    expect(source).toBe("catalogue");
+    expect(countries).toEqual(["Kazakhstan", "Kyrgyzstan", "Tajikistan", "Turkmenistan", "Uzbekistan"]);
+  });
+});
+
+describe("aggregate", () => {
+  test("summarizes each score with best and worst members", () => {
+    const stats = regions.aggregate([entry("A", 80, { risk: 90 }), entry("B", 60, { risk: 40 }), entry("C", 70)]);
+    expect(stats.composite_score).toEqual({ mean: 70, median: 70, min: 60, max: 80, stdev: 8.2, best: "A", worst: "B" });
+    expect(stats.travel_risk_score).toMatchObject({ best: "A", worst: "B", median: 50 });
+    expect(stats.confidence.mean).toBe(1);
+  });
+});
@@ -0,0 +1,60 @@
+const request        = require("supertest");
+const requestContext = require("../utils/requestContext");
+
+describe("requestIdFrom", () => {
+  test("accepts a safe X-Request-Id or X-Correlation-Id", () => {
+    expect(requestContext.requestIdFrom({ "x-request-id": "abc-123:9" })).toBe("abc-123:9");
+    expect(requestContext.requestIdFrom({ "x-correlation-id": "corr.42" })).toBe("corr.42");
+  });
+
+  test("generates an id when the header is missing or unsafe", () => {
+    const uuid = /^[0-9a-f-]{36}$/;
+    expect(requestContext.requestIdFrom({})).toMatch(uuid);
+    expect(requestContext.requestIdFrom({ "x-request-id": "bad id\n" })).toMatch(uuid);
+    expect(requestContext.requestIdFrom({ "x-request-id": "x".repeat(129) })).toMatch(uuid);
+  });
+});
+
+test("context follows async work and is absent outside it", async () => {
+  expect(requestContext.requestId()).toBeNull();
+  const seen = await requestContext.run({ requestId: "r1" }, async () => {
+    await new Promise((resolve) => setTimeout(resolve, 1));
+    return requestContext.requestId();
+  });
+  expect(seen).toBe("r1");
+  expect(requestContext.requestId()).toBeNull();
+});
+
+describe("correlation ids over HTTP", () => {
+  let app;
+  let lines;
+
+  beforeEach(() => {
+    jest.resetModules();
+    app   = require("../server");
+    lines = [];
+    jest.spyOn(console, "log").mockImplementation((line) => lines.push(JSON.parse(line)));
+    jest.spyOn(console, "error").mockImplementation((line) => lines.push(JSON.parse(line)));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test("echoes the caller's id and tags its log lines", async () => {
+    const res = await request(app).get("/api/countries?q=ger").set("X-Request-Id", "client-7");
+    expect(res.headers["x-request-id"]).toBe("client-7");
+    expect(lines.find((l) => l.category === "HTTP")).toMatchObject({ request_id: "client-7" });
+  });
+
+  test("keeps overlapping requests apart", async () => {
+    const paths = { "a-1": "/health", "b-2": "/api/countries", "c-3": "/api/countries/resolve" };
+    await Promise.all(Object.entries(paths).map(([id, p]) => request(app).get(p).set("X-Request-Id", id)));
+    const http = lines.filter((l) => l.category === "HTTP");
+    expect(http).toHaveLength(3);
+    for (const line of http) expect(line.message).toBe(`GET ${paths[line.request_id]}`);
+  });
+
+  test("generates an id when none is sent", async () => {
+    const res = await request(app).get("/health");
+    expect(res.headers["x-request-id"]).toMatch(/^[0-9a-f-]{36}$/);
+  });
+});
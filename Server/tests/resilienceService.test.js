@@ -0,0 +1,195 @@
+jest.mock("../utils/logger");
+
+const resilience = require("../services/resilienceService");
+
+const FAST = { baseDelayMs: 1, maxDelayMs: 2 };
+
+/** An axios-style error, as a failed upstream response (or network error without status) */
+function upstreamError(status) {
+  const err = new Error(status ? `Request failed with status code ${status}` : "socket hang up");
+  err.isAxiosError = true;
+  if (status) err.response = { status, headers: {} };
+  return err;
+}
+
+/** fn that fails with the given errors in turn, then resolves "ok" */
+function flaky(...errors) {
+  return jest.fn(async () => {
+    const err = errors.shift();
+    if (err) throw err;
+    return "ok";
+  });
+}
+
+beforeEach(() => resilience.reset());
+afterEach(() => jest.useRealTimers());
+
+describe("retries", () => {
+  test("retries transient failures with backoff until one succeeds", async () => {
+    const fn = flaky(upstreamError(503), upstreamError());
+    await expect(resilience.call("API", fn, FAST)).resolves.toBe("ok");
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(resilience.snapshot().API.totals).toMatchObject({ calls: 1, retries: 2, failures: 0 });
+  });
+
+  test("gives up after the configured retries", async () => {
+    const fn = flaky(upstreamError(500), upstreamError(500), upstreamError(500));
+    await expect(resilience.call("API", fn, { ...FAST, retries: 1 })).rejects.toThrow(/500/);
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  test("does not retry client errors or non-HTTP errors", async () => {
+    const notFound = flaky(upstreamError(404));
+    await expect(resilience.call("API", notFound, FAST)).rejects.toThrow(/404/);
+    const malformed = flaky(new Error("No country data returned"));
+    await expect(resilience.call("API", malformed, FAST)).rejects.toThrow(/No country data/);
+    expect(notFound).toHaveBeenCalledTimes(1);
+    expect(malformed).toHaveBeenCalledTimes(1);
+    expect(resilience.snapshot().API.consecutive_failures).toBe(0);
+  });
+});
+
+describe("circuit breaker", () => {
+  const options = { ...FAST, retries: 0, failureThreshold: 2, cooldownMs: 1000 };
+
+  test("opens after consecutive failures and short-circuits until the cool-down ends", async () => {
+    jest.useFakeTimers({ doNotFake: ["setImmediate", "nextTick"] });
+    const down = jest.fn(async () => { throw upstreamError(503); });
+
+    await expect(resilience.call("API", down, options)).rejects.toThrow(/503/);
+    expect(resilience.snapshot().API.state).toBe("closed");
+    await expect(resilience.call("API", down, options)).rejects.toThrow(/503/);
+    expect(resilience.snapshot().API).toMatchObject({ state: "open", consecutive_failures: 2 });
+
+    await expect(resilience.call("API", down, options)).rejects.toBeInstanceOf(resilience.CircuitOpenError);
+    expect(down).toHaveBeenCalledTimes(2);
+    expect(resilience.snapshot().API.totals.short_circuited).toBe(1);
+
+    // Half-open trial: a failure re-opens, a success closes
+    jest.advanceTimersByTime(1000);
+    await expect(resilience.call("API", down, options)).rejects.toThrow(/503/);
+    expect(resilience.snapshot().API.state).toBe("open");
+
+    jest.advanceTimersByTime(1000);
+    await expect(resilience.call("API", async () => "back", options)).resolves.toBe("back");
+    expect(resilience.snapshot().API).toMatchObject({ state: "closed", consecutive_failures: 0, retry_at: null });
+  });
+
+  test("lets a single trial call through while half-open", async () => {
+    jest.useFakeTimers({ doNotFake: ["setImmediate", "nextTick"] });
+    const down = async () => { throw upstreamError(503); };
+    await resilience.call("API", down, options).catch(() => {});
+    await resilience.call("API", down, options).catch(() => {});
+    jest.advanceTimersByTime(1000);
+
+    let release;
+    const trial = resilience.call("API", () => new Promise((r) => { release = r; }), options);
+    await expect(resilience.call("API", async () => "x", options)).rejects.toBeInstanceOf(resilience.CircuitOpenError);
+    release("ok");
+    await expect(trial).resolves.toBe("ok");
+    expect(resilience.snapshot().API.state).toBe("closed");
+  });
+});
+
+describe("limits", () => {
+  test("caps concurrent calls per API", async () => {
+    let active = 0;
+    let peak   = 0;
+    const fn = async () => {
+      active += 1;
+      peak = Math.max(peak, active);
+      await new Promise((r) => setTimeout(r, 5));
+      active -= 1;
+      return "ok";
+    };
+    await Promise.all(Array.from({ length: 6 }, () => resilience.call("API", fn, { concurrency: 2 })));
+    expect(peak).toBe(2);
+  });
+
+  test("rate-limits calls per minute, shared by guards on the same quota", async () => {
+    jest.useFakeTimers({ doNotFake: ["setImmediate", "nextTick"] });
+    const quota = { quota: "OWM", ratePerMinute: 2, totalTimeoutMs: 60 * 1000 };
+    const done  = [];
+    const track = (name) => resilience.call(name, async () => done.push(name), quota);
+
+    await Promise.all([track("WEATHER"), track("GEOCODING")]);
+    const third = track("WEATHER");
+    await jest.advanceTimersByTimeAsync(10 * 1000);
+    expect(done).toHaveLength(2);
+
+    await jest.advanceTimersByTimeAsync(20 * 1000);   // one token per 30s
+    await third;
+    expect(done).toEqual(["WEATHER", "GEOCODING", "WEATHER"]);
+    expect(resilience.snapshot().WEATHER.limits).toMatchObject({ quota: "OWM", rate_per_minute: 2 });
+  });
+
+  test("waits for a rate-limit token without holding a concurrency slot", async () => {
+    jest.useFakeTimers({ doNotFake: ["setImmediate", "nextTick"] });
+    const limits = { ratePerMinute: 1, concurrency: 1, totalTimeoutMs: 120 * 1000 };
+    await resilience.call("API", async () => "first", limits);
+
+    const second = resilience.call("API", async () => "second", limits);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(resilience.snapshot().API).toMatchObject({ in_flight: 0, queued: 0 });
+
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+    await expect(second).resolves.toBe("second");
+  });
+});
+
+describe("time budget", () => {
+  test("does not start a retry that would overrun the budget", async () => {
+    const fn = flaky(upstreamError(503), upstreamError(503));
+    const options = { baseDelayMs: 1000, maxDelayMs: 1000, totalTimeoutMs: 500 };
+    jest.spyOn(Math, "random").mockReturnValue(1);
+    try {
+      await expect(resilience.call("API", fn, options)).rejects.toThrow(/503/);
+    } finally {
+      Math.random.mockRestore();
+    }
+    expect(fn).toHaveBeenCalledTimes(1);
+    expect(resilience.snapshot().API.consecutive_failures).toBe(1);
+  });
+
+  test("fails a call still running when the budget expires, and frees its slot when it settles", async () => {
+    jest.useFakeTimers({ doNotFake: ["setImmediate", "nextTick"] });
+    let finish;
+    const hanging = () => new Promise((r) => { finish = r; });
+    const call = resilience.call("API", hanging, { totalTimeoutMs: 5000 });
+    const result = expect(call).rejects.toBeInstanceOf(resilience.CallTimeoutError);
+
+    await jest.advanceTimersByTimeAsync(5000);
+    await result;
+    expect(resilience.snapshot().API).toMatchObject({ consecutive_failures: 1, in_flight: 1 });
+
+    finish("late");
+    await Promise.resolve();
+    expect(resilience.snapshot().API.in_flight).toBe(0);
+  });
+
+  test("bounds the wait for a rate-limit token", async () => {
+    jest.useFakeTimers({ doNotFake: ["setImmediate", "nextTick"] });
+    const limits = { ratePerMinute: 1, totalTimeoutMs: 2000 };
+    await resilience.call("API", async () => "first", limits);
+
+    const fn = jest.fn(async () => "second");
+    const second = expect(resilience.call("API", fn, limits)).rejects.toThrow(/2000ms time budget/);
+    await jest.advanceTimersByTimeAsync(2000);
+    await second;
+    expect(fn).not.toHaveBeenCalled();
+  });
+
+  test("a call that gives up waiting for a token does not take one later", async () => {
+    jest.useFakeTimers({ doNotFake: ["setImmediate", "nextTick"] });
+    const limits = { ratePerMinute: 1, totalTimeoutMs: 2000 };
+    await resilience.call("API", async () => "first", limits);
+
+    const second = expect(resilience.call("API", async () => "second", limits)).rejects.toThrow(/time budget/);
+    await jest.advanceTimersByTimeAsync(2000);
+    await second;
+
+    await jest.advanceTimersByTimeAsync(60 * 1000);
+    expect(resilience.snapshot().API.limits.tokens_left).toBe(1);
+    await expect(resilience.call("API", async () => "third", limits)).resolves.toBe("third");
+  });
+});
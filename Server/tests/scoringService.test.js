@@ -0,0 +1,435 @@
+jest.mock("../utils/logger");
+
+const scoring = require("../services/scoringService");
+
+function countryData(overrides = {}) {
+  return {
+    country: "Testland",
+    profile: { population: 10_000_000 },
+    worldBank: { lifeExpectancy: 80, healthcareExpenditure: 10 },
+    weather: {
+      temp_celsius: 21.5, temp_min: 20, temp_max: 24,
+      humidity_pct: 45, wind_speed_ms: 4, weather_id: 800,
+    },
+    aqi: { aqi: 30 },
+    advisory: { score: 1.5 },
+    economy: { priceLevelRatio: 0.6, gdpPerCapita: 20_000, inflation: 2 },
+    ...overrides,
+  };
+}
+
+describe("normalize", () => {
+  test("scales linearly between min and max", () => {
+    expect(scoring.normalize(5, 0, 10)).toBe(50);
+    expect(scoring.normalize(0, 0, 10)).toBe(0);
+    expect(scoring.normalize(10, 0, 10)).toBe(100);
+  });
+
+  test("clamps values outside the range", () => {
+    expect(scoring.normalize(-5, 0, 10)).toBe(0);
+    expect(scoring.normalize(50, 0, 10)).toBe(100);
+  });
+
+  test("inverts when lower is better", () => {
+    expect(scoring.normalize(2, 0, 10, false)).toBe(80);
+  });
+
+  test("returns the default score for missing data", () => {
+    expect(scoring.normalize(null, 0, 10)).toBe(50);
+    expect(scoring.normalize(undefined, 0, 10)).toBe(50);
+    expect(scoring.normalize(NaN, 0, 10, true, 30)).toBe(30);
+  });
+});
+
+describe("weatherSeverityPenalty", () => {
+  test.each([
+    [undefined, 0],
+    [211, 70],
+    [301, 20],
+    [502, 40],
+    [601, 60],
+    [741, 50],
+    [800, 0],
+    [803, 10],
+    [900, 0],
+  ])("weather id %p → %p", (id, penalty) => {
+    expect(scoring.weatherSeverityPenalty(id)).toBe(penalty);
+  });
+});
+
+describe("tempComfortScore", () => {
+  test("peaks at the 21.5°C ideal", () => {
+    expect(scoring.tempComfortScore(21.5)).toBe(100);
+  });
+
+  test("penalizes deviations symmetrically", () => {
+    expect(scoring.tempComfortScore(11.5)).toBe(75);
+    expect(scoring.tempComfortScore(31.5)).toBe(75);
+  });
+
+  test("bottoms out at 40°C deviation and defaults to 50 when missing", () => {
+    expect(scoring.tempComfortScore(-30)).toBe(0);
+    expect(scoring.tempComfortScore(null)).toBe(50);
+  });
+});
+
+describe("computeTravelRiskScore", () => {
+  test("reports components and their weighted score", () => {
+    const { score, components } = scoring.computeTravelRiskScore(countryData());
+    expect(components).toEqual({
+      temperature_comfort: 100,
+      air_quality: 90,
+      travel_advisory: 88,
+      weather_event: 100,
+    });
+    expect(score).toBe(Math.round(100 * 0.2 + 90 * 0.3 + 88 * 0.35 + 100 * 0.15));
+  });
+
+  test("falls back to neutral components when data is missing", () => {
+    const { components } = scoring.computeTravelRiskScore(
+      countryData({ weather: null, aqi: null, advisory: null })
+    );
+    expect(components).toEqual({
+      temperature_comfort: 50,
+      air_quality: 50,
+      travel_advisory: 50,
+      weather_event: 50,
+    });
+  });
+
+  test("honours custom sub-weights", () => {
+    const { score } = scoring.computeTravelRiskScore(countryData(), {
+      temperature_comfort: 0, air_quality: 1, travel_advisory: 0, weather_event: 0,
+    });
+    expect(score).toBe(90);
+  });
+});
+
+describe("computeHealthInfrastructureScore", () => {
+  test("combines expenditure, life expectancy and population pressure", () => {
+    const { score, components } = scoring.computeHealthInfrastructureScore(countryData());
+    expect(components.healthcare_expenditure).toBe(64);
+    expect(components.life_expectancy).toBe(78);
+    expect(components.population_pressure).toBeGreaterThan(0);
+    expect(score).toBeGreaterThanOrEqual(0);
+    expect(score).toBeLessThanOrEqual(100);
+  });
+
+  test("is neutral when World Bank and population data are missing", () => {
+    const { score } = scoring.computeHealthInfrastructureScore(countryData({
+      worldBank: { lifeExpectancy: null, healthcareExpenditure: null },
+      profile: {},
+    }));
+    expect(score).toBe(50);
+  });
+});
+
+describe("computeEnvironmentalStabilityScore", () => {
+  test("rewards clean air and calm, mild weather", () => {
+    const { components } = scoring.computeEnvironmentalStabilityScore(countryData());
+    expect(components).toEqual({
+      air_quality_stability: 90,
+      temperature_volatility: 80,
+      wind_comfort: 80,
+      humidity_comfort: 100,
+    });
+  });
+
+  test("is neutral when weather and AQI are missing", () => {
+    const { score } = scoring.computeEnvironmentalStabilityScore(countryData({ weather: null, aqi: null }));
+    expect(score).toBe(50);
+  });
+});
+
+describe("computeAffordabilityScore", () => {
+  test("rewards low price levels, on-target inflation and modest incomes", () => {
+    const cheap  = scoring.computeAffordabilityScore(countryData());
+    const pricey = scoring.computeAffordabilityScore(countryData({
+      economy: { priceLevelRatio: 1.4, gdpPerCapita: 90_000, inflation: 12 },
+    }));
+    expect(cheap.components.inflation_stability).toBe(100);
+    expect(cheap.components.price_level).toBe(69);
+    expect(pricey.score).toBeLessThan(cheap.score);
+    expect(pricey.components.inflation_stability).toBeLessThan(50);
+  });
+
+  test("is neutral when economy data is missing", () => {
+    const result = scoring.computeAffordabilityScore(countryData({ economy: null }));
+    expect(result).toEqual({
+      score: 50,
+      components: { price_level: 50, inflation_stability: 50, income_level: 50 },
+    });
+  });
+});
+
+describe("imputedComponents", () => {
+  test("lists components whose raw input is missing", () => {
+    expect(scoring.imputedComponents(countryData())).toEqual({
+      travel_risk_score: [], health_infrastructure_score: [], environmental_stability_score: [], affordability_score: [],
+    });
+    expect(scoring.imputedComponents(countryData({ weather: null, economy: { inflation: 3 } }))).toEqual({
+      travel_risk_score:             ["temperature_comfort", "weather_event"],
+      health_infrastructure_score:   [],
+      environmental_stability_score: ["temperature_volatility", "wind_comfort", "humidity_comfort"],
+      affordability_score:           ["price_level", "income_level"],
+    });
+  });
+});
+
+describe("missing-data policies", () => {
+  const noWeather = () => countryData({
+    weather: null, aqi: null, data_availability: { profile: true, worldBank: true, weather: false, aqi: false },
+  });
+
+  test("every score carries a confidence from its components with data", () => {
+    const full = scoring.scoreCountry(countryData(), "moderate", "long");
+    expect(full.confidence).toBe(1);
+    expect(full.confidence_level).toBe("high");
+
+    const gaps = scoring.scoreCountry(noWeather(), "moderate", "long");
+    expect(gaps.environmental_stability_score.confidence).toBe(0);
+    expect(gaps.travel_risk_score.confidence).toBe(scoring.DEFAULT_SUB_WEIGHTS.travel_risk_score.travel_advisory);
+    expect(gaps.health_infrastructure_score.confidence).toBe(1);
+    expect(gaps.confidence).toBeLessThan(0.9);
+    expect(gaps.confidence_level).toBe("medium");
+  });
+
+  test("reasoning names the imputed inputs, missing sources and treatment", () => {
+    const result = scoring.scoreCountry(noWeather(), "moderate", "long");
+    const line = result.reasoning.find((r) => r.startsWith("Data gaps"));
+    expect(line).toMatch(/no weather\/aqi data/);
+    expect(line).toMatch(/temperature comfort, air quality, weather event \(Travel Safety\)/);
+    expect(line).toMatch(/neutral 50/);
+    expect(result.travel_risk_score.components.weather_event).toBe(50);
+    expect(scoring.scoreCountry(countryData(), "moderate", "long").reasoning.join(" ")).not.toMatch(/Data gaps/);
+  });
+
+  test("penalize scores imputed components with the penalty score", () => {
+    const neutral   = scoring.scoreCountry(noWeather(), "moderate", "long");
+    const penalized = scoring.scoreCountry(noWeather(), "moderate", "long", {
+      missingData: { policy: "penalize", penaltyScore: 10 },
+    });
+    expect(penalized.environmental_stability_score.score).toBe(10);
+    expect(penalized.travel_risk_score.components.air_quality).toBe(10);
+    expect(penalized.travel_risk_score.components.weather_event).toBe(10);
+    expect(penalized.composite_score).toBeLessThan(neutral.composite_score);
+    expect(penalized.confidence).toBe(neutral.confidence);
+    expect(penalized.reasoning.join(" ")).toMatch(/scored as 10 \(penalized\)/);
+  });
+
+  test("reweight scores over the components with data and drops empty scores", () => {
+    const result = scoring.scoreCountry(noWeather(), "moderate", "long", { missingData: "reweight" });
+    expect(result.dynamic_weights.environmental_stability_score).toBe(0);
+    expect(result.travel_risk_score.score).toBe(result.travel_risk_score.components.travel_advisory);
+    const w = result.dynamic_weights;
+    expect(result.composite_score).toBe(Math.round(
+      result.travel_risk_score.score * w.travel_risk_score +
+      result.health_infrastructure_score.score * w.health_infrastructure_score +
+      result.affordability_score.score * w.affordability_score
+    ));
+  });
+
+  test("effectiveWeights leaves weights alone outside reweight and with no data at all", () => {
+    const weights = scoring.getDynamicWeights("moderate", "long");
+    const sub     = scoring.resolveSubWeights();
+    const none    = scoring.imputedComponents({});
+    expect(scoring.effectiveWeights(weights, sub, none, "neutral")).toEqual({ weights, subWeights: sub });
+    expect(scoring.effectiveWeights(weights, sub, none, "reweight")).toEqual({ weights, subWeights: sub });
+  });
+
+  test("resolveMissingDataPolicy fills in defaults", () => {
+    expect(scoring.resolveMissingDataPolicy()).toEqual(scoring.MISSING_DATA_DEFAULTS);
+    expect(scoring.resolveMissingDataPolicy("exclude")).toMatchObject({ policy: "exclude", minConfidence: 0.8 });
+    expect(scoring.resolveMissingDataPolicy({ policy: "penalize", penaltyScore: 0 })).toMatchObject({ penaltyScore: 0 });
+  });
+});
+
+describe("getDynamicWeights", () => {
+  const sum = (w) => Object.values(w).reduce((a, b) => a + b, 0);
+
+  test.each([
+    ["low", "short"], ["low", "long"],
+    ["moderate", "short"], ["moderate", "long"],
+    ["high", "short"], ["high", "long"],
+  ])("%s/%s weights sum to 1", (rt, dur) => {
+    expect(sum(scoring.getDynamicWeights(rt, dur))).toBeCloseTo(1, 2);
+  });
+
+  test("long stays weight health infrastructure above short stays", () => {
+    const long  = scoring.getDynamicWeights("moderate", "long");
+    const short = scoring.getDynamicWeights("moderate", "short");
+    expect(long.health_infrastructure_score).toBeGreaterThan(short.health_infrastructure_score);
+  });
+
+  test("long stays weight affordability above short stays", () => {
+    expect(scoring.getDynamicWeights("low", "long").affordability_score)
+      .toBeGreaterThan(scoring.getDynamicWeights("low", "short").affordability_score);
+  });
+
+  test("normalizes custom weights and treats missing keys as 0", () => {
+    expect(scoring.getDynamicWeights(null, null, {
+      health_infrastructure_score: 6, travel_risk_score: 4,
+    })).toEqual({
+      travel_risk_score: 0.4,
+      health_infrastructure_score: 0.6,
+      environmental_stability_score: 0,
+      affordability_score: 0,
+    });
+  });
+});
+
+describe("rankResults", () => {
+  const entry = (country, composite) => ({ country, scores: { composite_score: composite } });
+
+  test("orders by composite score descending and assigns labels", () => {
+    const ranked = scoring.rankResults([entry("A", 60), entry("B", 90), entry("C", 75), entry("D", 10)]);
+    expect(ranked.map((r) => r.country)).toEqual(["B", "C", "A", "D"]);
+    expect(ranked.map((r) => r.rank)).toEqual([1, 2, 3, 4]);
+    expect(ranked[0].rank_label).toBe("🥇 Best Match");
+    expect(ranked[1].rank_label).toBe("🥈 Strong Option");
+    expect(ranked[2].rank_label).toBe("🥉 Good Alternative");
+    expect(ranked[3].rank_label).toBe("#4 Option");
+  });
+
+  test("does not mutate its input", () => {
+    const input = [entry("A", 1), entry("B", 2)];
+    scoring.rankResults(input);
+    expect(input.map((r) => r.country)).toEqual(["A", "B"]);
+  });
+});
+
+describe("rankResults — pareto mode", () => {
+  const objectives = ["travel_risk_score", "affordability_score"];
+  const entry = (country, risk, cost, composite = risk + cost) => ({
+    country,
+    scores: { travel_risk_score: { score: risk }, affordability_score: { score: cost }, composite_score: composite },
+  });
+
+  test("tiers results by non-domination and reports who dominates whom", () => {
+    const ranked = scoring.rankResults([
+      entry("Safe", 90, 40), entry("Cheap", 50, 90), entry("Middle", 60, 60), entry("Worse", 55, 35),
+    ], { mode: "pareto", objectives });
+
+    expect(ranked.map((r) => [r.country, r.pareto.tier])).toEqual([
+      ["Cheap", 1], ["Safe", 1], ["Middle", 1], ["Worse", 2],
+    ]);
+    expect(ranked.map((r) => r.rank)).toEqual([1, 2, 3, 4]);
+    expect(ranked[0].rank_label).toBe("⚖️ Pareto-Optimal");
+    expect(ranked[3].rank_label).toBe("Tier 2");
+
+    const worse = ranked.find((r) => r.country === "Worse");
+    expect(worse.pareto.dominated_by).toEqual(["Safe", "Middle"]);
+    expect(worse.pareto.leads_on).toBeUndefined();
+    expect(ranked.find((r) => r.country === "Safe").pareto).toMatchObject({
+      dominates: ["Worse"], dominated_by: [], leads_on: ["travel_risk_score"],
+    });
+  });
+
+  test("a single front member dominates every other result", () => {
+    const ranked = scoring.rankResults([entry("B", 50, 50), entry("A", 80, 80), entry("C", 50, 40)], {
+      mode: "pareto", objectives,
+    });
+    expect(ranked.map((r) => r.country)).toEqual(["A", "B", "C"]);
+    expect(ranked[0].rank_label).toBe("🥇 Dominates All");
+    expect(ranked[0].pareto.dominates).toEqual(["B", "C"]);
+    expect(ranked.map((r) => r.pareto.tier)).toEqual([1, 2, 3]);
+    expect(scoring.paretoSummary(ranked, objectives)).toEqual({
+      mode: "pareto", objectives, front: ["A"], tiers: 3, clear_winner: "A",
+    });
+  });
+
+  test("equal results do not dominate each other", () => {
+    const ranked = scoring.rankResults([entry("A", 50, 50), entry("B", 50, 50)], { mode: "pareto", objectives });
+    expect(ranked.every((r) => r.pareto.tier === 1 && r.pareto.dominated_by.length === 0)).toBe(true);
+  });
+});
+
+describe("scoreCountry", () => {
+  test("blends the four scores with the dynamic weights", () => {
+    const result = scoring.scoreCountry(countryData(), "moderate", "long");
+    const w = result.dynamic_weights;
+    const expected = Math.round(
+      result.travel_risk_score.score * w.travel_risk_score +
+      result.health_infrastructure_score.score * w.health_infrastructure_score +
+      result.environmental_stability_score.score * w.environmental_stability_score +
+      result.affordability_score.score * w.affordability_score
+    );
+    expect(result.composite_score).toBe(expected);
+    expect(result.reasoning.at(-1)).toMatch(/moderate\/long/);
+  });
+});
+
+describe("trend adjustment", () => {
+  const years = (values) => values.map((value, i) => ({ year: 2019 + i, value }));
+  const withHistory = () => countryData({
+    worldBank: {
+      lifeExpectancy: 74,
+      healthcareExpenditure: 6,
+      history: { lifeExpectancy: years([70, 71, 72, 73, 74]), healthcareExpenditure: years([6, 6, 6, 6, 6]) },
+    },
+    advisory: { score: 2.6, history: years([0.5, 0.4, 0.3, 0.2, 0.1]) },
+  });
+
+  test("is opt-in", () => {
+    const result = scoring.scoreCountry(withHistory(), "moderate", "long");
+    expect(result.trend_adjusted).toBeUndefined();
+    expect(result.reasoning.join(" ")).toMatch(/life expectancy improving \(\+1\.00 yrs\/yr, 2019–2023\)/);
+    expect(result.reasoning.join(" ")).toMatch(/political stability deteriorating/);
+  });
+
+  test("re-scores health and risk on projected values and uses them in the composite", () => {
+    const base     = scoring.scoreCountry(withHistory(), "moderate", "long");
+    const adjusted = scoring.scoreCountry(withHistory(), "moderate", "long", { trendAdjusted: true });
+    const t = adjusted.trend_adjusted;
+
+    expect(t.horizon_years).toBe(5);
+    expect(t.health_infrastructure_score.delta).toBeGreaterThan(0);
+    expect(t.travel_risk_score.delta).toBeLessThan(0);
+    expect(t.health_infrastructure_score.score)
+      .toBe(base.health_infrastructure_score.score + t.health_infrastructure_score.delta);
+
+    const w = adjusted.dynamic_weights;
+    expect(adjusted.composite_score).toBe(Math.round(
+      t.travel_risk_score.score * w.travel_risk_score +
+      t.health_infrastructure_score.score * w.health_infrastructure_score +
+      adjusted.environmental_stability_score.score * w.environmental_stability_score +
+      adjusted.affordability_score.score * w.affordability_score
+    ));
+  });
+
+  test("uses a one-year horizon for short stays unless overridden", () => {
+    expect(scoring.scoreCountry(withHistory(), "low", "short", { trendAdjusted: true })
+      .trend_adjusted.horizon_years).toBe(1);
+    expect(scoring.scoreCountry(withHistory(), "low", "short", { trendAdjusted: true, trendHorizonYears: 10 })
+      .trend_adjusted.horizon_years).toBe(10);
+  });
+});
+
+describe("seasonal scoring", () => {
+  const climate = (normals) => ({
+    basis:   "climate_normals",
+    period:  { label: "Jul", months: [{ month: 7, weight: 1 }] },
+    station: { city: "Testville", iso2: "TL", match: "name", distance_km: null },
+    normals: { temp_max: 24, temp_min: 14, humidity_pct: 60, wind_speed_ms: 3, ...normals },
+  });
+
+  test("scores weather components on climate normals instead of the live snapshot", () => {
+    const live = countryData({ weather: { ...countryData().weather, temp_celsius: -5, weather_id: 601 } });
+    const result = scoring.scoreCountry(live, "low", "long", {
+      climate: climate({ temp_celsius: 21.5, precipitation_mm: 0 }),
+    });
+    expect(result.travel_risk_score.components.temperature_comfort).toBe(100);
+    expect(result.travel_risk_score.components.weather_event).toBe(100);
+    expect(result.environmental_stability_score.components.temperature_volatility).toBe(50);
+    expect(live.weather.temp_celsius).toBe(-5);
+    expect(result.reasoning.join(" ")).toMatch(/Seasonal outlook for Jul .*currently -5\.0°C/);
+  });
+
+  test("treats wetter months as more disruptive", () => {
+    const dry = scoring.scoreCountry(countryData(), "low", "long", { climate: climate({ temp_celsius: 19, precipitation_mm: 20 }) });
+    const wet = scoring.scoreCountry(countryData(), "low", "long", { climate: climate({ temp_celsius: 19, precipitation_mm: 400 }) });
+    expect(wet.travel_risk_score.components.weather_event).toBe(0);
+    expect(dry.travel_risk_score.components.weather_event).toBeGreaterThan(90);
+  });
+});
+
@@ -0,0 +1,89 @@
+jest.mock("../utils/logger");
+
+const scoring     = require("../services/scoringService");
+const sensitivity = require("../services/sensitivityService");
+
+const WEIGHTS     = scoring.getDynamicWeights("moderate", "long");
+const SUB_WEIGHTS = scoring.resolveSubWeights();
+
+/** A scored result whose components are all `value`, with optional imputed components */
+function result(country, value, imputed = {}) {
+  const scores = {};
+  for (const key of scoring.SCORE_KEYS) {
+    const components = Object.fromEntries(Object.keys(SUB_WEIGHTS[key]).map((c) => [c, value]));
+    scores[key] = { score: value, components };
+  }
+  scores.composite_score    = value;
+  scores.imputed_components = { ...Object.fromEntries(scoring.SCORE_KEYS.map((k) => [k, []])), ...imputed };
+  return { country, scores };
+}
+
+const run = (results, options = {}, policy) => sensitivity.analyze(
+  scoring.rankResults(results), WEIGHTS, SUB_WEIGHTS, sensitivity.resolveOptions({ samples: 300, ...options }), policy
+);
+
+describe("validateOptions", () => {
+  test("accepts true and valid option objects", () => {
+    expect(sensitivity.validateOptions(true)).toEqual([]);
+    expect(sensitivity.validateOptions({ samples: 500, weight_jitter: 0.1, missing_data_range: [30, 70] })).toEqual([]);
+  });
+
+  test("rejects unknown keys and out-of-range values", () => {
+    expect(sensitivity.validateOptions("yes")).toHaveLength(1);
+    expect(sensitivity.validateOptions({
+      samples: 10, weight_jitter: 2, missing_data_range: [80, 20], seed: 1.5, noise: 1,
+    })).toHaveLength(5);
+  });
+});
+
+describe("resolveOptions", () => {
+  test("caps samples so large batches keep the same total work", () => {
+    expect(sensitivity.resolveOptions(true, 10).samples).toBe(1000);
+    expect(sensitivity.resolveOptions({ samples: 5000 }, 10).samples).toBe(5000);
+    expect(sensitivity.resolveOptions({ samples: 5000 }, 60).samples).toBe(Math.floor(sensitivity.MAX_EVALUATIONS / 60));
+    expect(sensitivity.resolveOptions(false, 60)).toBeNull();
+  });
+});
+
+describe("analyze", () => {
+  test("a clear leader holds its rank and owns most of the weight space", () => {
+    const [leader, , last] = run([result("A", 90), result("B", 60), result("C", 30)]);
+    expect(leader.rank_stability).toMatchObject({ p_hold_rank: 1, p_rank_1: 1, rank_distribution: { 1: 1 } });
+    expect(leader.composite_interval).toEqual({ level: 0.9, low: 90, high: 90, mean: 90 });
+    expect(leader.top_region.share).toBe(1);
+    expect(last.top_region).toBeNull();
+  });
+
+  test("imputed components make close rankings uncertain and widen the interval", () => {
+    const missing = { travel_risk_score: ["air_quality", "temperature_comfort"], environmental_stability_score: ["air_quality_stability"] };
+    const [first, second] = run([result("A", 52), result("B", 50, missing)]);
+    expect(first.rank_stability.p_hold_rank).toBeLessThan(1);
+    expect(first.rank_stability.p_hold_rank + second.rank_stability.p_rank_1).toBeCloseTo(1, 5);
+    expect(second.composite_interval.high - second.composite_interval.low).toBeGreaterThan(2);
+  });
+
+  test("imputed components are not redrawn once penalized or re-weighted", () => {
+    const missing = { travel_risk_score: ["air_quality", "temperature_comfort"] };
+    for (const policy of ["penalize", "reweight"]) {
+      const [, second] = run([result("A", 60), result("B", 50, missing)], { weight_jitter: 0, sub_weight_jitter: 0 }, policy);
+      expect(second.composite_interval.low).toBe(second.composite_interval.high);
+    }
+  });
+
+  test("reports the weight region where a specialist wins", () => {
+    const cheap = result("Cheap", 40);
+    for (const c of Object.keys(cheap.scores.affordability_score.components)) cheap.scores.affordability_score.components[c] = 100;
+    const [, specialist] = run([result("Balanced", 60), cheap]);
+
+    expect(specialist.top_region.share).toBeGreaterThan(0);
+    expect(specialist.top_region.share).toBeLessThan(1);
+    expect(specialist.top_region.weight_ranges.affordability_score[0]).toBeGreaterThan(0.3);
+    expect(specialist.top_region.centroid.affordability_score)
+      .toBeGreaterThan(specialist.top_region.centroid.travel_risk_score);
+  });
+
+  test("is deterministic for a seed", () => {
+    const results = [result("A", 52), result("B", 50, { health_infrastructure_score: ["life_expectancy"] })];
+    expect(run(results, { seed: 7 })).toEqual(run(results, { seed: 7 }));
+  });
+});
@@ -0,0 +1,55 @@
+jest.mock("../utils/logger");
+
+const fs      = require("fs");
+const os      = require("os");
+const path    = require("path");
+const nodeTls = require("tls");
+
+const ENV = ["UPSTREAM_CA_BUNDLE", "TLS_INSECURE_PROVIDERS"];
+let tls;
+
+beforeEach(() => {
+  for (const k of ENV) delete process.env[k];
+  jest.resetModules();
+  tls = require("../utils/tls");
+});
+
+afterAll(() => {
+  for (const k of ENV) delete process.env[k];
+});
+
+test("verifies certificates with Node's default agent unless configured", () => {
+  expect(tls.agentFor("aqi")).toBeUndefined();
+  expect(tls.insecureProviders()).toEqual([]);
+});
+
+test("requiring apiService no longer disables verification process-wide", () => {
+  delete process.env.NODE_TLS_REJECT_UNAUTHORIZED;
+  require("../services/apiService");
+  expect(process.env.NODE_TLS_REJECT_UNAUTHORIZED).toBeUndefined();
+});
+
+test("TLS_INSECURE_PROVIDERS skips verification only for the listed providers", () => {
+  process.env.TLS_INSECURE_PROVIDERS = "aqi, weather";
+  tls.reload();
+  expect(tls.agentFor("aqi").options.rejectUnauthorized).toBe(false);
+  expect(tls.agentFor("weather")).toBe(tls.agentFor("aqi"));
+  expect(tls.agentFor("profile")).toBeUndefined();
+  expect(tls.insecureProviders()).toEqual(["aqi", "weather"]);
+});
+
+test("UPSTREAM_CA_BUNDLE adds CAs to the default roots for every provider", () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "ca-")), "ca.pem");
+  fs.writeFileSync(file, nodeTls.rootCertificates[0]);
+  process.env.UPSTREAM_CA_BUNDLE = file;
+  tls.reload();
+
+  const agent = tls.agentFor("profile");
+  expect(agent.options.rejectUnauthorized).not.toBe(false);
+  expect(agent.options.ca).toHaveLength(nodeTls.rootCertificates.length + 1);
+});
+
+test("an unreadable CA bundle fails loudly", () => {
+  process.env.UPSTREAM_CA_BUNDLE = "/nonexistent/ca.pem";
+  expect(() => tls.reload()).toThrow(/Cannot read UPSTREAM_CA_BUNDLE/);
+});
@@ -0,0 +1,133 @@
+jest.mock("../utils/logger", () => ({
+  ...jest.createMockFromModule("../utils/logger"),
+  redact: jest.requireActual("../utils/logger").redact,
+}));
+
+const fs      = require("fs");
+const os      = require("os");
+const path    = require("path");
+const request = require("supertest");
+
+const FIXTURE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "tracing-fixtures-"));
+const TRACE_FILE  = path.join(FIXTURE_DIR, "spans.jsonl");
+process.env.API_FIXTURE_MODE = "replay";
+process.env.API_FIXTURE_DIR  = FIXTURE_DIR;
+process.env.TRACE_EXPORTER   = "file";
+process.env.TRACE_FILE       = TRACE_FILE;
+
+const { writeCountry, writeFixture } = require("./helpers/upstreamFixtures");
+
+const TRACE_ID    = "4bf92f3577b34da6a3ce929d0e0e4736";
+const PARENT_SPAN = "00f067aa0ba902b7";
+const BODY        = { countries: ["Alpha", "Beta", "Gamma"], riskTolerance: "moderate", duration: "short" };
+
+let app;
+let tracing;
+
+beforeAll(() => {
+  writeCountry({ name: "Alpha", iso2: "AA", capital: "Alpha City" });
+  writeCountry({ name: "Beta",  iso2: "BB", capital: "Beta City" });
+  writeCountry({ name: "Gamma", iso2: "GG", capital: "Gamma City", aqi: null });
+  writeFixture(`https://api.waqi.info/feed/${encodeURIComponent("Gamma City")}/`, 404, { status: "error" });
+});
+
+beforeEach(() => {
+  fs.rmSync(TRACE_FILE, { force: true });
+  jest.resetModules();
+  app     = require("../server");
+  tracing = require("../services/tracingService");
+});
+
+afterAll(() => {
+  for (const k of ["TRACE_EXPORTER", "TRACE_FILE"]) delete process.env[k];
+  fs.rmSync(FIXTURE_DIR, { recursive: true, force: true });
+});
+
+async function exportedSpans() {
+  await tracing.flush();
+  return fs.readFileSync(TRACE_FILE, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+}
+
+describe("request tracing", () => {
+  test("returns the correlation and trace ids in the response meta", async () => {
+    const res = await request(app).post("/api/analyze")
+      .set("X-Request-Id", "req-42")
+      .set("traceparent", `00-${TRACE_ID}-${PARENT_SPAN}-01`)
+      .send(BODY);
+    expect(res.status).toBe(200);
+    expect(res.headers["x-request-id"]).toBe("req-42");
+    expect(res.body.meta).toMatchObject({ request_id: "req-42", trace_id: TRACE_ID });
+  });
+
+  test("exports a server span with a client span per upstream call", async () => {
+    await request(app).post("/api/analyze")
+      .set("traceparent", `00-${TRACE_ID}-${PARENT_SPAN}-01`)
+      .send(BODY)
+      .expect(200);
+    const spans = await exportedSpans();
+
+    const server = spans.find((s) => s.kind === "server");
+    expect(server).toMatchObject({
+      trace_id:       TRACE_ID,
+      parent_span_id: PARENT_SPAN,
+      name:           "POST /api/analyze",
+      attributes:     { "http.method": "POST", "http.status_code": 200 },
+      status:         { code: "ok" },
+    });
+
+    const clients = spans.filter((s) => s.kind === "client");
+    expect(clients.length).toBeGreaterThanOrEqual(15);   // 6 sources x 3 countries, less cached lookups
+    for (const span of clients) {
+      expect(span).toMatchObject({ trace_id: TRACE_ID, parent_span_id: server.span_id });
+      expect(span.duration_ms).toBeGreaterThanOrEqual(0);
+    }
+    expect(clients.find((s) => s.attributes["upstream.api"] === "WAQI_AQI" && s.status.code === "error"))
+      .toMatchObject({ attributes: { "relocation.location": "Gamma" }, status: { message: expect.stringMatching(/404/) } });
+  });
+
+  test("starts a new trace without a traceparent", async () => {
+    const res = await request(app).get("/health");
+    const [span] = await exportedSpans();
+    expect(span.trace_id).toMatch(/^[0-9a-f]{32}$/);
+    expect(span.trace_id).not.toBe(TRACE_ID);
+    expect(span).toMatchObject({ parent_span_id: null, attributes: { "request.id": res.headers["x-request-id"] } });
+  });
+});
+
+describe("tracingService", () => {
+  test("parses only valid traceparent headers", () => {
+    expect(tracing.parseTraceparent(`00-${TRACE_ID}-${PARENT_SPAN}-01`)).toEqual({ traceId: TRACE_ID, spanId: PARENT_SPAN });
+    expect(tracing.parseTraceparent(`00-${"0".repeat(32)}-${PARENT_SPAN}-01`)).toBeNull();
+    expect(tracing.parseTraceparent("garbage")).toBeNull();
+    expect(tracing.parseTraceparent(undefined)).toBeNull();
+  });
+
+  test("redacts secrets in span attributes and error messages", async () => {
+    tracing.startSpan("upstream X", { attributes: { url: "https://x.test/?appid=k3y" } })
+      .end({ error: new Error("GET https://x.test/?token=abc failed") });
+    const [span] = await exportedSpans();
+    expect(span.attributes.url).toBe("https://x.test/?appid=[REDACTED]");
+    expect(span.status.message).toBe("GET https://x.test/?token=[REDACTED] failed");
+  });
+
+  test("builds OTLP/JSON export requests", () => {
+    const otlp = tracing.toOtlp([{
+      traceId: TRACE_ID, spanId: PARENT_SPAN, parentSpanId: null, name: "upstream WAQI_AQI", kind: "client",
+      startNs: 1000000n, endNs: 3500000n,
+      attributes: { "upstream.api": "WAQI_AQI", retries: 2, ok: false },
+      status: { code: "error", message: "timeout" },
+    }]);
+    const [resource] = otlp.resourceSpans;
+    expect(resource.resource.attributes).toEqual([{ key: "service.name", value: { stringValue: "global-relocation-engine" } }]);
+    expect(resource.scopeSpans[0].spans[0]).toEqual({
+      traceId: TRACE_ID, spanId: PARENT_SPAN, name: "upstream WAQI_AQI", kind: 3,
+      startTimeUnixNano: "1000000", endTimeUnixNano: "3500000",
+      attributes: [
+        { key: "upstream.api", value: { stringValue: "WAQI_AQI" } },
+        { key: "retries",      value: { intValue: "2" } },
+        { key: "ok",           value: { boolValue: false } },
+      ],
+      status: { code: 2, message: "timeout" },
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const trends = require("../services/trendService");
+
+const series = (values, startYear = 2014) => values.map((value, i) => ({ year: startYear + i, value }));
+
+describe("linearSlope", () => {
+  test("recovers the slope of a straight line", () => {
+    expect(trends.linearSlope(series([70, 70.5, 71, 71.5]))).toBeCloseTo(0.5);
+  });
+
+  test("is null for fewer than two points or a single year", () => {
+    expect(trends.linearSlope(series([70]))).toBeNull();
+    expect(trends.linearSlope([{ year: 2020, value: 1 }, { year: 2020, value: 2 }])).toBeNull();
+  });
+});
+
+describe("analyzeSeries", () => {
+  const def = { higherIsBetter: true, flatThreshold: 0.05, unit: "yrs" };
+
+  test("classifies improving, deteriorating and stable series", () => {
+    expect(trends.analyzeSeries(series([70, 71, 72]), def).direction).toBe("improving");
+    expect(trends.analyzeSeries(series([72, 71, 70]), def).direction).toBe("deteriorating");
+    expect(trends.analyzeSeries(series([70, 70.01, 70.02]), def).direction).toBe("stable");
+  });
+
+  test("inverts direction when lower is better", () => {
+    expect(trends.analyzeSeries(series([70, 71, 72]), { ...def, higherIsBetter: false }).direction)
+      .toBe("deteriorating");
+  });
+
+  test("summarises the covered period", () => {
+    expect(trends.analyzeSeries(series([70, 71, 72], 2021), def)).toEqual({
+      direction: "improving",
+      slope_per_year: 1,
+      unit: "yrs",
+      first_year: 2021,
+      last_year: 2023,
+      first_value: 70,
+      latest_value: 72,
+      data_points: 3,
+    });
+  });
+
+  test("needs at least three points", () => {
+    expect(trends.analyzeSeries(series([70, 71]), def)).toBeNull();
+    expect(trends.analyzeSeries(undefined, def)).toBeNull();
+  });
+});
+
+describe("computeTrends / project", () => {
+  test("reads every tracked indicator from a country bundle", () => {
+    const result = trends.computeTrends({
+      worldBank: { history: { lifeExpectancy: series([70, 71, 72]), healthcareExpenditure: series([5]) } },
+      advisory:  { history: series([0.5, 0.3, 0.1]) },
+    });
+    expect(result.life_expectancy.direction).toBe("improving");
+    expect(result.healthcare_expenditure).toBeNull();
+    expect(result.political_stability.direction).toBe("deteriorating");
+  });
+
+  test("projects the latest value along the slope", () => {
+    const t = trends.analyzeSeries(series([70, 71, 72]), { higherIsBetter: true, flatThreshold: 0.05, unit: "yrs" });
+    expect(trends.project(t, 5)).toBe(77);
+    expect(trends.project(null, 5)).toBeNull();
+  });
+});
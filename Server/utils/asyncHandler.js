@@ -0,0 +1,14 @@
+/**
+ * asyncHandler.js
+ *
+ * Express 4 does not forward rejected promises from route handlers; wrap
+ * async handlers so a rejection reaches the global error handler.
+ */
+
+/**
+ * @param {(req, res, next) => Promise<*>} fn
+ * @returns {import("express").RequestHandler}
+ */
+const handle = (fn) => (req, res, next) => fn(req, res, next).catch(next);
+
+module.exports = { handle };
@@ -0,0 +1,31 @@
+/**
+ * concurrency.js
+ *
+ * Bounded fan-out for batches of upstream work (e.g. every country of a region).
+ */
+
+/**
+ * Map over items with at most `limit` calls to fn in flight; results keep the
+ * input order. fn is expected to handle its own errors (a rejection rejects
+ * the whole map, as with Promise.all).
+ * @param {Array} items
+ * @param {number} limit
+ * @param {(item: *, index: number) => Promise<*>} fn
+ */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+
+  const workers = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+  return results;
+}
+
+module.exports = { mapLimit };
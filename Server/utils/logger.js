@@ -1,19 +1,98 @@
 /**
  * logger.js — Structured console logger
  * Logs: API call durations, cache hits/misses, scoring events, partial failures
+ *
+ * Every message and meta field is redacted before it is written: secret query
+ * parameters (appid, token, api_key, plus LOG_REDACT_PARAMS) in any URL, fields named
+ * like them, and the values of the secret env vars (API keys, the admin key,
+ * the client keys in API_KEYS, plus LOG_REDACT_ENV) wherever they appear.
+ *
+ * Entries written while handling a request carry its correlation id
+ * (`request_id`) and, when tracing is on, its `trace_id` (see requestContext.js).
  */
 
+const requestContext = require("./requestContext");
+
 const LOG_LEVELS = { DEBUG: 0, INFO: 1, WARN: 2, ERROR: 3 };
 const CURRENT_LEVEL = LOG_LEVELS[process.env.LOG_LEVEL?.toUpperCase()] ?? LOG_LEVELS.INFO;
 
+// ─── Redaction ────────────────────────────────────────────────────────────────
+const REDACTED      = "[REDACTED]";
+const SECRET_ENV    = ["WEATHER_API_KEY", "AQI_API_KEY", "ADMIN_API_KEY"];
+const MIN_SECRET    = 6;   // shorter values would redact ordinary words
+
+const listEnv = (name) =>
+  (process.env[name] || "").split(",").map((s) => s.trim()).filter(Boolean);
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/** Query parameters whose values never reach the logs */
+function secretParams() {
+  return ["appid", "token", "api_key", ...listEnv("LOG_REDACT_PARAMS")].map((p) => p.toLowerCase());
+}
+
+/** Client keys from API_KEYS ("name:key" pairs, or bare keys) */
+function clientKeys() {
+  return listEnv("API_KEYS").map((pair) => {
+    const i = pair.indexOf(":");
+    return i > 0 ? pair.slice(i + 1) : pair;
+  });
+}
+
+/** Configured secret values (env vars read at call time, so rotations apply) */
+function secretValues() {
+  return [...SECRET_ENV, ...listEnv("LOG_REDACT_ENV")]
+    .map((name) => process.env[name])
+    .concat(clientKeys())
+    .filter((v) => typeof v === "string" && v.length >= MIN_SECRET);
+}
+
+function redactString(text, params, values) {
+  let out = text.replace(
+    new RegExp(`([?&;](?:${params.map(escapeRegExp).join("|")})=)[^&#\\s"']*`, "gi"),
+    `$1${REDACTED}`
+  );
+  for (const value of values) out = out.split(value).join(REDACTED);
+  return out;
+}
+
+function redactValue(value, params, values, seen) {
+  if (typeof value === "string") return redactString(value, params, values);
+  if (value instanceof Error) {
+    return redactValue({ name: value.name, message: value.message, stack: value.stack }, params, values, seen);
+  }
+  if (value === null || typeof value !== "object") return value;
+  if (seen.has(value)) return "[Circular]";   // `seen` holds the current path only
+  seen.add(value);
+  const copy = Array.isArray(value)
+    ? value.map((v) => redactValue(v, params, values, seen))
+    : Object.fromEntries(Object.entries(value).map(([key, v]) => [
+      key,
+      params.includes(key.toLowerCase()) ? REDACTED : redactValue(v, params, values, seen),
+    ]));
+  seen.delete(value);
+  return copy;
+}
+
+/**
+ * Copy of a string, or of an object / array (recursively), with secrets
+ * replaced by "[REDACTED]".
+ */
+function redact(value) {
+  return redactValue(value, secretParams(), secretValues(), new WeakSet());
+}
+
 function format(level, category, message, meta = {}) {
-  const entry = {
+  const context = requestContext.current();
+  const entry = redact({
     timestamp: new Date().toISOString(),
     level,
     category,
     message,
+    ...(context && { request_id: context.requestId }),
+    ...(context?.traceId && { trace_id: context.traceId }),
     ...meta,
-  };
+  });
   const line = JSON.stringify(entry);
   if (level === "ERROR" || level === "WARN") {
     console.error(line);
@@ -65,6 +144,8 @@ const logger = {
       api,
       error,
     }),
+
+  redact,
 };
 
 module.exports = logger;
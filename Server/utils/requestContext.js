@@ -0,0 +1,43 @@
+/**
+ * requestContext.js
+ *
+ * Per-request context carried through async calls with AsyncLocalStorage, so
+ * code far from the route (logger, timedCall, cacheService, scoring) can tell
+ * which request it is working for without threading arguments.
+ *
+ * The context is { requestId, traceId?, spanId? }. requestId is the
+ * correlation id: taken from the X-Request-Id (or X-Correlation-Id) header
+ * when it looks safe, otherwise generated. Work started inside a request —
+ * including analysis jobs — keeps its context.
+ */
+
+const crypto                = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const storage = new AsyncLocalStorage();
+
+// Accepted incoming ids: short, printable, no spaces or quotes (they end up in logs and headers)
+const VALID_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/** Correlation id from the request headers, or a new one */
+function requestIdFrom(headers = {}) {
+  const given = headers["x-request-id"] || headers["x-correlation-id"];
+  return typeof given === "string" && VALID_ID.test(given) ? given : crypto.randomUUID();
+}
+
+/** Run fn with `context` as the current request context */
+function run(context, fn) {
+  return storage.run(context, fn);
+}
+
+/** The current request context, or null outside a request */
+function current() {
+  return storage.getStore() || null;
+}
+
+/** The current correlation id, or null outside a request */
+function requestId() {
+  return current()?.requestId ?? null;
+}
+
+module.exports = { requestIdFrom, run, current, requestId };
@@ -0,0 +1,70 @@
+/**
+ * tls.js
+ *
+ * HTTPS agents for upstream calls. Certificate verification is always on by
+ * default; the two opt-outs are explicit and scoped to outbound API calls:
+ *
+ *  UPSTREAM_CA_BUNDLE=/path/ca.pem[,...]  — also trust these CAs (e.g. a
+ *                                           TLS-inspecting corporate proxy)
+ *  TLS_INSECURE_PROVIDERS=aqi,weather     — skip verification for these
+ *                                           providers only (development)
+ *
+ * An unreadable CA bundle fails startup rather than silently falling back.
+ */
+
+const fs     = require("fs");
+const https  = require("https");
+const tls    = require("tls");
+const logger = require("./logger");
+
+const listEnv = (name) =>
+  (process.env[name] || "").split(",").map((s) => s.trim()).filter(Boolean);
+
+function loadCaBundle(files) {
+  return files.map((file) => {
+    try {
+      return fs.readFileSync(file, "utf8");
+    } catch (err) {
+      throw new Error(`Cannot read UPSTREAM_CA_BUNDLE file ${file}: ${err.message}`);
+    }
+  });
+}
+
+function build() {
+  const caFiles  = listEnv("UPSTREAM_CA_BUNDLE");
+  const insecure = new Set(listEnv("TLS_INSECURE_PROVIDERS"));
+  const ca       = caFiles.length ? [...tls.rootCertificates, ...loadCaBundle(caFiles)] : null;
+
+  if (ca) logger.info("TLS", `Trusting ${caFiles.length} extra CA bundle(s) for upstream calls`, { files: caFiles });
+  if (insecure.size) {
+    logger.warn("TLS", "Certificate verification DISABLED for some providers", { providers: [...insecure] });
+  }
+
+  return {
+    insecure,
+    verified:   ca ? new https.Agent({ keepAlive: true, ca }) : undefined,   // undefined = Node's global agent
+    unverified: insecure.size ? new https.Agent({ keepAlive: true, rejectUnauthorized: false }) : undefined,
+  };
+}
+
+/**
+ * The https.Agent for a provider's requests (undefined = Node's default agent).
+ * @param {string} provider — provider name, e.g. "aqi"
+ */
+function agentFor(provider) {
+  return agents.insecure.has(provider) ? agents.unverified : agents.verified;
+}
+
+/** Providers running without certificate verification (for /health) */
+function insecureProviders() {
+  return [...agents.insecure];
+}
+
+/** Re-read the environment (tests) */
+function reload() {
+  agents = build();
+}
+
+let agents = build();   // at load, so a bad CA bundle stops the server starting
+
+module.exports = { agentFor, insecureProviders, reload };